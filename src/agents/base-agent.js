@@ -4,6 +4,8 @@
  */
 
 import { query } from '../sdk.mjs';
+import { config } from '../config.js';
+import { ToolProgressView } from '../progress-region.js';
 
 export class BaseAgent {
   constructor(name, systemPrompt, allowedTools = []) {
@@ -87,29 +89,52 @@ export class BaseAgent {
 
   /**
    * Run this agent with the SDK
+   * @param {Object} options - Per-stage model settings (model, temperature, maxTokens, modelOptions),
+   *                           tool permissions (permissionMode, askPermission), the diff review for
+   *                           file edits (reviewEdit) and Bash sandbox settings
    */
-  async execute(context, attemptNumber = 0) {
+  async execute(context, attemptNumber = 0, options = {}) {
     const prompt = this.buildPrompt(context, attemptNumber);
+    const { model, temperature, maxTokens, modelOptions, permissionMode, askPermission, reviewEdit, sandbox } = options;
 
-    console.log(`\n[${this.name} Agent] Starting...`);
+    console.log(`\n[${this.name} Agent] Starting...${model ? ` (model: ${model})` : ''}`);
     if (attemptNumber > 0) {
       console.log(`[${this.name} Agent] Retry attempt #${attemptNumber + 1}`);
     }
 
     const result = {
       agent: this.name,
+      model: model || null,
       output: '',
       tool_calls: [],
       raw_events: []
     };
+    const progress = new ToolProgressView();
 
     try {
       // Run the agent via SDK
       for await (const event of query({
         prompt: prompt,
+        model,
+        temperature,
+        maxTokens,
+        modelOptions,
+        permissionMode,
+        askPermission,
+        reviewEdit,
+        sandbox,
+        checkpoint: context.checkpoint,
         tools: true,
+        // Only this agent's tools are offered to the model; other calls are refused before running
+        allowedTools: this.allowedTools.length > 0 ? this.allowedTools : undefined,
         signal: AbortSignal.timeout(300000) // 5 minute timeout
       })) {
+        // Live tool output is only displayed, not kept with the run's events
+        if (event.type === 'tool_progress') {
+          progress.update(event);
+          continue;
+        }
+
         result.raw_events.push(event);
 
         // Accumulate text output
@@ -117,28 +142,22 @@ export class BaseAgent {
           result.output += event.event.delta.text;
           // Show streaming output in console
           process.stdout.write(event.event.delta.text);
+        } else if (event.type === 'stream_event' && event.event.delta?.type === 'thinking_delta' &&
+                   config.get('showThinking')) {
+          process.stdout.write(`\x1b[2m${event.event.delta.thinking}\x1b[0m`);
         }
 
         // Track tool calls
         if (event.type === 'tool_result') {
-          // Validate tool is allowed for this agent
-          if (this.allowedTools.length > 0 && !this.allowedTools.includes(event.tool)) {
-            console.log(`\n[WARNING] [${this.name} Agent] Used RESTRICTED tool: ${event.tool}`);
-            console.log(`   Allowed tools: ${this.allowedTools.join(', ')}`);
-            // Store as restricted tool call
-            result.tool_calls.push({
-              tool: event.tool,
-              result: event.result,
-              restricted: true
-            });
-          } else {
-            result.tool_calls.push({
-              tool: event.tool,
-              result: event.result,
-              restricted: false
-            });
-            console.log(`\n[${this.name} Agent] Used tool: ${event.tool}`);
-          }
+          progress.finish(event.toolUseId);
+          result.tool_calls.push({
+            tool: event.tool,
+            result: event.result
+          });
+          console.log(`\n[${this.name} Agent] Used tool: ${event.tool}`);
+        } else if (event.type === 'tool_error') {
+          progress.finish(event.toolUseId);
+          console.log(`\n[WARNING] [${this.name} Agent] ${event.tool}: ${event.error}`);
         }
 
         // Handle errors
@@ -149,20 +168,6 @@ export class BaseAgent {
 
       console.log(`\n[${this.name} Agent] Completed\n`);
 
-      // Check for restricted tool usage
-      const restrictedTools = result.tool_calls.filter(call => call.restricted);
-      if (restrictedTools.length > 0) {
-        const tools = restrictedTools.map(call => call.tool).join(', ');
-        return {
-          ...result,
-          validated: {
-            success: false,
-            message: `Agent used restricted tools: ${tools}. Allowed tools: ${this.allowedTools.join(', ')}`
-          },
-          context: context
-        };
-      }
-
       // Let the specific agent validate its output
       const validated = await this.validate(result, context);
 
@@ -20,9 +20,12 @@ You DO NOT explain what you would do. You DO IT.
 ## TOOLS YOU MUST USE:
 - Write: [PRIMARY] Create new files (USE THIS IMMEDIATELY)
 - Edit: [PRIMARY] Modify existing files (USE THIS IMMEDIATELY)
+- MultiEdit: Several changes to ONE file in a single call (edits apply in order; if any fails, none are written)
+- ApplyPatch: Apply a unified diff ("--- a/file", "+++ b/file", "@@ ... @@" hunks) to one or more files; use it when a diff is easier than exact old_string text
 - Read: Read files for reference
 - TodoWrite: Mark tasks complete
 - Glob/Grep: Find files if needed
+- WebSearch/WebFetch: Look up library docs when unsure of an API (if configured)
 
 ## FORBIDDEN:
 - Bash [NEVER] - You write code, not run it
@@ -103,7 +106,7 @@ export class CoderAgent extends BaseAgent {
     super(
       'Coder',
       CODER_PROMPT,
-      ['Write', 'Edit', 'Read', 'Glob', 'Grep', 'TodoWrite']
+      ['Write', 'Edit', 'MultiEdit', 'ApplyPatch', 'Read', 'Glob', 'Grep', 'TodoWrite', 'WebSearch', 'WebFetch']
     );
   }
 
@@ -113,7 +116,7 @@ export class CoderAgent extends BaseAgent {
   async validate(result, context) {
     // Check if Write or Edit was used
     const writeCall = result.tool_calls.find(call => call.tool === 'Write');
-    const editCall = result.tool_calls.find(call => call.tool === 'Edit');
+    const editCall = result.tool_calls.find(call => ['Edit', 'MultiEdit', 'ApplyPatch'].includes(call.tool));
     const todoWriteCall = result.tool_calls.find(call => call.tool === 'TodoWrite');
 
     if (!writeCall && !editCall) {
@@ -156,7 +159,7 @@ export class CoderAgent extends BaseAgent {
     }
 
     // Validate syntax of generated code files
-    const syntaxCheck = await this.validateSyntax(filesCreated);
+    const syntaxCheck = await this.validateSyntax(filesCreated, context.checkpoint);
     if (!syntaxCheck.valid) {
       return {
         success: false,
@@ -190,10 +193,10 @@ export class CoderAgent extends BaseAgent {
     const files = [];
 
     result.tool_calls.forEach(call => {
-      if (call.tool === 'Write' || call.tool === 'Edit') {
+      if (call.tool === 'Write' || call.tool === 'Edit' || call.tool === 'MultiEdit') {
         // Try to extract file path from result
         const resultText = call.result.text || '';
-        const pathMatch = resultText.match(/[Ff]ile\s+(?:written|created|updated|modified).*?:\s*([^\s\n]+)/);
+        const pathMatch = resultText.match(/[Ff]ile\s+(?:written|created|edited|updated|modified).*?:\s*([^\s\n]+)/);
 
         if (pathMatch) {
           files.push({
@@ -202,6 +205,15 @@ export class CoderAgent extends BaseAgent {
             success: resultText.toLowerCase().includes('success')
           });
         }
+      } else if (call.tool === 'ApplyPatch' && (call.result.text || '').startsWith('Patch applied successfully')) {
+        // Report lines: "A path" (added), "M path" (modified), "R old -> new" (renamed); deleted files are skipped
+        for (const [, action, label] of call.result.text.matchAll(/^([AMR]) (.+)$/gm)) {
+          files.push({
+            path: action === 'R' ? label.split(' -> ').pop() : label,
+            operation: 'applypatch',
+            success: true
+          });
+        }
       }
     });
 
@@ -209,9 +221,10 @@ export class CoderAgent extends BaseAgent {
   }
 
   /**
-   * Validate syntax of generated files
+   * Validate syntax of generated files.
+   * Files rewritten by fixEscapedQuotes are snapshotted into `checkpoint` first.
    */
-  async validateSyntax(filesCreated) {
+  async validateSyntax(filesCreated, checkpoint = null) {
     const { readFileSync } = await import('fs');
     const { exec } = await import('child_process');
     const { promisify } = await import('util');
@@ -230,6 +243,7 @@ export class CoderAgent extends BaseAgent {
         // If content was fixed, rewrite the file
         if (fixedContent !== content) {
           const { writeFileSync } = await import('fs');
+          checkpoint?.snapshot(file.path);
           writeFileSync(file.path, fixedContent, 'utf-8');
           console.log(`  [WARNING] Fixed escaped quotes in ${file.path}`);
         }
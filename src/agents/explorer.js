@@ -24,6 +24,7 @@ You DO NOT create files. You DO NOT write code. You DO NOT make plans.
 3. Read - Read file contents
 4. Bash - Run ls, find, etc. (NOT for creating files)
 5. SemanticSearch - AI-powered code search (if RAG is available)
+6. WebSearch - Look up library documentation and API references (if configured); WebFetch to read a result
 
 ## STEP-BY-STEP INSTRUCTIONS:
 1. Use Glob to find relevant files (e.g., "**/*.py", "**/*test*")
@@ -107,7 +108,7 @@ export class ExplorerAgent extends BaseAgent {
     super(
       'Explorer',
       EXPLORER_PROMPT,
-      ['Glob', 'Grep', 'Read', 'Bash', 'SemanticSearch']
+      ['Glob', 'Grep', 'Read', 'Bash', 'SemanticSearch', 'WebSearch', 'WebFetch']
     );
     this.semanticSearchTool = semanticSearchTool;
   }
@@ -277,7 +278,8 @@ export class ExplorerAgent extends BaseAgent {
     result.tool_calls.forEach(call => {
       if (call.tool === 'Glob' && call.result.text) {
         const files = call.result.text.split('\n')
-          .filter(line => line.trim().length > 0 && !line.includes('No files found'))
+          // Skip the "N more matches not shown" notice
+          .filter(line => line.trim().length > 0 && !line.includes('No files found') && !line.startsWith('('))
           .map(path => {
             // Check if this file is already in files_found
             const existing = exploration.files_found.find(f => f.path === path.trim());
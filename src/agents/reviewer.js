@@ -18,7 +18,9 @@ You are the fourth agent in a pipeline. The Coder agent just created files - you
 ## AVAILABLE TOOLS:
 - Read: Read files to check what was created
 - Edit: Fix issues in existing files (imports, syntax, patterns)
+- MultiEdit: Several fixes to ONE file in a single call (all apply or none do)
 - Bash: Run tests and validation commands (pytest, node, npm test, etc.)
+- BashOutput / BashStatus / KillBash: Follow a command started with Bash run_in_background (e.g. a dev server you curl), then stop it
 - Grep: Search for correct imports, patterns, fixtures
 - Glob: Find files that were created (use sparingly - only to locate test files)
 - RAGQuery: Query codebase for correct patterns when fixing (use only if Grep fails)
@@ -29,7 +31,7 @@ You are the fourth agent in a pipeline. The Coder agent just created files - you
 - **If errors found**: Use Read to examine the broken file
 - **To fix imports**: Use Grep first (fast), RAGQuery as fallback (semantic search)
 - **To find files**: Only use Glob if you don't know the file path
-- **To fix code**: Use Edit to make targeted changes
+- **To fix code**: Use Edit to make targeted changes; use MultiEdit when one file needs several fixes
 - **Track progress**: Use TodoWrite for complex multi-fix scenarios
 
 ## FORBIDDEN TOOLS:
@@ -152,7 +154,7 @@ export class ReviewerAgent extends BaseAgent {
     super(
       'Reviewer',
       REVIEWER_PROMPT,
-      ['Read', 'Edit', 'Bash', 'Grep', 'Glob', 'RAGQuery', 'TodoWrite']
+      ['Read', 'Edit', 'MultiEdit', 'Bash', 'BashOutput', 'BashStatus', 'KillBash', 'Grep', 'Glob', 'RAGQuery', 'TodoWrite']
     );
   }
 
@@ -174,7 +176,7 @@ export class ReviewerAgent extends BaseAgent {
     const validation = this.extractValidationResults(result);
 
     // Check if fixes were attempted (if issues found)
-    const editCalls = result.tool_calls.filter(call => call.tool === 'Edit');
+    const editCalls = result.tool_calls.filter(call => call.tool === 'Edit' || call.tool === 'MultiEdit');
     const issuesFound = validation.issues_found > 0;
     const fixesAttempted = editCalls.length > 0;
 
@@ -261,7 +263,7 @@ export class ReviewerAgent extends BaseAgent {
     // If no formatted section, extract from Edit tool calls
     if (fixes.length === 0) {
       result.tool_calls.forEach(call => {
-        if (call.tool === 'Edit' && call.result.text) {
+        if ((call.tool === 'Edit' || call.tool === 'MultiEdit') && call.result.text) {
           fixes.push(`Modified file (Edit tool used)`);
         }
       });
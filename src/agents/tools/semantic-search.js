@@ -5,12 +5,38 @@
 
 import { CodebaseIndexer } from '../../rag/indexer.js';
 
+// Shared across instances: the tool registry creates a new instance per call
+let sharedIndexer = null;
+
 export class SemanticSearchTool {
   constructor() {
     this.name = 'SemanticSearch';
-    this.description = 'Search codebase using semantic similarity (AI-powered search)';
-    this.indexer = null;
-    this.initialized = false;
+    this.description = 'Search codebase using semantic similarity (AI-powered search). Requires an indexed codebase (/index); use Grep otherwise.';
+    this.inputSchema = {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'What to look for, described in words (e.g. "authentication logic", "API endpoints")'
+        },
+        type: {
+          type: 'string',
+          description: 'Filter by code type. Optional.',
+          enum: ['function', 'class', 'test', 'api_endpoint']
+        },
+        language: {
+          type: 'string',
+          description: 'Filter by programming language (e.g. "python", "javascript"). Optional.'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of results (default: 10)'
+        }
+      },
+      required: ['query']
+    };
+    this.indexer = sharedIndexer;
+    this.initialized = sharedIndexer !== null;
   }
 
   /**
@@ -26,6 +52,7 @@ export class SemanticSearchTool {
 
       await this.indexer.initialize();
       this.initialized = true;
+      sharedIndexer = this.indexer;
       console.log('[SemanticSearch] RAG system initialized');
       return true;
     } catch (error) {
@@ -59,9 +86,12 @@ export class SemanticSearchTool {
     // Check if RAG is available
     const available = await this.isAvailable();
     if (!available) {
+      const message = 'RAG system not available. Please ensure ChromaDB is running and codebase is indexed.';
       return {
+        type: 'error',
+        error: `${message} Use the Grep tool for traditional text search.`,
         success: false,
-        message: 'RAG system not available. Please ensure ChromaDB is running and codebase is indexed.',
+        message,
         fallback: 'Use Grep tool for traditional text search'
       };
     }
@@ -84,16 +114,22 @@ export class SemanticSearchTool {
       // Format results for Explorer agent
       const formattedResults = this.formatResults(results);
 
+      const message = `Found ${results.length} relevant code chunks using semantic search`;
+
       return {
+        type: 'text',
+        text: this.formatText(formattedResults, message),
         success: true,
         count: results.length,
         results: formattedResults,
-        message: `Found ${results.length} relevant code chunks using semantic search`
+        message
       };
 
     } catch (error) {
       console.error('[SemanticSearch] Search failed:', error);
       return {
+        type: 'error',
+        error: `Search error: ${error.message}. Use the Grep tool instead.`,
         success: false,
         message: `Search error: ${error.message}`,
         fallback: 'Use Grep tool instead'
@@ -101,6 +137,20 @@ export class SemanticSearchTool {
     }
   }
 
+  /**
+   * Format results as text for the model
+   */
+  formatText(results, message) {
+    if (results.length === 0) {
+      return 'No matching code found. The codebase may not be indexed yet; try Grep.';
+    }
+
+    const entries = results.map(result =>
+      `${result.file}:${result.line} ${result.type} ${result.name} (${result.relevance}, ${result.score}%)\n${result.snippet}`
+    );
+    return `${message}\n\n${entries.join('\n\n')}`;
+  }
+
   /**
    * Format search results for Explorer agent consumption
    */
@@ -0,0 +1,174 @@
+/**
+ * Background Processes
+ * Long-running commands started by the Bash tool with run_in_background.
+ * Output is buffered so the model can poll it; processes belong to a session
+ * and are killed when the session ends.
+ */
+
+import { spawn } from 'child_process';
+
+/**
+ * Output kept per process; older output is dropped once this is exceeded
+ */
+const MAX_BUFFER_LENGTH = 1024 * 1024;
+
+const processes = new Map();
+let nextId = 1;
+
+/**
+ * Start a command in the background.
+ * The command runs through the platform shell unless `file`/`args` are given (used for the sandbox).
+ */
+export function startBackgroundProcess(command, options = {}) {
+  const { cwd = process.cwd(), env = process.env, sessionKey = 'default', file, args } = options;
+  const id = `bg_${nextId++}`;
+
+  const child = spawn(file || command, file ? args : [], {
+    cwd,
+    env,
+    shell: !file,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    detached: process.platform !== 'win32'
+  });
+
+  const entry = {
+    id,
+    command,
+    sessionKey,
+    pid: child.pid,
+    child,
+    output: '',
+    readOffset: 0,
+    droppedLength: 0,
+    status: 'running',
+    exitCode: null,
+    signal: null,
+    startedAt: Date.now(),
+    endedAt: null
+  };
+
+  const append = data => {
+    entry.output += data;
+    if (entry.output.length > MAX_BUFFER_LENGTH) {
+      const drop = entry.output.length - MAX_BUFFER_LENGTH;
+      entry.output = entry.output.slice(drop);
+      entry.droppedLength += drop;
+    }
+  };
+
+  child.stdout.setEncoding('utf-8');
+  child.stderr.setEncoding('utf-8');
+  child.stdout.on('data', append);
+  child.stderr.on('data', append);
+
+  child.on('error', error => {
+    append(`\n${error.message}\n`);
+    entry.status = 'failed';
+    entry.endedAt = Date.now();
+  });
+  child.on('exit', (code, signal) => {
+    if (entry.status === 'running') {
+      entry.status = signal ? 'killed' : 'exited';
+    }
+    entry.exitCode = code;
+    entry.signal = signal;
+    entry.endedAt = Date.now();
+  });
+
+  processes.set(id, entry);
+  return entry;
+}
+
+/**
+ * Get a background process by id, only if it belongs to the session
+ */
+export function getBackgroundProcess(id, sessionKey = 'default') {
+  const entry = processes.get(id);
+  return entry && entry.sessionKey === sessionKey ? entry : null;
+}
+
+/**
+ * List the session's background processes
+ */
+export function listBackgroundProcesses(sessionKey = 'default') {
+  return [...processes.values()].filter(entry => entry.sessionKey === sessionKey);
+}
+
+/**
+ * Read output produced since the last read, at most `maxLength` characters
+ */
+export function readBackgroundOutput(entry, maxLength = 30000) {
+  // Output that was dropped from the buffer before it was read is skipped
+  const start = Math.max(entry.readOffset - entry.droppedLength, 0);
+  const skipped = entry.droppedLength > entry.readOffset ? entry.droppedLength - entry.readOffset : 0;
+  const text = entry.output.slice(start, start + maxLength);
+
+  entry.readOffset = entry.droppedLength + start + text.length;
+
+  return {
+    text,
+    skipped,
+    remaining: entry.output.length - (start + text.length)
+  };
+}
+
+/**
+ * Describe a process status in one line
+ */
+export function describeBackgroundProcess(entry) {
+  const seconds = Math.round(((entry.endedAt || Date.now()) - entry.startedAt) / 1000);
+  let status = entry.status;
+  if (entry.status === 'exited') status += ` (code ${entry.exitCode})`;
+  if (entry.status === 'killed') status += entry.signal ? ` (${entry.signal})` : '';
+  return `${entry.id} [${status}, ${seconds}s] ${entry.command}`;
+}
+
+/**
+ * Kill a background process and everything it started.
+ * The whole process group is signalled even when the command itself has exited,
+ * since what it started in the background can still be running.
+ * Returns whether the command was still running.
+ */
+export function killBackgroundProcess(entry) {
+  const wasRunning = entry.status === 'running';
+  if (wasRunning) entry.status = 'killed';
+
+  try {
+    process.kill(-entry.pid, 'SIGKILL');
+  } catch {
+    // ESRCH: the group is gone. Without process groups (Windows), kill the command itself
+    if (wasRunning) entry.child.kill('SIGKILL');
+  }
+  return wasRunning;
+}
+
+/**
+ * Kill and forget all of a session's background processes
+ */
+export function cleanupBackgroundProcesses(sessionKey = 'default') {
+  for (const entry of listBackgroundProcesses(sessionKey)) {
+    killBackgroundProcess(entry);
+    processes.delete(entry.id);
+  }
+}
+
+/**
+ * Kill every background process, e.g. on exit
+ */
+export function cleanupAllBackgroundProcesses() {
+  for (const entry of processes.values()) {
+    killBackgroundProcess(entry);
+  }
+  processes.clear();
+}
+
+process.on('exit', cleanupAllBackgroundProcesses);
+
+// Signals skip 'exit', and the detached process groups would outlive the CLI
+for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+  process.once(signal, () => {
+    cleanupAllBackgroundProcesses();
+    // Re-raise once no other handler is left, so the process still ends by the signal
+    if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+  });
+}
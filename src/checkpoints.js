@@ -0,0 +1,261 @@
+/**
+ * Checkpoints
+ * Snapshots of files taken before a tool changes them, so a whole agent turn or
+ * multi-agent pipeline run can be rolled back. Stored next to the sessions, so
+ * it works whether or not the project is a git repository; each checkpoint
+ * records the working directory it was made in.
+ */
+
+import { randomBytes, createHash } from 'crypto';
+import {
+  readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, rmSync, unlinkSync
+} from 'fs';
+import { join, resolve, dirname } from 'path';
+import { config } from './config.js';
+
+let lastTimestamp = 0;
+
+/**
+ * Creation time in ms, strictly increasing so checkpoints made in the same ms keep their order
+ */
+function nextTimestamp() {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return lastTimestamp;
+}
+
+/**
+ * Hash of a file's content, or null when it does not exist
+ */
+function fingerprint(path) {
+  return existsSync(path) ? createHash('sha256').update(readFileSync(path)).digest('hex') : null;
+}
+
+export class Checkpoint {
+  /**
+   * @param {CheckpointStore} store - Where the checkpoint is saved
+   * @param {Object} data
+   * @param {string} data.kind - 'turn' for one query, 'pipeline' for a multi-agent run
+   * @param {string} data.label - What the user asked for
+   * @param {string} data.sessionId - Session the turn belongs to
+   * @param {string} data.workingDirectory - Project the turn ran in
+   */
+  constructor(store, data = {}) {
+    const timestamp = data.createdAt ? null : nextTimestamp();
+    this.store = store;
+    this.id = data.id || `${timestamp.toString(36)}${randomBytes(2).toString('hex')}`;
+    this.kind = data.kind || 'turn';
+    this.label = data.label || '';
+    this.sessionId = data.sessionId || null;
+    this.workingDirectory = data.workingDirectory || null;
+    this.createdAt = data.createdAt || new Date(timestamp).toISOString();
+    this.restoredAt = data.restoredAt || null;
+    this.files = data.files || [];
+  }
+
+  /**
+   * Directory holding this checkpoint's manifest and file copies
+   */
+  get dir() {
+    return join(this.store.dir, this.id);
+  }
+
+  /**
+   * Record a file's current content before it is changed.
+   * Only the first snapshot of a path counts: it is the state before this checkpoint.
+   */
+  snapshot(filePath) {
+    const path = resolve(filePath);
+    if (this.files.some(file => file.path === path)) return;
+
+    const entry = { path, existed: existsSync(path), blob: null, before: fingerprint(path) };
+
+    mkdirSync(this.dir, { recursive: true });
+    if (entry.existed) {
+      entry.blob = `${this.files.length}.snapshot`;
+      writeFileSync(join(this.dir, entry.blob), readFileSync(path));
+    }
+
+    this.files.push(entry);
+    this.save();
+  }
+
+  /**
+   * Record how the turn left each file, so a rollback can tell when one was changed afterwards
+   */
+  finish() {
+    if (this.files.length === 0) return;
+
+    for (const file of this.files) {
+      file.after = fingerprint(file.path);
+    }
+    this.save();
+  }
+
+  /**
+   * Put every file back the way it was; files that did not exist are removed
+   */
+  restore() {
+    const restored = [];
+
+    for (const file of this.files) {
+      if (file.existed) {
+        mkdirSync(dirname(file.path), { recursive: true });
+        writeFileSync(file.path, readFileSync(join(this.dir, file.blob)));
+        restored.push({ path: file.path, action: 'restored' });
+      } else if (existsSync(file.path)) {
+        unlinkSync(file.path);
+        restored.push({ path: file.path, action: 'removed' });
+      }
+    }
+
+    this.restoredAt = new Date().toISOString();
+    this.save();
+    return restored;
+  }
+
+  /**
+   * Save the manifest; checkpoints that never snapshot a file are never written
+   */
+  save() {
+    mkdirSync(this.dir, { recursive: true });
+    writeFileSync(join(this.dir, 'manifest.json'), JSON.stringify({
+      id: this.id,
+      kind: this.kind,
+      label: this.label,
+      sessionId: this.sessionId,
+      workingDirectory: this.workingDirectory,
+      createdAt: this.createdAt,
+      restoredAt: this.restoredAt,
+      files: this.files
+    }, null, 2), 'utf-8');
+  }
+}
+
+export class CheckpointStore {
+  /**
+   * @param {string} dir - Where checkpoints are kept (default: .checkpoints in the config dir)
+   */
+  constructor(dir = config.getCheckpointsDir()) {
+    this.dir = dir;
+  }
+
+  /**
+   * Start a checkpoint for the current working directory; nothing is written until the first snapshot
+   */
+  create(data = {}) {
+    this.prune();
+    return new Checkpoint(this, { workingDirectory: process.cwd(), ...data });
+  }
+
+  /**
+   * All saved checkpoints, oldest first.
+   * With `workingDirectory`, only the checkpoints made in that project.
+   */
+  list({ workingDirectory } = {}) {
+    if (!existsSync(this.dir)) return [];
+
+    const checkpoints = [];
+    for (const id of readdirSync(this.dir)) {
+      try {
+        const data = JSON.parse(readFileSync(join(this.dir, id, 'manifest.json'), 'utf-8'));
+        checkpoints.push(new Checkpoint(this, data));
+      } catch {
+        // Not a checkpoint, or one still being written
+      }
+    }
+
+    return checkpoints
+      .filter(checkpoint => !workingDirectory || checkpoint.workingDirectory === resolve(workingDirectory))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Get a checkpoint by id
+   */
+  get(id) {
+    return this.list().find(checkpoint => checkpoint.id === id) || null;
+  }
+
+  /**
+   * Roll back a checkpoint and every later one in the same project that is not
+   * rolled back yet, newest first, so files end up as they were before it.
+   * Returns [{ checkpoint, files }] for each checkpoint rolled back.
+   * @param {Object} options
+   * @param {string} options.workingDirectory - Only consider checkpoints made in this project
+   * @param {boolean} options.force - Roll back even files that were changed after their checkpoint
+   */
+  restore(id, options = {}) {
+    const checkpoints = this.list(options);
+    const index = checkpoints.findIndex(checkpoint => checkpoint.id === id);
+    if (index === -1) {
+      throw new Error(`Checkpoint ${id} not found`);
+    }
+
+    return this.rollBack(checkpoints.slice(index).filter(checkpoint => !checkpoint.restoredAt).reverse(), options);
+  }
+
+  /**
+   * Roll back the latest checkpoint that is not rolled back yet.
+   * Returns { checkpoint, files }, or null when there is nothing to undo.
+   * Takes the same options as restore().
+   */
+  undo(options = {}) {
+    const checkpoint = this.list(options).filter(checkpoint => !checkpoint.restoredAt).pop();
+    if (!checkpoint) return null;
+    return this.rollBack([checkpoint], options)[0];
+  }
+
+  /**
+   * Roll back checkpoints given newest first. Throws, without touching any file,
+   * when a file no longer looks the way its checkpoint left it, unless `force` is set;
+   * the error lists those files in `changedFiles`.
+   */
+  rollBack(checkpoints, { force = false } = {}) {
+    if (!force) {
+      const changed = new Set();
+      // Each rollback leaves a file as it was before that checkpoint, which the next older one must match
+      const expected = new Map();
+
+      for (const checkpoint of checkpoints) {
+        for (const file of checkpoint.files) {
+          const current = expected.has(file.path) ? expected.get(file.path) : fingerprint(file.path);
+          if (file.after !== undefined && current !== undefined && current !== file.after) {
+            changed.add(file.path);
+          }
+          expected.set(file.path, file.before);
+        }
+      }
+
+      if (changed.size > 0) {
+        const error = new Error(
+          `These files were changed after the checkpoint, and rolling back would overwrite those changes:\n` +
+          [...changed].map(path => `  ${path}`).join('\n')
+        );
+        error.changedFiles = [...changed];
+        throw error;
+      }
+    }
+
+    return checkpoints.map(checkpoint => ({ checkpoint, files: checkpoint.restore() }));
+  }
+
+  /**
+   * Drop the oldest checkpoints beyond the configured limit
+   */
+  prune(limit = config.get('maxCheckpoints', 50)) {
+    const checkpoints = this.list();
+    for (const checkpoint of checkpoints.slice(0, Math.max(checkpoints.length - limit, 0))) {
+      rmSync(checkpoint.dir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Snapshot a file into the tool context's checkpoint, if there is one
+ */
+export function snapshotFile(context, filePath) {
+  context?.checkpoint?.snapshot(filePath);
+}
+
+// Export singleton instance
+export const checkpoints = new CheckpointStore();
@@ -2,18 +2,26 @@
 
 /**
  * LC-Coder CLI
- * Interactive CLI for local LLM coding assistant using Ollama
+ * Interactive CLI for local LLM coding assistant using Ollama or an OpenAI-compatible server
  */
 
-import { query, healthCheck, listModels, config, Session } from './sdk.mjs';
+import { query, healthCheck, listModels, endSession, config, Session } from './sdk.mjs';
 import { queryEnhanced } from './sdk-enhanced.mjs';
 import { Orchestrator } from './orchestrator.js';
 import { CodebaseIndexer } from './rag/indexer.js';
 import { requestAnalyzer } from './request-analyzer.js';
+import { getProvider } from './providers.js';
+import { resolveModelProfile } from './config.js';
+import { PERMISSION_MODES, parseRule } from './permissions.js';
+import { ToolProgressView, getLastToolOutput } from './progress-region.js';
+import { checkpoints } from './checkpoints.js';
+import { colorizeDiff, diffStats } from './diff.js';
 import * as readline from 'readline/promises';
 import { stdin as input, stdout as output } from 'process';
-import { readdirSync, statSync } from 'fs';
-import { join } from 'path';
+import { readdirSync, statSync, writeFileSync, readFileSync, mkdtempSync, rmSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { randomUUID } from 'crypto';
+import { join, basename } from 'path';
 import os from 'os';
 
 // Detect platform and provide appropriate command examples
@@ -70,7 +78,7 @@ SYSTEM INFORMATION:
 - Working Directory: ${process.cwd()}
 
 AVAILABLE TOOLS:
-- Read, Write, Edit files
+- Read, Write, Edit, MultiEdit files; ApplyPatch for unified diffs
 - Execute bash commands (${platformInfo.note})
 - Search for files (Glob) and content (Grep)
 - Fetch web content
@@ -137,27 +145,125 @@ PLATFORM-SPECIFIC COMMANDS:
 - List files: ${platformInfo.examples.listFiles}
 - Remove file: ${platformInfo.examples.removeFile}
 
-Remember: You are running locally using Ollama. Your value is in COMPLETING tasks and DELIVERING working code, not just explaining what should be done.`;
+Remember: You are running on a local model. Your value is in COMPLETING tasks and DELIVERING working code, not just explaining what should be done.`;
 }
 
 const SYSTEM_PROMPT = buildSystemPrompt();
 
+/**
+ * Print a streamed reasoning chunk dimmed, when /thinking is on
+ */
+function printThinking(text) {
+  if (config.get('showThinking')) {
+    process.stdout.write(`\x1b[2m${text}\x1b[0m`);
+  }
+}
+
+/**
+ * Build the y/n/always approval prompt for tool calls no permission rule covers.
+ * Uses the given readline interface, or a temporary one per question.
+ */
+function createPermissionPrompt(rl = null) {
+  return async ({ tool, description, suggestedRules }) => {
+    const prompter = rl || readline.createInterface({ input, output });
+    // Commands that substitute other commands cannot be covered by a saved rule
+    const canAlways = suggestedRules.length > 0;
+    try {
+      console.log(`\n[Permission] ${tool} wants to run: ${description}`);
+      const question = canAlways ? `Allow? (y)es / (n)o / (a)lways allow ${suggestedRules.join(', ')}: ` : 'Allow? (y)es / (n)o: ';
+      const answer = (await prompter.question(question)).trim().toLowerCase();
+      if (canAlways && (answer === 'a' || answer === 'always')) return 'always';
+      if (answer === 'y' || answer === 'yes') return 'yes';
+      return 'no';
+    } finally {
+      if (!rl) prompter.close();
+    }
+  };
+}
+
+/**
+ * Open content in the user's editor and return what they saved, or null if the editor failed
+ */
+function editInEditor(content, filePath, rl = null) {
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+  const dir = mkdtempSync(join(os.tmpdir(), 'lc-coder-edit-'));
+  const tempFile = join(dir, basename(filePath));
+
+  try {
+    writeFileSync(tempFile, content, 'utf-8');
+    rl?.pause();
+    const result = spawnSync(`${editor} "${tempFile}"`, { stdio: 'inherit', shell: true });
+    if (result.error || result.status !== 0) {
+      console.log(`[Edit] ${editor} failed${result.error ? `: ${result.error.message}` : ` with exit code ${result.status}`}`);
+      return null;
+    }
+    return readFileSync(tempFile, 'utf-8');
+  } finally {
+    rl?.resume();
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build the diff preview for Write/Edit/MultiEdit/ApplyPatch: accept, reject with a reason, or edit the proposal first.
+ * Uses the given readline interface, or a temporary one per question.
+ */
+function createEditReview(rl = null) {
+  return async ({ tool, filePath, diff, newContent, autoAccept }) => {
+    const { added, removed } = diffStats(diff);
+    console.log(`\n[${tool}] ${filePath} (+${added} -${removed})`);
+    console.log(diff ? colorizeDiff(diff) : '(no changes)');
+
+    if (autoAccept) {
+      return { action: 'accept' };
+    }
+
+    // A deleted file has no content to edit
+    const editable = newContent !== null;
+    const question = editable ? 'Apply this change? (y)es / (n)o / (e)dit instead: ' : 'Apply this change? (y)es / (n)o: ';
+
+    const prompter = rl || readline.createInterface({ input, output });
+    try {
+      while (true) {
+        const answer = (await prompter.question(question)).trim().toLowerCase();
+
+        if (answer === 'y' || answer === 'yes') {
+          return { action: 'accept' };
+        }
+        if (answer === 'n' || answer === 'no') {
+          const reason = (await prompter.question('Reason for the model (optional): ')).trim();
+          return { action: 'reject', reason };
+        }
+        if (editable && (answer === 'e' || answer === 'edit')) {
+          const content = editInEditor(newContent, filePath, prompter);
+          if (content !== null) {
+            return { action: 'edit', content };
+          }
+        }
+      }
+    } finally {
+      if (!rl) prompter.close();
+    }
+  };
+}
+
 async function main() {
   console.log('LC-Coder - Local Coding Assistant');
   console.log('==================================\n');
 
-  // Check if Ollama is running
-  console.log('Checking Ollama connection...');
+  // Check if the configured provider is running
+  const provider = getProvider();
+  console.log(`Checking ${provider.displayName} connection...`);
   const isHealthy = await healthCheck();
 
   if (!isHealthy) {
-    console.error('ERROR: Cannot connect to Ollama!');
-    console.error('Please make sure Ollama is running with: ollama serve');
-    console.error(`Expected endpoint: ${config.get('ollamaEndpoint')}\n`);
+    console.error(`ERROR: Cannot connect to ${provider.displayName}!`);
+    console.error(provider.startHint);
+    console.error(`Expected endpoint: ${config.get(provider.endpointKey)}\n`);
     process.exit(1);
   }
 
-  console.log('[Connected] to Ollama\n');
+  console.log(`[Connected] to ${provider.displayName}\n`);
 
   // Show platform information
   const platformInfo = getPlatformInfo();
@@ -169,14 +275,15 @@ async function main() {
     const models = await listModels();
     console.log('Available models:');
     models.forEach(model => {
-      console.log(`  - ${model.name} (${(model.size / 1024 / 1024 / 1024).toFixed(1)}GB)`);
+      const size = model.size ? ` (${(model.size / 1024 / 1024 / 1024).toFixed(1)}GB)` : '';
+      console.log(`  - ${model.name}${size}`);
     });
     console.log('');
   } catch (error) {
     console.error('Warning: Could not list models');
   }
 
-  const currentModel = config.get('ollamaModel');
+  const currentModel = config.get(provider.modelKey);
   console.log(`Using model: ${currentModel}`);
   console.log(`Config directory: ${config.configDir}\n`);
 
@@ -245,28 +352,36 @@ async function runQuery(prompt, forceMode = null) {
   if (useMultiAgent) {
     // Run multi-agent orchestrator
     const reviewerEnabled = config.get('enableReviewer') || false;
-    await runMultiAgent(prompt, reviewerEnabled);
+    await runMultiAgent(prompt, reviewerEnabled, createPermissionPrompt(), createEditReview());
     return;
   }
 
   console.log('\nAssistant: ');
 
   let assistantResponse = '';
+  const progress = new ToolProgressView();
 
   try {
     for await (const event of query({
       prompt: `${SYSTEM_PROMPT}\n\nUser: ${prompt}`,
-      signal: AbortSignal.timeout(300000) // 5 minute timeout
+      signal: AbortSignal.timeout(300000), // 5 minute timeout
+      askPermission: createPermissionPrompt(),
+      reviewEdit: createEditReview()
     })) {
       if (event.type === 'stream_event') {
         // Show streaming text
         if (event.event.type === 'content_block_delta' && event.event.delta?.text) {
           process.stdout.write(event.event.delta.text);
           assistantResponse += event.event.delta.text;
+        } else if (event.event.delta?.type === 'thinking_delta') {
+          printThinking(event.event.delta.thinking);
         }
+      } else if (event.type === 'tool_progress') {
+        progress.update(event);
       } else if (event.type === 'tool_result') {
+        const streamed = progress.finish(event.toolUseId);
         console.log(`\n[Tool: ${event.tool}]`);
-        if (event.result.text) {
+        if (event.result.text && !streamed) {
           // Truncate long tool results
           const result = event.result.text.length > 500
             ? event.result.text.substring(0, 500) + '...'
@@ -274,6 +389,11 @@ async function runQuery(prompt, forceMode = null) {
           console.log(result);
         }
         console.log('');
+      } else if (event.type === 'tool_error') {
+        progress.finish(event.toolUseId);
+        console.log(`\n[Tool Error: ${event.tool}] ${event.error}\n`);
+      } else if (event.type === 'context_compacted') {
+        console.log(`\n[Context] Compacted history: ${event.beforeTokens} -> ${event.afterTokens} tokens`);
       } else if (event.type === 'error') {
         console.error('\nError:', event.message);
       } else if (event.type === 'session_end') {
@@ -298,18 +418,15 @@ async function interactiveMode() {
   console.log('[TIP] Multi-agent mode enabled by default. Use /singleagent for simpler mode\n');
 
   const rl = readline.createInterface({ input, output });
-  const conversationHistory = [];
+  // One session for the whole REPL, so history, the persistent shell and background processes carry over between turns
+  const conversation = { sessionId: randomUUID(), started: false };
   let multiAgentMode = config.get('defaultMode') !== 'singleagent';  // Multi-agent by default
   let reviewerEnabled = false;  // Track reviewer agent
   let enhancedMode = false;  // Disabled as it has bugs
   let autoMode = false;  // Auto-routing based on request analyzer
   let forceNext = null;  // Force mode for next request only
-
-  // Add system prompt
-  conversationHistory.push({
-    role: 'system',
-    content: SYSTEM_PROMPT
-  });
+  const askPermission = createPermissionPrompt(rl);
+  const reviewEdit = createEditReview(rl);
 
   while (true) {
     try {
@@ -328,7 +445,7 @@ async function interactiveMode() {
 
       // Special commands
       if (userInput.startsWith('/')) {
-        const result = await handleCommand(userInput, conversationHistory);
+        const result = await handleCommand(userInput, conversation);
         if (result && result.multiAgentMode !== undefined) {
           multiAgentMode = result.multiAgentMode;
           autoMode = false;  // Disable auto mode when manually setting
@@ -346,7 +463,7 @@ async function interactiveMode() {
           forceNext = result.forceNext;
         }
         if (result && result.resumedSession) {
-          // Session was resumed, history already updated by handleCommand
+          // Session was resumed, the conversation already points at it
         }
         continue;
       }
@@ -372,58 +489,64 @@ async function interactiveMode() {
 
       // Execute with appropriate mode
       if (useMultiAgentForThis) {
-        await runMultiAgent(userInput, reviewerEnabled);
+        await runMultiAgent(userInput, reviewerEnabled, askPermission, reviewEdit);
         continue;
       }
 
-      // Add user message to history
-      conversationHistory.push({
-        role: 'user',
-        content: userInput
-      });
-
       console.log('\nAssistant: ');
       if (enhancedMode) {
         console.log('(Enhanced mode active)\n');
       }
-      let assistantResponse = '';
 
       try {
         const queryFunction = enhancedMode ? queryEnhanced : query;
+        // The session keeps the history; the system prompt opens a new conversation
         const queryOptions = {
-          messages: conversationHistory,
+          sessionId: conversation.sessionId,
+          messages: [
+            ...(conversation.started ? [] : [{ role: 'system', content: SYSTEM_PROMPT }]),
+            { role: 'user', content: userInput }
+          ],
           signal: AbortSignal.timeout(300000),
           useEnhancedMode: enhancedMode,
           autoVerify: enhancedMode,
           smartRetry: enhancedMode,
-          platformInfo: getPlatformInfo()
+          platformInfo: getPlatformInfo(),
+          askPermission,
+          reviewEdit
         };
 
+        const progress = new ToolProgressView();
+
         for await (const event of queryFunction(queryOptions)) {
           if (event.type === 'stream_event') {
             if (event.event.type === 'content_block_delta' && event.event.delta?.text) {
               process.stdout.write(event.event.delta.text);
-              assistantResponse += event.event.delta.text;
+            } else if (event.event.delta?.type === 'thinking_delta') {
+              printThinking(event.event.delta.thinking);
             }
+          } else if (event.type === 'tool_progress') {
+            progress.update(event);
           } else if (event.type === 'tool_result') {
+            progress.finish(event.toolUseId);
             console.log(`\n[Tool: ${event.tool}]`);
+          } else if (event.type === 'tool_error') {
+            progress.finish(event.toolUseId);
+            console.log(`\n[Tool Error: ${event.tool}] ${event.error}`);
           } else if (event.type === 'verification_warning') {
             console.log(`\n[WARNING] Verification issues: ${event.issues.join(', ')}`);
           } else if (event.type === 'retry_info') {
             console.log(`\n[RETRY] Successful after ${event.attempts} attempts`);
+          } else if (event.type === 'context_compacted') {
+            console.log(`\n[Context] Compacted history: ${event.beforeTokens} -> ${event.afterTokens} tokens`);
           } else if (event.type === 'error') {
             console.error('\nError:', event.message);
+          } else if (event.type === 'session_end') {
+            // The session was saved with the system prompt and this turn
+            conversation.started = true;
           }
         }
 
-        // Add assistant response to history
-        if (assistantResponse) {
-          conversationHistory.push({
-            role: 'assistant',
-            content: assistantResponse
-          });
-        }
-
         console.log('\n');
       } catch (error) {
         console.error('\nError:', error.message);
@@ -435,6 +558,8 @@ async function interactiveMode() {
       console.error('Error:', error.message);
     }
   }
+
+  endSession(conversation.sessionId);
 }
 
 /**
@@ -483,7 +608,7 @@ function listSessions() {
 /**
  * Handle special commands
  */
-async function handleCommand(command, history) {
+async function handleCommand(command, conversation) {
   const parts = command.slice(1).split(' ');
   const cmd = parts[0];
 
@@ -511,6 +636,15 @@ Available commands:
   /fallback          - Enable automatic fallback to single-agent on failure
   /nofallback        - Disable automatic fallback
   /index [path]      - Index codebase for RAG (requires ChromaDB running)
+  /thinking on|off   - Show or hide model reasoning (dimmed)
+  /expand            - Show the full output of the last streamed tool call
+  /checkpoints       - List file checkpoints (one per turn or multi-agent run)
+  /undo [--force]    - Roll back the files changed by the last turn or run in this directory
+  /restore <id> [--force] - Roll back to before a checkpoint (and everything after it)
+  /permissions       - Show permission mode and rules
+  /permissions mode <default|acceptEdits|plan|bypass> - Set permission mode
+  /permissions allow|deny <rule> - Add a rule, e.g. Bash(git *) or Write(src/**)
+  /permissions remove <rule>     - Remove a rule
   /exit or exit      - Exit the program
 `);
       break;
@@ -519,7 +653,7 @@ Available commands:
       const models = await listModels();
       console.log('\nAvailable models:');
       models.forEach(model => {
-        const current = model.name === config.get('ollamaModel') ? ' (current)' : '';
+        const current = model.name === config.get(getProvider().modelKey) ? ' (current)' : '';
         console.log(`  - ${model.name}${current}`);
       });
       console.log('');
@@ -527,24 +661,29 @@ Available commands:
 
     case 'model':
       if (parts[1]) {
-        config.set('ollamaModel', parts[1]);
+        config.set(getProvider().modelKey, parts[1]);
         console.log(`Switched to model: ${parts[1]}\n`);
       } else {
-        console.log(`Current model: ${config.get('ollamaModel')}\n`);
+        console.log(`Current model: ${config.get(getProvider().modelKey)}\n`);
       }
       break;
 
     case 'config':
       console.log('\nCurrent configuration:');
-      console.log(`  Ollama Endpoint: ${config.get('ollamaEndpoint')}`);
-      console.log(`  Model: ${config.get('ollamaModel')}`);
+      console.log(`  Provider: ${config.get('provider')}`);
+      console.log(`  Endpoint: ${config.get(getProvider().endpointKey)}`);
+      console.log(`  Model: ${config.get(getProvider().modelKey)}`);
       console.log(`  Temperature: ${config.get('temperature')}`);
       console.log(`  Max Tokens: ${config.get('maxTokens')}`);
+      console.log(`  Model Profile: ${JSON.stringify(resolveModelProfile(config.get('modelProfiles', {}), config.get(getProvider().modelKey)))}`);
       console.log(`  Config Dir: ${config.configDir}\n`);
       break;
 
     case 'clear':
-      history.length = 1; // Keep only system prompt
+      // A fresh session: new history and shell, background processes stopped
+      endSession(conversation.sessionId);
+      conversation.sessionId = randomUUID();
+      conversation.started = false;
       console.log('Conversation history cleared.\n');
       break;
 
@@ -610,6 +749,59 @@ Available commands:
       console.log('Multi-agent failures will not automatically retry\n');
       return {};
 
+    case 'thinking':
+      if (parts[1] === 'on' || parts[1] === 'off') {
+        config.set('showThinking', parts[1] === 'on');
+      }
+      console.log(`[${config.get('showThinking') ? 'ENABLED' : 'DISABLED'}] Model reasoning display`);
+      console.log(`Reasoning is always saved to ${config.getDebugDir()}\n`);
+      return {};
+
+    case 'expand': {
+      const last = getLastToolOutput();
+      if (last) {
+        console.log(`\n${last.title}\n${last.text}`);
+      } else {
+        console.log('\nNo tool output to show yet.\n');
+      }
+      return {};
+    }
+
+    case 'checkpoints':
+      listCheckpoints();
+      return {};
+
+    case 'undo':
+      try {
+        const undone = checkpoints.undo(rollbackOptions(parts));
+        if (undone) {
+          printRollback([undone]);
+        } else {
+          console.log('\nNothing to undo in this directory.\n');
+        }
+      } catch (error) {
+        console.log(`\n${error.message}\n${error.changedFiles ? 'Run /undo --force to roll back anyway.\n' : ''}`);
+      }
+      return {};
+
+    case 'restore':
+      if (!parts[1] || parts[1] === '--force') {
+        console.log('Usage: /restore <checkpoint-id> [--force]');
+        console.log('Use /checkpoints to list checkpoints\n');
+        return {};
+      }
+      try {
+        printRollback(checkpoints.restore(parts[1], rollbackOptions(parts)));
+      } catch (error) {
+        const hint = error.changedFiles ? `Run /restore ${parts[1]} --force to roll back anyway.\n` : '';
+        console.log(`\n${error.message}\n${hint}`);
+      }
+      return {};
+
+    case 'permissions':
+      handlePermissionsCommand(parts.slice(1));
+      return {};
+
     case 'index':
       console.log('[INFO] Indexing codebase for RAG...');
       const indexPath = parts[1] || process.cwd();
@@ -651,23 +843,17 @@ Available commands:
         console.log(`\nResuming session: ${sessionId}`);
         console.log(`Messages in session: ${session.messages.length}`);
 
-        // Clear current history and replace with session history
-        history.length = 0;
-        session.messages.forEach(msg => {
-          history.push({
-            role: msg.role,
-            content: msg.content
-          });
-        });
-
         // Ensure system prompt is at the beginning if not present
-        if (history.length === 0 || history[0].role !== 'system') {
-          history.unshift({
-            role: 'system',
-            content: SYSTEM_PROMPT
-          });
+        if (session.messages[0]?.role !== 'system') {
+          session.messages.unshift({ role: 'system', content: SYSTEM_PROMPT });
+          session.save();
         }
 
+        // Continue in the resumed session from the next turn on
+        endSession(conversation.sessionId);
+        conversation.sessionId = sessionId;
+        conversation.started = true;
+
         console.log('Session resumed! Continue your conversation.\n');
 
         // Show last few messages for context
@@ -696,33 +882,152 @@ Available commands:
   }
 }
 
+/**
+ * Short one-line description of a checkpoint
+ */
+function describeCheckpoint(checkpoint) {
+  const label = checkpoint.label.trim().split('\n').pop().replace(/^User:\s*/, '');
+  const preview = label.length > 60 ? `${label.substring(0, 60)}...` : label;
+  return `${checkpoint.id} [${checkpoint.kind}] ${preview}`;
+}
+
+/**
+ * Rollbacks only touch checkpoints made in this directory; --force also overwrites files changed since
+ */
+function rollbackOptions(parts) {
+  return { workingDirectory: process.cwd(), force: parts.includes('--force') };
+}
+
+/**
+ * List recent checkpoints for this directory, newest first
+ */
+function listCheckpoints() {
+  const all = checkpoints.list({ workingDirectory: process.cwd() }).reverse();
+  if (all.length === 0) {
+    console.log('\nNo checkpoints in this directory yet. One is made for each turn that changes files.\n');
+    return;
+  }
+
+  console.log('\nCheckpoints (newest first):');
+  console.log('─'.repeat(60));
+  all.slice(0, 10).forEach(checkpoint => {
+    const date = new Date(checkpoint.createdAt).toLocaleString();
+    const status = checkpoint.restoredAt ? ' (rolled back)' : '';
+    console.log(describeCheckpoint(checkpoint) + status);
+    console.log(`   ${date} | Files: ${checkpoint.files.length}`);
+  });
+  if (all.length > 10) {
+    console.log(`\n... and ${all.length - 10} more checkpoints`);
+  }
+  console.log('\nUse /undo to roll back the latest, or /restore <id>\n');
+}
+
+/**
+ * Report which files a rollback restored or removed
+ */
+function printRollback(rollbacks) {
+  if (rollbacks.length === 0) {
+    console.log('\nThat checkpoint was already rolled back.\n');
+    return;
+  }
+
+  for (const { checkpoint, files } of rollbacks) {
+    console.log(`\n[UNDO] Rolled back ${describeCheckpoint(checkpoint)}`);
+    files.forEach(file => console.log(`   ${file.action}: ${file.path}`));
+  }
+  console.log('');
+}
+
+/**
+ * Show or change permission mode and rules (saved in config.json)
+ */
+function handlePermissionsCommand(args) {
+  const [action, ...rest] = args;
+  const value = rest.join(' ').trim();
+
+  if (action === 'mode') {
+    if (!PERMISSION_MODES.includes(value)) {
+      console.log(`Usage: /permissions mode <${PERMISSION_MODES.join('|')}>\n`);
+      return;
+    }
+    config.set('permissions.mode', value);
+    console.log(`[PERMISSIONS] Mode set to ${value}\n`);
+    return;
+  }
+
+  if (action === 'allow' || action === 'deny') {
+    try {
+      parseRule(value);
+    } catch (error) {
+      console.log(`${error.message}\nExample: /permissions ${action} Bash(git *)\n`);
+      return;
+    }
+    const rules = config.get(`permissions.${action}`, []) || [];
+    if (!rules.includes(value)) {
+      config.set(`permissions.${action}`, [...rules, value]);
+    }
+    console.log(`[PERMISSIONS] Added ${action} rule: ${value}\n`);
+    return;
+  }
+
+  if (action === 'remove') {
+    let removed = false;
+    for (const list of ['allow', 'deny']) {
+      const rules = config.get(`permissions.${list}`, []) || [];
+      if (rules.includes(value)) {
+        config.set(`permissions.${list}`, rules.filter(rule => rule !== value));
+        removed = true;
+      }
+    }
+    console.log(removed ? `[PERMISSIONS] Removed rule: ${value}\n` : `No rule found: ${value}\n`);
+    return;
+  }
+
+  console.log('\nPermissions:');
+  console.log(`  Mode: ${config.get('permissions.mode', 'default')}`);
+  console.log(`  Allow: ${(config.get('permissions.allow', []) || []).join(', ') || '(none)'}`);
+  console.log(`  Deny: ${(config.get('permissions.deny', []) || []).join(', ') || '(none)'}`);
+  console.log('Calls no rule covers are confirmed interactively.\n');
+}
+
 /**
  * Run single-agent fallback
  */
-async function runSingleAgentFallback(prompt) {
+async function runSingleAgentFallback(prompt, askPermission, reviewEdit) {
   console.log('Assistant (Single-Agent Fallback): ');
 
   let assistantResponse = '';
+  const progress = new ToolProgressView();
 
   try {
     for await (const event of query({
       prompt: `${SYSTEM_PROMPT}\n\nUser: ${prompt}`,
-      signal: AbortSignal.timeout(300000) // 5 minute timeout
+      signal: AbortSignal.timeout(300000), // 5 minute timeout
+      askPermission,
+      reviewEdit
     })) {
       if (event.type === 'stream_event') {
         if (event.event.type === 'content_block_delta' && event.event.delta?.text) {
           process.stdout.write(event.event.delta.text);
           assistantResponse += event.event.delta.text;
+        } else if (event.event.delta?.type === 'thinking_delta') {
+          printThinking(event.event.delta.thinking);
         }
+      } else if (event.type === 'tool_progress') {
+        progress.update(event);
       } else if (event.type === 'tool_result') {
+        const streamed = progress.finish(event.toolUseId);
         console.log(`\n[Tool: ${event.tool}]`);
-        if (event.result.text) {
+        if (event.result.text && !streamed) {
           const result = event.result.text.length > 500
             ? event.result.text.substring(0, 500) + '...'
             : event.result.text;
           console.log(result);
         }
         console.log('');
+      } else if (event.type === 'tool_error') {
+        progress.finish(event.toolUseId);
+        console.log(`\n[Tool Error: ${event.tool}] ${event.error}\n`);
       } else if (event.type === 'error') {
         throw new Error(event.message);
       } else if (event.type === 'session_end') {
@@ -740,12 +1045,14 @@ async function runSingleAgentFallback(prompt) {
 /**
  * Run multi-agent orchestrator
  */
-async function runMultiAgent(userRequest, reviewerEnabled = false) {
+async function runMultiAgent(userRequest, reviewerEnabled = false, askPermission = null, reviewEdit = null) {
   console.log('\n[INFO] Launching multi-agent pipeline...\n');
 
   const orchestrator = new Orchestrator({
     maxRetries: 2,
-    enableReviewer: reviewerEnabled
+    enableReviewer: reviewerEnabled,
+    askPermission,
+    reviewEdit
   });
 
   try {
@@ -760,6 +1067,13 @@ async function runMultiAgent(userRequest, reviewerEnabled = false) {
     console.log(`Success: ${summary.success ? '[YES]' : '[NO]'}`);
     console.log(`Stages completed: ${summary.stages_completed}/${summary.total_stages}`);
 
+    if (Object.keys(summary.stage_models).length > 0) {
+      console.log(`\nModels:`);
+      for (const [stage, model] of Object.entries(summary.stage_models)) {
+        console.log(`  ${stage}: ${model}`);
+      }
+    }
+
     if (summary.files_created && summary.files_created.length > 0) {
       console.log(`\nFiles created:`);
       summary.files_created.forEach(file => {
@@ -786,7 +1100,7 @@ async function runMultiAgent(userRequest, reviewerEnabled = false) {
       console.log('\n[FALLBACK] Attempting single-agent mode...\n');
 
       try {
-        await runSingleAgentFallback(userRequest);
+        await runSingleAgentFallback(userRequest, askPermission, reviewEdit);
         console.log('\n[FALLBACK] Single-agent mode completed successfully\n');
         return { success: true, fallback: true };
       } catch (fallbackError) {
@@ -826,7 +1140,7 @@ async function indexCodebase(directoryPath) {
     // Index the directory
     const stats = await indexer.indexDirectory(directoryPath, {
       verbose: true,
-      excludePatterns: ['node_modules/**', '.git/**', 'dist/**', 'build/**', '__pycache__/**', '*.pyc']
+      excludePatterns: ['node_modules/', 'dist/', 'build/', '__pycache__/', '*.pyc']
     });
 
     console.log('\n[SUCCESS] Indexing complete!');
@@ -17,6 +17,7 @@ export class Config {
     this.configFile = join(this.configDir, 'config.json');
     this.sessionsDir = join(this.configDir, '.sessions');
     this.debugDir = join(this.configDir, '.debug');
+    this.checkpointsDir = join(this.configDir, '.checkpoints');
 
     this.ensureConfigDir();
     this.config = this.load();
@@ -75,20 +76,91 @@ export class Config {
    */
   getDefaults() {
     return {
+      // Backend provider: 'ollama' or 'openai' (llama.cpp server, vLLM, LM Studio)
+      provider: 'ollama',
+
       // Ollama settings
       ollamaEndpoint: 'http://localhost:11434',
       ollamaModel: 'qwen3:32b',
 
+      // OpenAI-compatible server settings
+      openaiEndpoint: 'http://localhost:8080',
+      openaiModel: 'local-model',
+      openaiApiKey: '',
+
       // Model settings
       temperature: 0.7,
       maxTokens: 32000,
 
+      // Runtime options per model, merged into each request. "default" applies to every model.
+      // Keys: temperature, num_predict, num_ctx, top_p, top_k, repeat_penalty, seed, stop, keep_alive, think, e.g.
+      // modelProfiles: { "qwen3:32b": { num_ctx: 40960, keep_alive: "30m" } }
+      modelProfiles: {},
+
+      // Context window management
+      contextWindow: 32768,      // Default context window in tokens
+      contextWindows: {},        // Per-model overrides, e.g. { "qwen3:32b": 40960 }
+      compactionThreshold: 0.75, // Compact history when it fills this share of the window
+      keepRecentMessages: 6,     // Latest messages never compacted
+      maxToolOutputTokens: 4000, // Older tool outputs are shortened to this size
+
+      // Per-stage overrides for the multi-agent pipeline, e.g.
+      // agents.explorer = { model: 'qwen3:8b', temperature: 0.3, maxTokens: 8000 }
+      agents: {},
+
+      // Tool calls written as text are recovered in these formats, keyed by model
+      // family (name prefix). Use [] to disable for a family, e.g. { "llama3.1": [] }
+      textToolCallFormats: {
+        default: ['xml', 'mistral', 'labeled', 'json']
+      },
+
+      // Tool permissions. Rules are "Tool" or "Tool(pattern)", e.g. "Bash(git *)", "Write(src/**)".
+      // Modes: default (ask when no rule matches), acceptEdits (file edits allowed),
+      // plan (read-only tools only) and bypass (everything not denied)
+      permissions: {
+        mode: 'default',
+        allow: ['Read', 'Glob', 'Grep', 'RAGQuery', 'SemanticSearch', 'TodoWrite', 'BashOutput', 'BashStatus', 'KillBash'],
+        deny: []
+      },
+
+      // Bash sandbox (Linux, needs bubblewrap or unprivileged user namespaces): the working
+      // directory and writablePaths stay writable, everything else is read-only and the
+      // network is off. Enable globally here or per stage with agents.<name>.sandbox
+      sandbox: {
+        enabled: false,
+        network: false,
+        writablePaths: [],
+        envAllowlist: ['PATH', 'HOME', 'USER', 'LANG', 'LC_ALL', 'TERM', 'SHELL', 'TZ', 'NODE_ENV']
+      },
+
+      // Web search for the WebSearch tool. provider: '' (off), 'searxng' (endpoint of a SearxNG
+      // instance with the json format enabled) or 'http' (any JSON API: url template with {query}
+      // and {limit}, optional method/headers/body, resultsPath to the result list and
+      // fields: { title, url, snippet } naming each result's keys)
+      webSearch: {
+        provider: '',
+        endpoint: 'http://localhost:8888',
+        maxResults: 8,
+        timeout: 15000
+      },
+
       // Tool settings
       bashMaxOutputLength: 30000,
+      showToolProgress: true,  // Stream running tool output (e.g. Bash) into the CLI
+      toolProgressLines: 10,  // Lines of live output kept on screen before it collapses
+      bashPersistentShell: false,  // Keep one shell per session so cd, export and venv activation carry over
+      autoAcceptEdits: false,  // Show Write/Edit diffs in the CLI but apply them without asking
+      maxCheckpoints: 50,  // File snapshots kept for /undo and /restore; oldest are dropped first
+      toolConcurrency: 4,  // Read-only tool calls (Read, Glob, Grep, ...) run at once per turn
+      readLineLimit: 2000,  // Lines Read returns when no limit is given
+      readMaxLineLength: 2000,  // Longer lines are cut off in Read output
+      requireReadBeforeEdit: true,  // Edit refuses files not read this session or changed since
+      globMaxResults: 100,  // Glob matches returned when no limit is given
 
       // Debug settings
       debug: false,
       debugTools: false,  // Set to true to see raw Ollama responses
+      showThinking: false,  // Print model reasoning dimmed in the CLI (/thinking on|off)
 
       // Session settings
       enableSessionResume: true
@@ -146,6 +218,13 @@ export class Config {
     return this.debugDir;
   }
 
+  /**
+   * Get the checkpoints directory path
+   */
+  getCheckpointsDir() {
+    return this.checkpointsDir;
+  }
+
   /**
    * Get session file path
    */
@@ -161,5 +240,15 @@ export class Config {
   }
 }
 
+/**
+ * Resolve the runtime profile for a model: the "default" profile, then the model's own entry
+ */
+export function resolveModelProfile(profiles = {}, model) {
+  return {
+    ...(profiles.default || {}),
+    ...((model && profiles[model]) || {})
+  };
+}
+
 // Export singleton instance
 export const config = new Config();
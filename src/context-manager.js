@@ -0,0 +1,209 @@
+/**
+ * Context Manager
+ * Keeps message history inside the model's context window by
+ * shortening huge tool outputs and summarizing older turns
+ */
+
+import { config, resolveModelProfile } from './config.js';
+
+// Per-message overhead for role markers and chat template tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Rough cost of one attached image for vision models
+const IMAGE_TOKENS = 1000;
+
+const SUMMARY_PROMPT = `Summarize the conversation below so a coding assistant can continue the task without it.
+Keep: the user's goal, files read or changed (with paths), decisions made, errors hit, and what is still left to do.
+Drop: full file contents, long tool output and chit-chat. Reply with the summary only.`;
+
+/**
+ * Estimate token count for a piece of text (~4 characters per token)
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Get the text of a message, whether content is a string or content blocks
+ */
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Get the context window configured for a model.
+ * An explicit contextWindows entry wins, then the model profile's num_ctx.
+ */
+export function getContextWindow(model) {
+  const perModel = config.get('contextWindows', {}) || {};
+  const profile = resolveModelProfile(config.get('modelProfiles', {}), model);
+  return perModel[model] || profile.num_ctx || config.get('contextWindow', 32768);
+}
+
+export class ContextManager {
+  constructor(options = {}) {
+    this.client = options.client || null;
+    this.model = options.model;
+    this.contextWindow = options.contextWindow || getContextWindow(this.model);
+    this.threshold = options.threshold ?? config.get('compactionThreshold', 0.75);
+    this.keepRecentMessages = options.keepRecentMessages ?? config.get('keepRecentMessages', 6);
+    this.maxToolOutputTokens = options.maxToolOutputTokens ?? config.get('maxToolOutputTokens', 4000);
+  }
+
+  /**
+   * Count tokens for one message
+   */
+  countMessageTokens(message) {
+    const images = Array.isArray(message.content) ? message.content.filter(block => block.type === 'image').length : 0;
+    return estimateTokens(messageText(message)) + images * IMAGE_TOKENS + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  /**
+   * Count tokens for a list of messages
+   */
+  countTokens(messages) {
+    return messages.reduce((total, message) => total + this.countMessageTokens(message), 0);
+  }
+
+  /**
+   * Token budget at which compaction kicks in
+   */
+  getBudget() {
+    return Math.floor(this.contextWindow * this.threshold);
+  }
+
+  /**
+   * Check whether the history has grown past the budget
+   */
+  needsCompaction(messages) {
+    return this.countTokens(messages) > this.getBudget();
+  }
+
+  /**
+   * Shorten a tool result's text to the tool output limit, keeping head and tail.
+   * Other messages are returned unchanged.
+   */
+  shortenMessage(message) {
+    if (!message.toolResult) return message;
+
+    const text = messageText(message);
+    if (estimateTokens(text) <= this.maxToolOutputTokens) return message;
+
+    const keepChars = this.maxToolOutputTokens * 4;
+    const head = text.slice(0, Math.floor(keepChars * 0.7));
+    const tail = text.slice(text.length - Math.floor(keepChars * 0.3));
+    const omitted = text.length - head.length - tail.length;
+
+    return {
+      ...message,
+      content: `${head}\n\n... [${omitted} characters omitted to save context] ...\n\n${tail}`
+    };
+  }
+
+  /**
+   * Compact the history: system prompt, first user message and latest turns stay intact,
+   * oversized older tool results are shortened and then the rest is summarized by the model.
+   * Agents and single-shot runs send their system prompt and task as the first user message.
+   * Returns { messages, compacted, beforeTokens, afterTokens, summarizedCount }
+   */
+  async compact(messages, options = {}) {
+    const beforeTokens = this.countTokens(messages);
+
+    let pinnedCount = 0;
+    while (pinnedCount < messages.length && messages[pinnedCount].role === 'system') {
+      pinnedCount++;
+    }
+    if (messages[pinnedCount]?.role === 'user') {
+      pinnedCount++;
+    }
+
+    const pinned = messages.slice(0, pinnedCount);
+    const rest = messages.slice(pinnedCount);
+    const recentStart = Math.max(0, rest.length - this.keepRecentMessages);
+    const older = rest.slice(0, recentStart).map(message => this.shortenMessage(message));
+    const recent = rest.slice(recentStart);
+
+    if (older.length === 0) {
+      return { messages, compacted: false, beforeTokens, afterTokens: beforeTokens, summarizedCount: 0 };
+    }
+
+    let middle = older;
+    let summarizedCount = 0;
+
+    if (this.countTokens([...pinned, ...older, ...recent]) > this.getBudget()) {
+      const summary = await this.summarize(older, options);
+
+      if (summary) {
+        middle = [{
+          role: 'user',
+          content: `[Summary of earlier conversation]\n${summary}`
+        }];
+        summarizedCount = older.length;
+      } else {
+        // Summarization failed - drop the oldest turns until we fit
+        while (middle.length > 0 && this.countTokens([...pinned, ...middle, ...recent]) > this.getBudget()) {
+          middle = middle.slice(1);
+          summarizedCount++;
+        }
+        if (summarizedCount > 0) {
+          middle = [{
+            role: 'user',
+            content: `[${summarizedCount} earlier messages were removed to fit the context window]`
+          }, ...middle];
+        }
+      }
+    }
+
+    const compacted = [...pinned, ...middle, ...recent];
+
+    return {
+      messages: compacted,
+      compacted: true,
+      beforeTokens,
+      afterTokens: this.countTokens(compacted),
+      summarizedCount
+    };
+  }
+
+  /**
+   * Ask the model for a summary of older messages; returns null on failure
+   */
+  async summarize(messages, options = {}) {
+    if (!this.client) return null;
+
+    const transcript = messages
+      .map(message => `${message.role.toUpperCase()}: ${messageText(message)}`)
+      .join('\n\n');
+
+    try {
+      const response = await this.client.chat([
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: transcript }
+      ], {
+        model: this.model,
+        temperature: 0.2,
+        max_tokens: 1024,
+        signal: options.signal
+      });
+
+      const summary = response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n')
+        .trim();
+
+      return summary || null;
+    } catch (error) {
+      console.error('Failed to summarize conversation:', error.message);
+      return null;
+    }
+  }
+}
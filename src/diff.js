@@ -0,0 +1,185 @@
+/**
+ * Diff
+ * Line-based unified diffs for previewing file changes
+ */
+
+/**
+ * Above this many line comparisons the changed region is shown as one replacement
+ * instead of being diffed line by line
+ */
+const MAX_DIFF_CELLS = 4_000_000;
+
+const NO_NEWLINE = '\\ No newline at end of file';
+
+/**
+ * Split text into lines, remembering whether the last line ends with a newline
+ */
+function toLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n').map(line => ({ text: line, eol: true }));
+  if (lines[lines.length - 1].text === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1].eol = false;
+  }
+  return lines;
+}
+
+function sameLine(a, b) {
+  return a.text === b.text && a.eol === b.eol;
+}
+
+/**
+ * Compute line operations between two line arrays: [{ type: ' ' | '-' | '+', line, oldIndex, newIndex }]
+ */
+function diffLines(oldLines, newLines) {
+  // Common prefix and suffix are cheap and usually cover most of the file
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && sameLine(oldLines[start], newLines[start])) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && sameLine(oldLines[oldEnd - 1], newLines[newEnd - 1])) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: ' ', line: oldLines[i], oldIndex: i, newIndex: i });
+  }
+
+  const rows = oldEnd - start;
+  const cols = newEnd - start;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    for (let i = start; i < oldEnd; i++) ops.push({ type: '-', line: oldLines[i], oldIndex: i });
+    for (let j = start; j < newEnd; j++) ops.push({ type: '+', line: newLines[j], newIndex: j });
+  } else {
+    // Longest common subsequence table over the changed region
+    const table = new Uint32Array((rows + 1) * (cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        table[i * (cols + 1) + j] = sameLine(oldLines[start + i], newLines[start + j])
+          ? table[(i + 1) * (cols + 1) + j + 1] + 1
+          : Math.max(table[(i + 1) * (cols + 1) + j], table[i * (cols + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && sameLine(oldLines[start + i], newLines[start + j])) {
+        ops.push({ type: ' ', line: oldLines[start + i], oldIndex: start + i, newIndex: start + j });
+        i++;
+        j++;
+      } else if (i < rows && (j === cols || table[(i + 1) * (cols + 1) + j] >= table[i * (cols + 1) + j + 1])) {
+        ops.push({ type: '-', line: oldLines[start + i], oldIndex: start + i });
+        i++;
+      } else {
+        ops.push({ type: '+', line: newLines[start + j], newIndex: start + j });
+        j++;
+      }
+    }
+  }
+
+  for (let i = oldEnd, j = newEnd; i < oldLines.length; i++, j++) {
+    ops.push({ type: ' ', line: oldLines[i], oldIndex: i, newIndex: j });
+  }
+
+  return ops;
+}
+
+/**
+ * Create a unified diff between two versions of a file.
+ * Returns '' when they are the same.
+ *
+ * @param {string|null} oldText - Current content, or null for a new file
+ * @param {string|null} newText - Proposed content, or null for a deleted file
+ * @param {Object} options
+ * @param {string} options.path - File path shown in the headers
+ * @param {number} options.context - Unchanged lines shown around each change (default: 3)
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { path = 'file', context = 3 } = options;
+  const oldLines = toLines(oldText ?? '');
+  const newLines = toLines(newText ?? '');
+  const ops = diffLines(oldLines, newLines);
+
+  const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index !== -1);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context overlaps into hunks
+  const ranges = [];
+  for (const index of changed) {
+    const from = Math.max(index - context, 0);
+    const to = Math.min(index + context, ops.length - 1);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = to;
+    } else {
+      ranges.push({ from, to });
+    }
+  }
+
+  const output = [
+    `--- ${oldText === null ? '/dev/null' : `a/${path}`}`,
+    `+++ ${newText === null ? '/dev/null' : `b/${path}`}`
+  ];
+
+  for (const { from, to } of ranges) {
+    const hunk = ops.slice(from, to + 1);
+
+    // Line numbers where the hunk starts on each side
+    const before = ops.slice(0, from);
+    const oldStart = before.filter(op => op.type !== '+').length;
+    const newStart = before.filter(op => op.type !== '-').length;
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+
+    output.push(`@@ -${oldCount ? oldStart + 1 : oldStart},${oldCount} +${newCount ? newStart + 1 : newStart},${newCount} @@`);
+    for (const op of hunk) {
+      output.push(`${op.type}${op.line.text}`);
+      if (!op.line.eol) output.push(NO_NEWLINE);
+    }
+  }
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Count added and removed lines in a unified diff
+ */
+export function diffStats(diff) {
+  let added = 0;
+  let removed = 0;
+  let inHunk = false;
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('@@')) inHunk = true;
+    else if (inHunk && line.startsWith('+')) added++;
+    else if (inHunk && line.startsWith('-')) removed++;
+  }
+  return { added, removed };
+}
+
+/**
+ * Color a unified diff for the terminal
+ */
+export function colorizeDiff(diff) {
+  let inHunk = false;
+  return diff
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('@@')) {
+        inHunk = true;
+        return `\x1b[36m${line}\x1b[0m`;
+      }
+      if (!inHunk) return `\x1b[1m${line}\x1b[0m`;
+      if (line.startsWith('+')) return `\x1b[32m${line}\x1b[0m`;
+      if (line.startsWith('-')) return `\x1b[31m${line}\x1b[0m`;
+      if (line.startsWith('\\')) return `\x1b[2m${line}\x1b[0m`;
+      return line;
+    })
+    .join('\n');
+}
@@ -0,0 +1,289 @@
+/**
+ * Edit Matcher
+ * Finds the text an edit should replace when the model's old_string differs from
+ * the file only in line endings, trailing whitespace or indentation
+ */
+
+/**
+ * Tiers tried in order; the first one that finds old_string is used.
+ * The value describes the tier in tool results.
+ */
+export const MATCH_TIERS = {
+  exact: 'exact match',
+  lineEndings: 'matched after normalizing line endings',
+  trimmed: 'matched ignoring trailing whitespace',
+  indentation: 'matched ignoring indentation; the replacement was re-indented to match the file'
+};
+
+/**
+ * Above this many line comparisons no closest candidate is searched for
+ */
+const MAX_CANDIDATE_CELLS = 2_000_000;
+
+const TAB_WIDTH = 4;
+
+function indentOf(line) {
+  return /^[ \t]*/.exec(line)[0];
+}
+
+function indentWidth(indent) {
+  let width = 0;
+  for (const ch of indent) width += ch === '\t' ? TAB_WIDTH - (width % TAB_WIDTH) : 1;
+  return width;
+}
+
+function isBlank(line) {
+  return line.trim() === '';
+}
+
+/**
+ * Split content into lines with their offsets: [{ text, start, end, next }]
+ * `end` is where the text stops and `next` is after its line ending.
+ */
+function splitLines(content) {
+  const lines = [];
+  let start = 0;
+  while (start <= content.length) {
+    const newline = content.indexOf('\n', start);
+    if (newline === -1) {
+      if (start < content.length) lines.push({ text: content.slice(start), start, end: content.length, next: content.length });
+      break;
+    }
+    const end = newline > start && content[newline - 1] === '\r' ? newline - 1 : newline;
+    lines.push({ text: content.slice(start, end), start, end, next: newline + 1 });
+    start = newline + 1;
+  }
+  return lines;
+}
+
+/**
+ * Rank of each line's indentation among the distinct widths in the block, so
+ * "\t" / "\t\t" and "  " / "    " compare equal. Blank lines get null.
+ */
+function indentRanks(texts) {
+  const widths = texts.map(text => (isBlank(text) ? null : indentWidth(indentOf(text))));
+  const distinct = [...new Set(widths.filter(width => width !== null))].sort((a, b) => a - b);
+  return widths.map(width => (width === null ? null : distinct.indexOf(width)));
+}
+
+/**
+ * Non-overlapping occurrences of a string: [{ start, end }]
+ */
+function findExact(content, search) {
+  const matches = [];
+  if (search === '') return matches;
+  let index = content.indexOf(search);
+  while (index !== -1) {
+    matches.push({ start: index, end: index + search.length });
+    index = content.indexOf(search, index + search.length);
+  }
+  return matches;
+}
+
+/**
+ * Occurrences with CRLF and LF treated the same, as offsets into the original content
+ */
+function findIgnoringLineEndings(content, search) {
+  const positions = [];
+  let normalized = '';
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\r' && content[i + 1] === '\n') continue;
+    positions.push(i);
+    normalized += content[i];
+  }
+  positions.push(content.length);
+
+  return findExact(normalized, search.replace(/\r\n/g, '\n')).map(({ start, end }) => ({
+    start: positions[start],
+    end: positions[end]
+  }));
+}
+
+/**
+ * Whole-line occurrences of the search lines, compared by `sameLines`
+ */
+function findLines(lines, searchLines, sameLines) {
+  const matches = [];
+  for (let i = 0; i + searchLines.length <= lines.length; i++) {
+    const window = lines.slice(i, i + searchLines.length);
+    if (sameLines(window.map(line => line.text), searchLines)) {
+      matches.push({ first: i, last: i + searchLines.length - 1, lines: window });
+      i += searchLines.length - 1;
+    }
+  }
+  return matches;
+}
+
+function sameIgnoringTrailing(fileTexts, searchTexts) {
+  return fileTexts.every((text, k) => text.trimEnd() === searchTexts[k].trimEnd());
+}
+
+function sameIgnoringIndentation(fileTexts, searchTexts) {
+  if (!fileTexts.every((text, k) => text.trim() === searchTexts[k].trim())) return false;
+  const fileRanks = indentRanks(fileTexts);
+  const searchRanks = indentRanks(searchTexts);
+  return fileRanks.every((rank, k) => rank === null || searchRanks[k] === null || rank === searchRanks[k]);
+}
+
+/**
+ * Smallest step between indentation widths, used to convert indent levels
+ */
+function indentUnit(widths) {
+  const distinct = [...new Set(widths)].sort((a, b) => a - b);
+  let unit = 0;
+  for (let i = 1; i < distinct.length; i++) {
+    const step = distinct[i] - distinct[i - 1];
+    if (step > 0 && (unit === 0 || step < unit)) unit = step;
+  }
+  return unit;
+}
+
+/**
+ * Re-indent replacement lines written in the search text's indentation style
+ * into the style of the matched file lines
+ */
+function reindent(newLines, searchLines, fileTexts) {
+  // Indentation seen on each side of the match
+  const mapping = new Map();
+  searchLines.forEach((text, k) => {
+    if (!isBlank(text) && !isBlank(fileTexts[k])) {
+      mapping.set(indentWidth(indentOf(text)), indentOf(fileTexts[k]));
+    }
+  });
+
+  const searchWidths = [...searchLines, ...newLines].filter(text => !isBlank(text)).map(text => indentWidth(indentOf(text)));
+  const searchBase = Math.min(...searchLines.filter(text => !isBlank(text)).map(text => indentWidth(indentOf(text))));
+  const searchUnit = indentUnit(searchWidths) || TAB_WIDTH;
+
+  const fileIndents = fileTexts.filter(text => !isBlank(text)).map(indentOf);
+  const fileBase = mapping.get(searchBase) ?? '';
+  const fileUnit = fileIndents.some(indent => indent.includes('\t'))
+    ? '\t'
+    : ' '.repeat(indentUnit(fileIndents.map(indentWidth)) || searchUnit);
+
+  return newLines.map(text => {
+    if (isBlank(text)) return '';
+    const width = indentWidth(indentOf(text));
+    let indent = mapping.get(width);
+    if (indent === undefined) {
+      const levels = Math.round((width - searchBase) / searchUnit);
+      indent = levels >= 0
+        ? fileBase + fileUnit.repeat(levels)
+        : fileBase.slice(0, Math.max(fileBase.length + levels * fileUnit.length, 0));
+    }
+    return indent + text.trimStart();
+  });
+}
+
+/**
+ * Find where old_string occurs in the content, trying each tier in turn.
+ * Returns { tier, matches: [{ start, end, replace(newString) }] }; matches is empty when nothing matched.
+ */
+export function findMatches(content, oldString) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const toFileEol = text => text.replace(/\r\n/g, '\n').replace(/\n/g, eol);
+
+  const exact = findExact(content, oldString);
+  if (exact.length > 0) {
+    return { tier: 'exact', matches: exact.map(match => ({ ...match, replace: newString => newString })) };
+  }
+
+  const normalized = findIgnoringLineEndings(content, oldString);
+  if (normalized.length > 0) {
+    return { tier: 'lineEndings', matches: normalized.map(match => ({ ...match, replace: toFileEol })) };
+  }
+
+  // The remaining tiers compare whole lines
+  const search = oldString.replace(/\r\n/g, '\n');
+  const endsWithNewline = search.endsWith('\n');
+  const searchLines = (endsWithNewline ? search.slice(0, -1) : search).split('\n');
+  if (searchLines.every(isBlank)) return { tier: null, matches: [] };
+
+  const lines = splitLines(content);
+  const toRange = match => ({
+    start: match.lines[0].start,
+    end: endsWithNewline ? match.lines[match.lines.length - 1].next : match.lines[match.lines.length - 1].end
+  });
+  // Keep the line ending old_string consumed, and the file's own
+  const toNewLines = newString => {
+    const text = newString.replace(/\r\n/g, '\n');
+    return (endsWithNewline && text.endsWith('\n') ? text.slice(0, -1) : text).split('\n');
+  };
+  const join = (newLines, newString) => {
+    const keepsNewline = endsWithNewline && newString.replace(/\r\n/g, '\n').endsWith('\n');
+    return newLines.join(eol) + (keepsNewline ? eol : '');
+  };
+
+  const trimmed = findLines(lines, searchLines, sameIgnoringTrailing);
+  if (trimmed.length > 0) {
+    return {
+      tier: 'trimmed',
+      matches: trimmed.map(match => ({ ...toRange(match), replace: newString => join(toNewLines(newString), newString) }))
+    };
+  }
+
+  const indented = findLines(lines, searchLines, sameIgnoringIndentation);
+  if (indented.length > 0) {
+    return {
+      tier: 'indentation',
+      matches: indented.map(match => ({
+        ...toRange(match),
+        replace: newString => join(reindent(toNewLines(newString), searchLines, match.lines.map(line => line.text)), newString)
+      }))
+    };
+  }
+
+  return { tier: null, matches: [] };
+}
+
+/**
+ * Character bigrams of a trimmed line, for similarity scores
+ */
+function bigrams(text) {
+  const counts = new Map();
+  const trimmed = text.trim().replace(/\s+/g, ' ');
+  for (let i = 0; i < trimmed.length - 1; i++) {
+    const pair = trimmed.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return { text: trimmed, counts, size: Math.max(trimmed.length - 1, 0) };
+}
+
+function similarity(a, b) {
+  if (a.text === b.text) return 1;
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const [pair, count] of a.counts) shared += Math.min(count, b.counts.get(pair) || 0);
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Find the region of the file most like old_string, for "not found" errors.
+ * Returns { startLine, endLine, score, text } or null.
+ */
+export function findClosestMatch(content, oldString) {
+  const searchLines = oldString.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  const lines = splitLines(content);
+  if (lines.length === 0 || searchLines.every(isBlank)) return null;
+  if (lines.length * searchLines.length > MAX_CANDIDATE_CELLS) return null;
+
+  const size = Math.min(searchLines.length, lines.length);
+  const searchGrams = searchLines.map(bigrams);
+  const fileGrams = lines.map(line => bigrams(line.text));
+
+  let best = null;
+  for (let i = 0; i + size <= lines.length; i++) {
+    let total = 0;
+    for (let k = 0; k < size; k++) total += similarity(fileGrams[i + k], searchGrams[k]);
+    const score = total / searchLines.length;
+    if (!best || score > best.score) best = { index: i, score };
+  }
+
+  if (!best || best.score === 0) return null;
+  return {
+    startLine: best.index + 1,
+    endLine: best.index + size,
+    score: best.score,
+    text: lines.slice(best.index, best.index + size).map(line => line.text).join('\n')
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * File Reads
+ * Remembers which files each session has read and what they looked like then,
+ * so edits can insist on a fresh read instead of patching a file from memory
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { createHash } from 'crypto';
+import { resolve } from 'path';
+import { config } from './config.js';
+
+/**
+ * Reads per session id: Map(session id -> Map(absolute path -> fingerprint))
+ */
+const sessions = new Map();
+
+/**
+ * Identify a file's current content; null when it does not exist
+ */
+function fingerprint(filePath) {
+  try {
+    const stats = statSync(filePath);
+    const hash = createHash('sha1').update(readFileSync(filePath)).digest('hex');
+    return { mtimeMs: stats.mtimeMs, size: stats.size, hash };
+  } catch {
+    return null;
+  }
+}
+
+function getReads(context) {
+  const id = context?.session?.id;
+  if (!id) return null;
+  if (!sessions.has(id)) sessions.set(id, new Map());
+  return sessions.get(id);
+}
+
+/**
+ * Record that the model has seen the file as it is now.
+ * Also called after a tool writes the file, so the next edit does not need another read.
+ */
+export function recordFileRead(context, filePath) {
+  const reads = getReads(context);
+  if (!reads) return;
+
+  const current = fingerprint(filePath);
+  if (current) reads.set(resolve(filePath), current);
+}
+
+/**
+ * Check that a file was read in this session and has not changed since.
+ * Returns an error message, or null when the edit may go ahead.
+ * Without a session in the context (SDK helpers, tests) nothing is checked.
+ */
+export function checkFileRead(context, filePath) {
+  const reads = getReads(context);
+  if (!reads || !config.get('requireReadBeforeEdit', true)) return null;
+
+  const path = resolve(filePath);
+  const previous = reads.get(path);
+  if (!previous) {
+    return `You have not read ${filePath} in this session. Read it before editing so old_string matches its current content.`;
+  }
+
+  const stats = (() => {
+    try {
+      return statSync(path);
+    } catch {
+      return null;
+    }
+  })();
+  if (!stats) return null;
+  if (stats.mtimeMs === previous.mtimeMs && stats.size === previous.size) return null;
+
+  // A touched but unchanged file is fine
+  const current = fingerprint(path);
+  if (current && current.hash === previous.hash) {
+    reads.set(path, current);
+    return null;
+  }
+
+  return `${filePath} has changed since you last read it (edited by the user, a command or another tool). Read it again before editing.`;
+}
@@ -0,0 +1,157 @@
+/**
+ * File Types
+ * Detect what a file holds from its name and first bytes, so the Read tool can
+ * render it, send it as an image or refuse it instead of dumping bytes as text
+ */
+
+import { openSync, readSync, closeSync, statSync } from 'fs';
+import { extname } from 'path';
+
+/**
+ * Bytes inspected for magic numbers and binary content
+ */
+const SNIFF_BYTES = 8192;
+
+/**
+ * Image formats that can be sent to vision models
+ */
+export const IMAGE_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+/**
+ * Known binary signatures: [bytes, offset, name]
+ */
+const SIGNATURES = [
+  [[0x89, 0x50, 0x4e, 0x47], 0, 'png'],
+  [[0xff, 0xd8, 0xff], 0, 'jpeg'],
+  [[0x47, 0x49, 0x46, 0x38], 0, 'gif'],
+  [[0x52, 0x49, 0x46, 0x46], 0, 'riff'],
+  [[0x25, 0x50, 0x44, 0x46, 0x2d], 0, 'pdf'],
+  [[0x50, 0x4b, 0x03, 0x04], 0, 'ZIP archive'],
+  [[0x1f, 0x8b], 0, 'gzip archive'],
+  [[0x42, 0x5a, 0x68], 0, 'bzip2 archive'],
+  [[0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], 0, 'xz archive'],
+  [[0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], 0, '7-Zip archive'],
+  [[0x75, 0x73, 0x74, 0x61, 0x72], 257, 'tar archive'],
+  [[0x7f, 0x45, 0x4c, 0x46], 0, 'ELF executable'],
+  [[0xcf, 0xfa, 0xed, 0xfe], 0, 'Mach-O executable'],
+  [[0xca, 0xfe, 0xba, 0xbe], 0, 'Java class or Mach-O universal binary'],
+  [[0x4d, 0x5a], 0, 'Windows executable'],
+  [[0x00, 0x61, 0x73, 0x6d], 0, 'WebAssembly module'],
+  [[0x53, 0x51, 0x4c, 0x69, 0x74, 0x65], 0, 'SQLite database'],
+  [[0x42, 0x4d], 0, 'BMP image'],
+  [[0x49, 0x49, 0x2a, 0x00], 0, 'TIFF image'],
+  [[0x4d, 0x4d, 0x00, 0x2a], 0, 'TIFF image'],
+  [[0x00, 0x00, 0x01, 0x00], 0, 'ICO image'],
+  [[0x49, 0x44, 0x33], 0, 'MP3 audio'],
+  [[0x4f, 0x67, 0x67, 0x53], 0, 'Ogg media'],
+  [[0x66, 0x4c, 0x61, 0x43], 0, 'FLAC audio'],
+  [[0x1a, 0x45, 0xdf, 0xa3], 0, 'Matroska/WebM video'],
+  [[0x77, 0x4f, 0x46, 0x46], 0, 'WOFF font'],
+  [[0x77, 0x4f, 0x46, 0x32], 0, 'WOFF2 font']
+];
+
+/**
+ * Short signatures that are also plausible text prefixes; they only count for binary content
+ */
+const WEAK_SIGNATURES = new Set(['Windows executable', 'BMP image', 'bzip2 archive', 'MP3 audio', 'tar archive']);
+
+function startsWith(buffer, bytes, offset) {
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Whether a sample looks like text: no NUL bytes and few control characters
+ */
+function looksLikeText(buffer) {
+  if (buffer.length === 0) return true;
+  if (buffer.includes(0)) return false;
+
+  let control = 0;
+  for (const byte of buffer) {
+    if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13 && byte !== 12 && byte !== 27 && byte !== 8) control++;
+  }
+  return control / buffer.length < 0.1;
+}
+
+/**
+ * Human-readable file size
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Detect a file's type.
+ * Returns { kind, size, mediaType?, description } where kind is
+ * 'text', 'notebook', 'pdf', 'image' or 'binary'.
+ */
+export function detectFileType(filePath) {
+  const { size } = statSync(filePath);
+  const buffer = Buffer.alloc(Math.min(size, SNIFF_BYTES));
+  const fd = openSync(filePath, 'r');
+  try {
+    readSync(fd, buffer, 0, buffer.length, 0);
+  } finally {
+    closeSync(fd);
+  }
+
+  const extension = extname(filePath).toLowerCase();
+  let signature = SIGNATURES.find(([bytes, offset]) => startsWith(buffer, bytes, offset))?.[2];
+  if (signature === 'riff') {
+    signature = buffer.toString('latin1', 8, 12) === 'WEBP' ? 'webp' : 'RIFF media';
+  }
+
+  if (IMAGE_TYPES[signature]) {
+    return { kind: 'image', size, mediaType: IMAGE_TYPES[signature], description: `${signature.toUpperCase()} image` };
+  }
+  if (signature === 'pdf') {
+    return { kind: 'pdf', size, description: 'PDF document' };
+  }
+  if (signature && !WEAK_SIGNATURES.has(signature)) {
+    return { kind: 'binary', size, description: signature };
+  }
+
+  if (looksLikeText(buffer)) {
+    if (extension === '.ipynb') return { kind: 'notebook', size, description: 'Jupyter notebook' };
+    return { kind: 'text', size, description: 'text' };
+  }
+
+  return { kind: 'binary', size, description: signature || (extension ? `binary ${extension.slice(1)} file` : 'binary data') };
+}
+
+/**
+ * Read width and height from PNG, GIF or JPEG headers; null when unknown
+ */
+export function imageDimensions(buffer, mediaType) {
+  try {
+    if (mediaType === 'image/png' && buffer.length >= 24) {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (mediaType === 'image/gif' && buffer.length >= 10) {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (mediaType === 'image/jpeg') {
+      // Walk the segments to the start-of-frame marker
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + length;
+      }
+    }
+  } catch {
+    // Truncated header
+  }
+  return null;
+}
@@ -0,0 +1,233 @@
+/**
+ * Ignore
+ * .gitignore-style rules, glob matching and a directory walker that honours them
+ */
+
+import { readdirSync, readFileSync, statSync, existsSync } from 'fs';
+import { join, relative, isAbsolute, resolve } from 'path';
+
+/**
+ * Directories never searched
+ */
+const ALWAYS_IGNORED = new Set(['.git']);
+
+/**
+ * Ignore files that decide which project files Glob and the RAG indexer see
+ */
+export const IGNORE_FILES = ['.gitignore', '.lccoderignore'];
+
+/**
+ * Expand {a,b} alternatives in a glob into separate globs
+ */
+function expandBraces(glob) {
+  const match = /\{([^{}]*)\}/.exec(glob);
+  if (!match) return [glob];
+  const before = glob.slice(0, match.index);
+  const after = glob.slice(match.index + match[0].length);
+  return match[1].split(',').flatMap(option => expandBraces(before + option + after));
+}
+
+function globSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const slash = glob[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        const body = glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        i = close;
+      }
+    } else if (ch === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Convert a glob to a RegExp over "/"-separated paths.
+ * "*" stays inside one directory, "**" crosses directories, {a,b} picks alternatives.
+ */
+export function globToRegExp(glob) {
+  return new RegExp(`^(?:${expandBraces(glob).map(globSource).join('|')})$`);
+}
+
+/**
+ * Build a matcher for glob filters, ripgrep style: a glob without "/" matches the
+ * file name at any depth, one with "/" matches the path; a leading "!" excludes.
+ * Returns (relativePath) => boolean.
+ */
+export function createGlobFilter(globs) {
+  const list = (Array.isArray(globs) ? globs : [globs]).filter(Boolean);
+  if (list.length === 0) return () => true;
+
+  const rules = list.map(glob => {
+    const negated = glob.startsWith('!');
+    const pattern = negated ? glob.slice(1) : glob;
+    return { negated, basename: !pattern.includes('/'), regex: globToRegExp(pattern.replace(/^\.?\//, '')) };
+  });
+  const hasIncludes = rules.some(rule => !rule.negated);
+
+  return path => {
+    const name = path.slice(path.lastIndexOf('/') + 1);
+    const test = rule => rule.regex.test(rule.basename ? name : path);
+    if (rules.some(rule => rule.negated && test(rule))) return false;
+    return !hasIncludes || rules.some(rule => !rule.negated && test(rule));
+  };
+}
+
+/**
+ * Rules from .gitignore-style files. Paths are relative to the root and "/"-separated.
+ */
+export class IgnoreRules {
+  constructor() {
+    this.rules = [];
+  }
+
+  /**
+   * Add the rules from one ignore file
+   * @param {string} text - File content
+   * @param {string} base - Directory of the file, relative to the root ('' for the root)
+   */
+  add(text, base = '') {
+    for (const raw of text.split(/\r?\n/)) {
+      let line = raw.replace(/(?<!\\)\s+$/, '');
+      if (!line || line.startsWith('#')) continue;
+
+      const negated = line.startsWith('!');
+      if (negated) line = line.slice(1);
+      if (line.startsWith('\\')) line = line.slice(1);
+
+      const directoryOnly = line.endsWith('/');
+      if (directoryOnly) line = line.slice(0, -1);
+
+      // A slash anywhere but the end anchors the pattern to the file's directory
+      const anchored = line.includes('/');
+      line = line.replace(/^\//, '');
+      if (!line) continue;
+
+      const prefix = base ? `${base}/` : '';
+      const source = anchored ? `${prefix}${line}` : `${prefix}**/${line}`;
+      this.rules.push({ negated, directoryOnly, regex: globToRegExp(source) });
+    }
+    return this;
+  }
+
+  /**
+   * Whether a path is ignored; the last matching rule wins
+   */
+  ignores(path, isDirectory = false) {
+    let ignored = false;
+    for (const rule of this.rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.regex.test(path)) ignored = !rule.negated;
+    }
+    return ignored;
+  }
+}
+
+/**
+ * Walk a directory and list files, skipping .git and anything its ignore files exclude.
+ * Ignore files are read in every directory, so nested .gitignore files apply below them.
+ *
+ * @param {string} root - Directory (or single file) to walk
+ * @param {Object} options
+ * @param {string[]} options.ignoreFiles - Ignore file names to honour (default: ['.gitignore'])
+ * @param {string[]} options.ignore - Extra .gitignore-style patterns, relative to root
+ * @param {boolean} options.hidden - Include dotfiles and dot-directories (default: false)
+ * @param {boolean} options.directories - Also list directories, with a trailing "/" (default: false)
+ * @param {Function} options.filter - (relativePath, isDirectory) => boolean, entries to keep
+ * @param {string} options.cwd - Directory paths are reported relative to (default: process.cwd())
+ * @returns {string[]} Paths relative to cwd (absolute when root is absolute)
+ */
+export function walkFiles(root, options = {}) {
+  const {
+    ignoreFiles = ['.gitignore'],
+    ignore = [],
+    hidden = false,
+    directories = false,
+    filter = () => true,
+    cwd = process.cwd()
+  } = options;
+
+  const absoluteRoot = resolve(cwd, root);
+  const toOutput = path => (isAbsolute(root) ? path : relative(cwd, path) || '.');
+
+  if (!existsSync(absoluteRoot)) {
+    throw new Error(`Path does not exist: ${root}`);
+  }
+  if (statSync(absoluteRoot).isFile()) {
+    return [toOutput(absoluteRoot)];
+  }
+
+  const rules = new IgnoreRules().add(ignore.join('\n'));
+  const files = [];
+
+  const visit = (directory, base) => {
+    for (const name of ignoreFiles) {
+      const file = join(directory, name);
+      if (existsSync(file)) {
+        try {
+          rules.add(readFileSync(file, 'utf-8'), base);
+        } catch {
+          // Unreadable ignore files are skipped
+        }
+      }
+    }
+
+    let entries;
+    try {
+      entries = readdirSync(directory, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+      if (ALWAYS_IGNORED.has(entry.name)) continue;
+      if (!hidden && entry.name.startsWith('.')) continue;
+
+      const path = base ? `${base}/${entry.name}` : entry.name;
+      const full = join(directory, entry.name);
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+
+      // Follow symlinks to files, not to directories (avoids loops)
+      if (entry.isSymbolicLink()) {
+        try {
+          isFile = statSync(full).isFile();
+        } catch {
+          isFile = false;
+        }
+        isDirectory = false;
+      }
+
+      if (rules.ignores(path, isDirectory)) continue;
+
+      if (isDirectory) {
+        if (directories && filter(path, true)) files.push(`${toOutput(full)}/`);
+        visit(full, path);
+      } else if (isFile && filter(path, false)) {
+        files.push(toOutput(full));
+      }
+    }
+  };
+
+  visit(absoluteRoot, '');
+  return files;
+}
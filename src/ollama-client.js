@@ -3,35 +3,68 @@
  * Handles communication with local Ollama instance
  */
 
+import { resolveModelProfile } from './config.js';
+
 export class OllamaClient {
   constructor(config = {}) {
     this.endpoint = config.endpoint || process.env.OLLAMA_ENDPOINT || 'http://localhost:11434';
     this.model = config.model || process.env.OLLAMA_MODEL || 'mistral:latest';
     this.timeout = config.timeout || 300000; // 5 minutes default
     this.debugTools = config.debugTools || false;
+    this.modelProfiles = config.modelProfiles || {};
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens || 32000;
   }
 
   /**
-   * Send a chat completion request to Ollama
+   * Build the request body shared by chat and streamChat.
+   * Runtime options come from the model profile, then per-call options.options / keep_alive.
+   * temperature and max_tokens fall back to the profile, then to the client defaults.
    */
-  async chat(messages, options = {}) {
-    const url = `${this.endpoint}/api/chat`;
+  buildRequestBody(messages, options, stream) {
+    const model = options.model || this.model;
+    const { keep_alive, think, ...profileOptions } = {
+      ...resolveModelProfile(this.modelProfiles, model),
+      ...(options.options || {})
+    };
 
     const requestBody = {
-      model: options.model || this.model,
+      model,
       messages: this.convertMessages(messages),
-      stream: false,
+      stream,
       options: {
-        temperature: options.temperature ?? 0.7,
-        num_predict: options.max_tokens || 32000,
+        ...profileOptions,
+        temperature: options.temperature ?? profileOptions.temperature ?? this.temperature,
+        num_predict: options.max_tokens || profileOptions.num_predict || this.maxTokens,
       }
     };
 
+    const keepAlive = options.keep_alive ?? keep_alive;
+    if (keepAlive !== undefined) {
+      requestBody.keep_alive = keepAlive;
+    }
+
+    // Ask reasoning models to return thinking separately from content
+    if (think !== undefined) {
+      requestBody.think = think;
+    }
+
     // Add tools if provided
     if (options.tools && options.tools.length > 0) {
       requestBody.tools = this.convertTools(options.tools);
     }
 
+    return requestBody;
+  }
+
+  /**
+   * Send a chat completion request to Ollama
+   */
+  async chat(messages, options = {}) {
+    const url = `${this.endpoint}/api/chat`;
+
+    const requestBody = this.buildRequestBody(messages, options, false);
+
     const response = await fetch(url, {
       method: 'POST',
       headers: {
@@ -56,20 +89,7 @@ export class OllamaClient {
   async *streamChat(messages, options = {}) {
     const url = `${this.endpoint}/api/chat`;
 
-    const requestBody = {
-      model: options.model || this.model,
-      messages: this.convertMessages(messages),
-      stream: true,
-      options: {
-        temperature: options.temperature ?? 0.7,
-        num_predict: options.max_tokens || 32000,
-      }
-    };
-
-    // Add tools if provided
-    if (options.tools && options.tools.length > 0) {
-      requestBody.tools = this.convertTools(options.tools);
-    }
+    const requestBody = this.buildRequestBody(messages, options, true);
 
     const response = await fetch(url, {
       method: 'POST',
@@ -89,6 +109,7 @@ export class OllamaClient {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
+    let blockIndex = 0;
 
     try {
       while (true) {
@@ -104,12 +125,35 @@ export class OllamaClient {
 
         for (const line of lines) {
           if (line.trim()) {
+            let data;
             try {
-              const data = JSON.parse(line);
-              yield this.convertStreamEvent(data);
+              data = JSON.parse(line);
             } catch (e) {
               console.error('Failed to parse stream line:', line, e);
+              continue;
             }
+
+            // Reasoning can share a chunk with content or tool calls, so emit it first
+            if (data.message && data.message.thinking) {
+              yield this.convertThinkingEvent(data.message.thinking);
+              if (!data.message.content && !data.message.tool_calls?.length && !data.done) continue;
+              data = { ...data, message: { ...data.message, thinking: undefined } };
+            }
+
+            // Tool calls expand into start/delta/stop events per tool block
+            if (data.message && data.message.tool_calls && data.message.tool_calls.length > 0) {
+              if (this.debugTools) {
+                console.log('[DEBUG] Ollama event:', JSON.stringify(data, null, 2));
+              }
+              for (const toolCall of data.message.tool_calls) {
+                yield* this.convertToolCallEvents(toolCall, blockIndex++);
+              }
+              // A chunk can carry text alongside its tool calls
+              if (!data.message.content && !data.done) continue;
+              data = { ...data, message: { ...data.message, tool_calls: undefined } };
+            }
+
+            yield this.convertStreamEvent(data);
           }
         }
       }
@@ -136,10 +180,14 @@ export class OllamaClient {
             .map(block => block.text)
             .join('\n');
 
-          return {
-            role: msg.role,
-            content: textContent
-          };
+          // Vision models take base64 images in a separate field
+          const images = msg.content
+            .filter(block => block.type === 'image' && block.source?.type === 'base64')
+            .map(block => block.source.data);
+
+          return images.length > 0
+            ? { role: msg.role, content: textContent, images }
+            : { role: msg.role, content: textContent };
         }
 
         return {
@@ -214,13 +262,9 @@ export class OllamaClient {
    * Convert Ollama stream event to Anthropic-like format
    */
   convertStreamEvent(data) {
-    // Handle "thinking" field from models like qwen3 - suppress entirely during streaming
-    if (data.message && data.message.thinking !== undefined) {
-      // Completely skip thinking tokens - don't even log them
-      return {
-        type: 'message_delta',
-        delta: {}
-      };
+    // Handle "thinking" field from models like qwen3/deepseek as a separate reasoning stream
+    if (data.message && data.message.thinking && !data.message.content && !data.done) {
+      return this.convertThinkingEvent(data.message.thinking);
     }
 
     // DEBUG: Log important events only (not thinking tokens)
@@ -250,23 +294,58 @@ export class OllamaClient {
       };
     }
 
-    if (data.message && data.message.tool_calls) {
-      console.log('[TOOL CALLS DETECTED]', data.message.tool_calls);
-      return {
-        type: 'content_block_start',
-        content_block: {
-          type: 'tool_use',
-          tool_calls: data.message.tool_calls
-        }
-      };
-    }
-
     return {
       type: 'message_delta',
       delta: {}
     };
   }
 
+  /**
+   * Convert a reasoning chunk into a thinking_delta event
+   */
+  convertThinkingEvent(thinking) {
+    return {
+      type: 'content_block_delta',
+      delta: {
+        type: 'thinking_delta',
+        thinking
+      }
+    };
+  }
+
+  /**
+   * Convert a single Ollama tool call into Anthropic-like tool block events.
+   * Ollama sends complete arguments, so each block gets one input_json_delta.
+   */
+  *convertToolCallEvents(toolCall, index) {
+    const args = toolCall.function?.arguments;
+
+    yield {
+      type: 'content_block_start',
+      index,
+      content_block: {
+        type: 'tool_use',
+        id: toolCall.id || this.generateToolId(),
+        name: toolCall.function?.name,
+        input: {}
+      }
+    };
+
+    yield {
+      type: 'content_block_delta',
+      index,
+      delta: {
+        type: 'input_json_delta',
+        partial_json: typeof args === 'string' ? args : JSON.stringify(args ?? {})
+      }
+    };
+
+    yield {
+      type: 'content_block_stop',
+      index
+    };
+  }
+
   /**
    * List available models from Ollama
    */
@@ -0,0 +1,395 @@
+/**
+ * OpenAI-Compatible API Client
+ * Handles communication with local servers exposing /v1/chat/completions
+ * (llama.cpp server, vLLM, LM Studio)
+ */
+
+import { resolveModelProfile } from './config.js';
+
+// Profile keys forwarded as request parameters (num_ctx, keep_alive and think are Ollama-only)
+const PROFILE_PARAMS = ['top_p', 'top_k', 'repeat_penalty', 'seed', 'stop'];
+
+export class OpenAICompatibleClient {
+  constructor(config = {}) {
+    this.endpoint = (config.endpoint || process.env.OPENAI_BASE_URL || 'http://localhost:8080').replace(/\/+$/, '');
+    this.model = config.model || process.env.OPENAI_MODEL || 'local-model';
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || '';
+    this.timeout = config.timeout || 300000; // 5 minutes default
+    this.debugTools = config.debugTools || false;
+    this.modelProfiles = config.modelProfiles || {};
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens || 32000;
+  }
+
+  /**
+   * Build request headers, including the API key when one is set
+   */
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Build the request body shared by chat and streamChat
+   */
+  buildRequestBody(messages, options, stream) {
+    const model = options.model || this.model;
+    const profile = {
+      ...resolveModelProfile(this.modelProfiles, model),
+      ...(options.options || {})
+    };
+
+    const requestBody = {
+      model,
+      messages: this.convertMessages(messages),
+      stream,
+      temperature: options.temperature ?? profile.temperature ?? this.temperature,
+      max_tokens: options.max_tokens || profile.num_predict || this.maxTokens
+    };
+
+    for (const key of PROFILE_PARAMS) {
+      if (profile[key] !== undefined) {
+        requestBody[key] = profile[key];
+      }
+    }
+
+    if (stream) {
+      requestBody.stream_options = { include_usage: true };
+    }
+
+    // Add tools if provided
+    if (options.tools && options.tools.length > 0) {
+      requestBody.tools = this.convertTools(options.tools);
+    }
+
+    return requestBody;
+  }
+
+  /**
+   * Send a chat completion request
+   */
+  async chat(messages, options = {}) {
+    const url = `${this.endpoint}/v1/chat/completions`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildRequestBody(messages, options, false)),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`OpenAI-compatible API error: ${response.status} - ${error}`);
+    }
+
+    const data = await response.json();
+    return this.convertResponse(data);
+  }
+
+  /**
+   * Stream chat completion (server-sent events)
+   */
+  async *streamChat(messages, options = {}) {
+    const url = `${this.endpoint}/v1/chat/completions`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildRequestBody(messages, options, true)),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`OpenAI-compatible API error: ${response.status} - ${error}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // Tool calls stream as fragments keyed by their index in the choice
+    const openBlocks = new Map();
+    let blockIndex = 0;
+    let usage = null;
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+
+        // Keep the last incomplete line in buffer
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') continue;
+
+          let data;
+          try {
+            data = JSON.parse(payload);
+          } catch (e) {
+            console.error('Failed to parse stream line:', line, e);
+            continue;
+          }
+
+          if (this.debugTools) {
+            console.log('[DEBUG] OpenAI-compatible event:', JSON.stringify(data, null, 2));
+          }
+
+          if (data.usage) {
+            usage = data.usage;
+          }
+
+          const choice = data.choices && data.choices[0];
+          if (!choice) continue;
+
+          const delta = choice.delta || {};
+
+          // vLLM and llama.cpp stream reasoning as reasoning_content
+          if (delta.reasoning_content) {
+            yield {
+              type: 'content_block_delta',
+              delta: {
+                type: 'thinking_delta',
+                thinking: delta.reasoning_content
+              }
+            };
+          }
+
+          if (delta.content) {
+            yield {
+              type: 'content_block_delta',
+              delta: {
+                type: 'text',
+                text: delta.content
+              }
+            };
+          }
+
+          for (const toolCall of delta.tool_calls || []) {
+            const key = toolCall.index ?? 0;
+
+            if (!openBlocks.has(key)) {
+              const index = blockIndex++;
+              openBlocks.set(key, index);
+              yield {
+                type: 'content_block_start',
+                index,
+                content_block: {
+                  type: 'tool_use',
+                  id: toolCall.id || this.generateToolId(),
+                  name: toolCall.function?.name,
+                  input: {}
+                }
+              };
+            }
+
+            if (toolCall.function?.arguments) {
+              yield {
+                type: 'content_block_delta',
+                index: openBlocks.get(key),
+                delta: {
+                  type: 'input_json_delta',
+                  partial_json: toolCall.function.arguments
+                }
+              };
+            }
+          }
+
+          if (choice.finish_reason) {
+            yield* this.closeBlocks(openBlocks);
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+
+    yield* this.closeBlocks(openBlocks);
+
+    yield {
+      type: 'message_stop',
+      usage: {
+        input_tokens: usage?.prompt_tokens || 0,
+        output_tokens: usage?.completion_tokens || 0,
+        cache_read_input_tokens: 0,
+        cache_creation_input_tokens: 0
+      }
+    };
+  }
+
+  /**
+   * Emit content_block_stop for every open tool block
+   */
+  *closeBlocks(openBlocks) {
+    for (const index of openBlocks.values()) {
+      yield {
+        type: 'content_block_stop',
+        index
+      };
+    }
+    openBlocks.clear();
+  }
+
+  /**
+   * Convert Anthropic message format to OpenAI format
+   */
+  convertMessages(messages) {
+    return messages.map(msg => {
+      if (typeof msg === 'string') {
+        return { role: 'user', content: msg };
+      }
+
+      if (msg.role && msg.content) {
+        if (Array.isArray(msg.content)) {
+          // Handle content blocks (text, images, tool results)
+          const textContent = msg.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('\n');
+
+          // Vision models take images as data URL parts
+          const images = msg.content
+            .filter(block => block.type === 'image' && block.source?.type === 'base64')
+            .map(block => ({
+              type: 'image_url',
+              image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` }
+            }));
+
+          return images.length > 0
+            ? { role: msg.role, content: [{ type: 'text', text: textContent }, ...images] }
+            : { role: msg.role, content: textContent };
+        }
+
+        return {
+          role: msg.role,
+          content: msg.content
+        };
+      }
+
+      return msg;
+    });
+  }
+
+  /**
+   * Convert Anthropic tool format to OpenAI function format
+   */
+  convertTools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema
+      }
+    }));
+  }
+
+  /**
+   * Convert OpenAI response to Anthropic-like format
+   */
+  convertResponse(data) {
+    const content = [];
+    const choice = data.choices && data.choices[0];
+    const message = choice?.message;
+
+    // Add text content
+    if (message && message.content) {
+      content.push({
+        type: 'text',
+        text: message.content
+      });
+    }
+
+    // Add tool calls if present
+    if (message && message.tool_calls) {
+      for (const toolCall of message.tool_calls) {
+        content.push({
+          type: 'tool_use',
+          id: toolCall.id || this.generateToolId(),
+          name: toolCall.function.name,
+          input: typeof toolCall.function.arguments === 'string'
+            ? JSON.parse(toolCall.function.arguments || '{}')
+            : toolCall.function.arguments
+        });
+      }
+    }
+
+    return {
+      id: data.id || this.generateMessageId(),
+      type: 'message',
+      role: 'assistant',
+      content: content,
+      model: data.model || this.model,
+      stop_reason: choice?.finish_reason === 'tool_calls' ? 'tool_use'
+        : choice?.finish_reason ? 'end_turn' : null,
+      usage: {
+        input_tokens: data.usage?.prompt_tokens || 0,
+        output_tokens: data.usage?.completion_tokens || 0,
+        cache_read_input_tokens: 0,
+        cache_creation_input_tokens: 0
+      }
+    };
+  }
+
+  /**
+   * List available models from the server
+   */
+  async listModels() {
+    const url = `${this.endpoint}/v1/models`;
+
+    const response = await fetch(url, { headers: this.getHeaders() });
+
+    if (!response.ok) {
+      throw new Error(`Failed to list models: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.data || []).map(model => ({ name: model.id }));
+  }
+
+  /**
+   * Check if the server is available
+   */
+  async healthCheck() {
+    try {
+      const url = `${this.endpoint}/v1/models`;
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        signal: AbortSignal.timeout(5000)
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Generate a unique message ID
+   */
+  generateMessageId() {
+    return `msg_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+  }
+
+  /**
+   * Generate a unique tool use ID
+   */
+  generateToolId() {
+    return `tool_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+  }
+}
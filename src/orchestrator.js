@@ -8,6 +8,8 @@ import { PlannerAgent } from './agents/planner.js';
 import { CoderAgent } from './agents/coder.js';
 import { ReviewerAgent } from './agents/reviewer.js';
 import { config } from './config.js';
+import { checkpoints } from './checkpoints.js';
+import { getDefaultModel } from './providers.js';
 import * as readline from 'readline/promises';
 import { stdin as input, stdout as output } from 'process';
 
@@ -28,6 +30,24 @@ export class Orchestrator {
     ];
   }
 
+  /**
+   * Resolve model and sandbox settings for a stage.
+   * Constructor options (agents.<stage>) override config.json, which overrides the global model.
+   */
+  getStageSettings(stage) {
+    const configured = config.get(`agents.${stage.name}`, {}) || {};
+    const overrides = this.config.agents?.[stage.name] || {};
+    const settings = { ...configured, ...overrides };
+
+    return {
+      model: settings.model || getDefaultModel(),
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+      modelOptions: settings.modelOptions,
+      sandbox: settings.sandbox
+    };
+  }
+
   /**
    * Main execution method - runs the complete pipeline
    */
@@ -38,7 +58,9 @@ export class Orchestrator {
 
     const context = {
       request: userRequest,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      // Every stage's file changes go into one checkpoint, so /undo rolls back the whole run
+      checkpoint: checkpoints.create({ kind: 'pipeline', label: userRequest })
     };
 
     const results = {
@@ -56,15 +78,23 @@ export class Orchestrator {
           continue;
         }
 
-        console.log(`\n┌─ STAGE: ${stage.name.toUpperCase()} ─────────────────────────────────┐\n`);
+        const settings = this.getStageSettings(stage);
+
+        console.log(`\n┌─ STAGE: ${stage.name.toUpperCase()} (${settings.model}) ─────────────────────────────────┐\n`);
 
         try {
-          const stageResult = await this.runStageWithRetry(stage, context);
+          const stageResult = await this.runStageWithRetry(stage, context, {
+            ...settings,
+            permissionMode: this.config.permissionMode,
+            askPermission: this.config.askPermission,
+            reviewEdit: this.config.reviewEdit
+          });
 
           // Store result in context for next stages
           context[stage.name] = stageResult.validated.data || stageResult;
           results.stages[stage.name] = {
             success: true,
+            model: settings.model,
             result: stageResult
           };
 
@@ -76,6 +106,7 @@ export class Orchestrator {
 
           results.stages[stage.name] = {
             success: false,
+            model: settings.model,
             error: error.message
           };
           results.errors.push({
@@ -107,19 +138,21 @@ export class Orchestrator {
       console.log('╚════════════════════════════════════════════════════════════╝\n');
 
       throw error;
+    } finally {
+      context.checkpoint.finish();
     }
   }
 
   /**
    * Run a single stage with retry logic
    */
-  async runStageWithRetry(stage, context) {
+  async runStageWithRetry(stage, context, settings = {}) {
     let lastError = null;
 
     for (let attempt = 0; attempt <= this.config.maxRetries; attempt++) {
       try {
         // Run the agent
-        const result = await stage.agent.execute(context, attempt);
+        const result = await stage.agent.execute(context, attempt, settings);
 
         // Check validation
         if (result.validated && result.validated.success) {
@@ -249,9 +282,15 @@ export class Orchestrator {
       stages_completed: Object.keys(results.stages).filter(s => results.stages[s].success).length,
       total_stages: this.stages.length,
       files_created: [],
+      stage_models: {},
       errors: results.errors
     };
 
+    // Record which model ran each stage
+    for (const [name, stage] of Object.entries(results.stages)) {
+      summary.stage_models[name] = stage.model;
+    }
+
     // Extract files created from Coder stage
     if (results.stages.coder?.result?.validated?.data?.files_created) {
       summary.files_created = results.stages.coder.result.validated.data.files_created;
@@ -0,0 +1,267 @@
+/**
+ * Patch
+ * Parse unified diffs and apply their hunks with fuzzy matching
+ */
+
+/**
+ * How far (in lines) a hunk may be found from where its header says it starts
+ */
+const MAX_OFFSET = 1000;
+
+/**
+ * Context lines that may be dropped from each end of a hunk when it does not match exactly
+ */
+const MAX_FUZZ = 2;
+
+/**
+ * Strip a/ b/ prefixes, quotes and trailing timestamps from a diff header path
+ */
+function cleanPath(raw) {
+  let path = raw.split('\t')[0].trim();
+  if (path.startsWith('"') && path.endsWith('"')) path = path.slice(1, -1);
+  if (path === '/dev/null') return null;
+  return path.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse a unified diff into file patches:
+ * [{ oldPath, newPath, hunks: [{ header, oldStart, oldCount, newStart, lines: [{ type, text }] }] }]
+ * oldPath is null for new files and newPath is null for deleted files.
+ */
+export function parsePatch(text) {
+  // Models often wrap the diff in a code fence
+  const lines = text.replace(/\r\n/g, '\n').replace(/^```[\w-]*\n/, '').replace(/\n```\s*$/, '\n').split('\n');
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  const startFile = () => {
+    file = { oldPath: undefined, newPath: undefined, hunks: [] };
+    files.push(file);
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const git = /^diff --git ("?a\/.+?"?) ("?b\/.+?"?)$/.exec(line);
+    if (git) {
+      startFile();
+      file.oldPath = cleanPath(git[1]);
+      file.newPath = cleanPath(git[2]);
+      continue;
+    }
+
+    // File headers; a "--- " line inside a hunk is a removed line unless "+++ " follows
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      if (!file || file.hunks.length > 0 || file.headerSeen) startFile();
+      file.oldPath = cleanPath(line.slice(4));
+      file.newPath = cleanPath(lines[i + 1].slice(4));
+      file.headerSeen = true;
+      hunk = null;
+      i++;
+      continue;
+    }
+
+    if (file && !hunk) {
+      if (line.startsWith('new file mode')) { file.oldPath = null; continue; }
+      if (line.startsWith('deleted file mode')) { file.newPath = null; continue; }
+      if (line.startsWith('rename from ')) { file.oldPath = line.slice(12).trim(); continue; }
+      if (line.startsWith('rename to ')) { file.newPath = line.slice(10).trim(); continue; }
+    }
+
+    const header = /^@@ -?(\d+)?(?:,(\d+))? ?\+?(\d+)?(?:,(\d+))? @@/.exec(line);
+    if (line.startsWith('@@')) {
+      if (!file) startFile();
+      hunk = {
+        header: header ? header[0] : '@@',
+        oldStart: header?.[1] !== undefined ? Number(header[1]) : null,
+        oldCount: header?.[2] !== undefined ? Number(header[2]) : null,
+        newStart: header?.[3] !== undefined ? Number(header[3]) : null,
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) continue;
+
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file" applies to the line before it
+      const last = hunk.lines[hunk.lines.length - 1];
+      if (last) last.noNewline = true;
+    } else if (line.startsWith('+') || line.startsWith('-') || line.startsWith(' ')) {
+      hunk.lines.push({ type: line[0], text: line.slice(1) });
+    } else if (line === '' && i < lines.length - 1) {
+      // Models often drop the leading space of empty context lines
+      hunk.lines.push({ type: ' ', text: '' });
+    } else if (line !== '') {
+      hunk = null;
+    }
+  }
+
+  for (const patch of files) {
+    delete patch.headerSeen;
+    // Trailing blank "context" lines picked up at the end of a hunk are not real
+    for (const h of patch.hunks) {
+      while (h.lines.length > 0 && h.lines[h.lines.length - 1].type === ' ' && h.lines[h.lines.length - 1].text === '' &&
+             h.oldCount !== null && h.lines.filter(l => l.type !== '+').length > h.oldCount) {
+        h.lines.pop();
+      }
+    }
+  }
+
+  return files.filter(patch => patch.hunks.length > 0 || patch.oldPath !== patch.newPath || patch.oldPath === null || patch.newPath === null);
+}
+
+/**
+ * Paths a patch touches, for permission checks
+ */
+export function getPatchPaths(text) {
+  const paths = new Set();
+  try {
+    for (const file of parsePatch(text)) {
+      if (file.oldPath) paths.add(file.oldPath);
+      if (file.newPath) paths.add(file.newPath);
+    }
+  } catch {
+    // An unparseable patch touches nothing
+  }
+  return [...paths];
+}
+
+/**
+ * Compare lines exactly, or ignoring whitespace differences
+ */
+function linesMatch(fileLine, patchLine, loose) {
+  return loose
+    ? fileLine.trim().replace(/\s+/g, ' ') === patchLine.trim().replace(/\s+/g, ' ')
+    : fileLine === patchLine;
+}
+
+/**
+ * Find `block` in `lines` at or after `minIndex`, nearest to `expected` first
+ */
+function findBlock(lines, block, expected, minIndex, loose) {
+  const last = lines.length - block.length;
+  const start = Math.min(Math.max(expected, minIndex), Math.max(last, minIndex));
+
+  for (let offset = 0; offset <= MAX_OFFSET; offset++) {
+    for (const index of offset === 0 ? [start] : [start - offset, start + offset]) {
+      if (index < minIndex || index > last) continue;
+      if (block.every((line, k) => linesMatch(lines[index + k], line, loose))) return index;
+    }
+    if (start - offset < minIndex && start + offset > last) break;
+  }
+  return -1;
+}
+
+/**
+ * Apply a file's hunks to its content, in order.
+ * Returns { content, results: [{ hunk, ok, line, offset, fuzz, loose, error }] };
+ * content is null when any hunk failed.
+ */
+export function applyHunks(content, hunks) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const hadFinalNewline = content === '' || content.endsWith('\n');
+  const lines = content === '' ? [] : content.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  let finalNewline = hadFinalNewline;
+
+  const results = [];
+  let minIndex = 0;
+  let shift = 0;
+  let failed = false;
+
+  hunks.forEach((hunk, index) => {
+    const oldLines = hunk.lines.filter(line => line.type !== '+');
+    const expected = hunk.oldStart === null ? minIndex : Math.max((hunk.oldStart || 1) - 1 + shift, 0);
+
+    let match = null;
+
+    if (oldLines.length === 0) {
+      // Pure insertion: the header says where; oldStart is the line it goes after
+      const at = hunk.oldStart === null ? lines.length : Math.min(Math.max(hunk.oldStart + shift, minIndex), lines.length);
+      match = { at, top: 0, bottom: 0, fuzz: 0, loose: false };
+    } else {
+      // Exact, then ignoring whitespace, then with up to MAX_FUZZ context lines dropped from each end
+      search:
+      for (let fuzz = 0; fuzz <= MAX_FUZZ; fuzz++) {
+        const leading = hunk.lines.findIndex(line => line.type !== ' ');
+        const trailing = [...hunk.lines].reverse().findIndex(line => line.type !== ' ');
+        const top = Math.min(fuzz, Math.max(leading, 0));
+        const bottom = Math.min(fuzz, Math.max(trailing, 0));
+        if (fuzz > 0 && top === 0 && bottom === 0) break;
+
+        const block = oldLines.slice(top, oldLines.length - bottom).map(line => line.text);
+        if (block.length === 0) break;
+
+        for (const loose of [false, true]) {
+          const at = findBlock(lines, block, expected + top, minIndex, loose);
+          if (at !== -1) {
+            match = { at: at - top, top, bottom, fuzz, loose };
+            break search;
+          }
+        }
+      }
+    }
+
+    if (!match) {
+      failed = true;
+      const preview = oldLines.slice(0, 3).map(line => `    ${line.text}`).join('\n');
+      results.push({
+        hunk: index + 1,
+        header: hunk.header,
+        ok: false,
+        error: `context not found${hunk.oldStart !== null ? ` near line ${hunk.oldStart}` : ''}. The hunk expects:\n${preview}`
+      });
+      return;
+    }
+
+    // Replace the matched old lines (minus dropped context) with the new lines
+    const body = hunk.lines.slice(match.top, hunk.lines.length - match.bottom);
+    const start = match.at + match.top;
+    const removeCount = body.filter(line => line.type !== '+').length;
+
+    // Keep the file's own text for context lines matched loosely
+    const replacement = [];
+    let cursor = start;
+    for (const line of body) {
+      if (line.type === ' ') {
+        replacement.push(lines[cursor++]);
+      } else if (line.type === '-') {
+        cursor++;
+      } else {
+        replacement.push(line.text);
+      }
+    }
+
+    const isEnd = start + removeCount === lines.length;
+    lines.splice(start, removeCount, ...replacement);
+
+    if (isEnd && body.length > 0) {
+      const lastNew = [...body].reverse().find(line => line.type !== '-');
+      const lastOld = [...body].reverse().find(line => line.type !== '+');
+      if (lastNew?.noNewline) finalNewline = false;
+      else if (lastOld?.noNewline) finalNewline = true;
+    }
+
+    results.push({
+      hunk: index + 1,
+      header: hunk.header,
+      ok: true,
+      line: start + 1,
+      offset: hunk.oldStart === null ? 0 : start - ((hunk.oldStart || 1) - 1 + shift + match.top),
+      fuzz: match.fuzz,
+      loose: match.loose
+    });
+
+    shift += replacement.length - removeCount;
+    minIndex = start + replacement.length;
+  });
+
+  if (failed) return { content: null, results };
+
+  let newContent = lines.join(eol);
+  if (lines.length > 0 && finalNewline) newContent += eol;
+  return { content: newContent, results };
+}
@@ -0,0 +1,508 @@
+/**
+ * PDF
+ * A small local PDF text extractor: enough of the object syntax, stream filters,
+ * page tree and font CMaps to pull readable text out of each page
+ */
+
+import { inflateSync, constants as zlibConstants } from 'zlib';
+
+/**
+ * Windows-1252 characters in 0x80-0x9F, used by most simple fonts
+ */
+const WIN_ANSI = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+const WHITESPACE = new Set(['\0', '\t', '\n', '\f', '\r', ' ']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+/**
+ * Reads PDF values (numbers, names, strings, arrays, dictionaries, references and
+ * operators) from a latin1 string, one byte per character
+ */
+class Lexer {
+  constructor(source, position = 0) {
+    this.source = source;
+    this.position = position;
+  }
+
+  skipWhitespace() {
+    const { source } = this;
+    while (this.position < source.length) {
+      const ch = source[this.position];
+      if (WHITESPACE.has(ch)) {
+        this.position++;
+      } else if (ch === '%') {
+        while (this.position < source.length && source[this.position] !== '\n' && source[this.position] !== '\r') this.position++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read the next value; returns undefined at the end of the input
+   */
+  read() {
+    this.skipWhitespace();
+    const { source } = this;
+    if (this.position >= source.length) return undefined;
+
+    const ch = source[this.position];
+
+    if (ch === '<' && source[this.position + 1] === '<') {
+      this.position += 2;
+      const dict = {};
+      for (;;) {
+        this.skipWhitespace();
+        if (this.position >= source.length) return dict;
+        if (source.startsWith('>>', this.position)) {
+          this.position += 2;
+          return dict;
+        }
+        const key = this.read();
+        if (key === undefined) return dict;
+        if (key?.name === undefined) continue;
+        dict[key.name] = this.read();
+      }
+    }
+
+    if (ch === '<') {
+      const end = source.indexOf('>', this.position);
+      const hex = source.slice(this.position + 1, end === -1 ? source.length : end).replace(/[^0-9a-fA-F]/g, '');
+      this.position = end === -1 ? source.length : end + 1;
+      return { str: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') };
+    }
+
+    if (ch === '[') {
+      this.position++;
+      const array = [];
+      for (;;) {
+        this.skipWhitespace();
+        if (this.position >= source.length) return array;
+        if (source[this.position] === ']') {
+          this.position++;
+          return array;
+        }
+        const value = this.read();
+        if (value === undefined) return array;
+        array.push(value);
+      }
+    }
+
+    if (ch === '(') return { str: this.readLiteralString() };
+
+    if (ch === '/') {
+      this.position++;
+      const start = this.position;
+      while (this.position < source.length && !WHITESPACE.has(source[this.position]) && !DELIMITERS.has(source[this.position])) {
+        this.position++;
+      }
+      return { name: source.slice(start, this.position).replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) };
+    }
+
+    if (DELIMITERS.has(ch)) {
+      // Stray ">", ")", "]" or braces: skip them
+      this.position++;
+      return { op: ch };
+    }
+
+    const start = this.position;
+    while (this.position < source.length && !WHITESPACE.has(source[this.position]) && !DELIMITERS.has(source[this.position])) {
+      this.position++;
+    }
+    const word = source.slice(start, this.position);
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      // "12 0 R" is a reference to object 12
+      if (/^\d+$/.test(word)) {
+        const reference = /^\s+(\d+)\s+R(?=[\s/<>[\]()%]|$)/.exec(source.slice(this.position, this.position + 32));
+        if (reference) {
+          this.position += reference[0].length;
+          return { ref: Number(word) };
+        }
+      }
+      return Number(word);
+    }
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return { op: word };
+  }
+
+  readLiteralString() {
+    const { source } = this;
+    let depth = 1;
+    let text = '';
+    this.position++;
+
+    while (this.position < source.length) {
+      const ch = source[this.position++];
+      if (ch === '\\') {
+        const next = source[this.position++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        if (next in escapes) {
+          text += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(source[this.position])) octal += source[this.position++];
+          text += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (source[this.position] === '\n') this.position++;
+        } else if (next !== '\n') {
+          text += next;
+        }
+      } else if (ch === '(') {
+        depth++;
+        text += ch;
+      } else if (ch === ')') {
+        if (--depth === 0) break;
+        text += ch;
+      } else {
+        text += ch;
+      }
+    }
+    return text;
+  }
+}
+
+/**
+ * Parse a ToUnicode CMap into { map: Map(code -> text), codeLength }
+ */
+function parseCMap(text) {
+  const map = new Map();
+  const toCode = hex => parseInt(hex, 16);
+  const toText = hex => {
+    const bytes = Buffer.from(hex.length % 4 ? hex.padStart(Math.ceil(hex.length / 4) * 4, '0') : hex, 'hex');
+    let result = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) result += String.fromCharCode(bytes.readUInt16BE(i));
+    return result;
+  };
+
+  const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+  const codeLength = codespace ? Math.max(1, Math.ceil(codespace[1].length / 2)) : 2;
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(toCode(pair[1]), toText(pair[2]));
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const range of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const low = toCode(range[1]);
+      const high = Math.min(toCode(range[2]), low + 0xffff);
+      if (range[3].startsWith('[')) {
+        const targets = [...range[3].matchAll(/<([0-9a-fA-F]*)>/g)].map(match => toText(match[1]));
+        targets.forEach((target, index) => map.set(low + index, target));
+      } else {
+        const start = range[3].slice(1, -1);
+        const base = toText(start);
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - low));
+        }
+      }
+    }
+  }
+
+  return { map, codeLength };
+}
+
+export class PdfDocument {
+  /**
+   * @param {Buffer} buffer - The PDF file
+   */
+  constructor(buffer) {
+    this.source = buffer.toString('latin1');
+    if (!this.source.startsWith('%PDF-')) {
+      throw new Error('Not a PDF file');
+    }
+
+    this.objects = new Map();
+    this.indexObjects();
+
+    if (/\/Encrypt\s/.test(this.source.slice(-4096)) || [...this.objects.values()].some(object => object.value?.Filter?.name === 'Standard')) {
+      throw new Error('Encrypted PDFs are not supported');
+    }
+
+    this.pages = this.findPages();
+    this.fontCache = new Map();
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  /**
+   * Find every "N G obj" in the file, then the objects packed in object streams.
+   * Later definitions win, as with incremental updates.
+   */
+  indexObjects() {
+    const { source } = this;
+    const pattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+      const lexer = new Lexer(source, match.index + match[0].length);
+      const value = lexer.read();
+      lexer.skipWhitespace();
+
+      const object = { value };
+      if (source.startsWith('stream', lexer.position)) {
+        let start = lexer.position + 6;
+        if (source[start] === '\r') start++;
+        if (source[start] === '\n') start++;
+        object.streamStart = start;
+      }
+      this.objects.set(Number(match[1]), object);
+
+      // Stream data can contain anything; continue after it
+      const end = object.streamStart !== undefined ? source.indexOf('endstream', object.streamStart) : -1;
+      pattern.lastIndex = end !== -1 ? end : object.streamStart ?? lexer.position;
+    }
+
+    for (const object of [...this.objects.values()]) {
+      if (object.value?.Type?.name !== 'ObjStm') continue;
+      const data = this.streamData(object);
+      if (!data) continue;
+
+      const count = this.resolve(object.value.N);
+      const first = this.resolve(object.value.First);
+      const header = new Lexer(data);
+      for (let i = 0; i < count; i++) {
+        const number = header.read();
+        const offset = header.read();
+        if (typeof number !== 'number' || typeof offset !== 'number') break;
+        if (!this.objects.has(number)) {
+          this.objects.set(number, { value: new Lexer(data, first + offset).read() });
+        }
+      }
+    }
+  }
+
+  /**
+   * Follow references until a direct value
+   */
+  resolve(value, depth = 0) {
+    if (value && typeof value === 'object' && 'ref' in value && depth < 32) {
+      return this.resolve(this.objects.get(value.ref)?.value, depth + 1);
+    }
+    return value;
+  }
+
+  /**
+   * Raw stream bytes with filters applied, as a latin1 string; null when unsupported
+   */
+  streamData(object) {
+    if (!object || object.streamStart === undefined) return null;
+    const { source } = this;
+
+    let length = this.resolve(object.value?.Length);
+    const endMarker = source.indexOf('endstream', object.streamStart);
+    const after = object.streamStart + (typeof length === 'number' ? length : 0);
+    if (typeof length !== 'number' || !/^\s*endstream/.test(source.slice(after, after + 16))) {
+      length = (endMarker === -1 ? source.length : endMarker) - object.streamStart;
+      if (source[object.streamStart + length - 1] === '\n') length--;
+      if (source[object.streamStart + length - 1] === '\r') length--;
+    }
+
+    let data = Buffer.from(source.slice(object.streamStart, object.streamStart + length), 'latin1');
+    const filter = this.resolve(object.value?.Filter);
+    const filters = (Array.isArray(filter) ? filter : filter ? [filter] : []).map(item => this.resolve(item)?.name);
+
+    for (const name of filters) {
+      if (name === 'FlateDecode' || name === 'Fl') {
+        try {
+          data = inflateSync(data, { finishFlush: zlibConstants.Z_SYNC_FLUSH });
+        } catch {
+          return null;
+        }
+      } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+        const hex = data.toString('latin1').replace(/>.*$/s, '').replace(/[^0-9a-fA-F]/g, '');
+        data = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+      } else {
+        return null;
+      }
+    }
+    return data.toString('latin1');
+  }
+
+  /**
+   * Pages in order, from the catalog's page tree; each with its (inherited) resources
+   */
+  findPages() {
+    const pages = [];
+    const catalog = [...this.objects.values()].reverse().find(object => object.value?.Type?.name === 'Catalog');
+    const seen = new Set();
+
+    const walk = (node, inherited) => {
+      const dict = this.resolve(node);
+      if (!dict || typeof dict !== 'object' || seen.has(dict)) return;
+      seen.add(dict);
+      const resources = dict.Resources ?? inherited;
+      if (dict.Type?.name === 'Pages' || Array.isArray(this.resolve(dict.Kids))) {
+        for (const kid of this.resolve(dict.Kids) || []) walk(kid, resources);
+      } else {
+        pages.push({ dict, resources });
+      }
+    };
+
+    if (catalog) walk(catalog.value.Pages, undefined);
+
+    if (pages.length === 0) {
+      for (const [, object] of [...this.objects.entries()].sort((a, b) => a[0] - b[0])) {
+        if (object.value?.Type?.name === 'Page') pages.push({ dict: object.value, resources: object.value.Resources });
+      }
+    }
+    return pages;
+  }
+
+  /**
+   * How to turn a font's character codes into text
+   */
+  getFont(fontRef) {
+    const key = fontRef?.ref ?? fontRef;
+    if (this.fontCache.has(key)) return this.fontCache.get(key);
+
+    const font = this.resolve(fontRef) || {};
+    const toUnicodeRef = font.ToUnicode;
+    const toUnicode = toUnicodeRef?.ref !== undefined ? this.streamData(this.objects.get(toUnicodeRef.ref)) : null;
+    const cmap = toUnicode ? parseCMap(toUnicode) : null;
+    const result = {
+      cmap,
+      codeLength: cmap ? cmap.codeLength : font.Subtype?.name === 'Type0' ? 2 : 1
+    };
+
+    this.fontCache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Decode a string operand with the current font
+   */
+  decodeText(bytes, font) {
+    let text = '';
+    const step = font?.codeLength || 1;
+    for (let i = 0; i < bytes.length; i += step) {
+      let code = 0;
+      for (let k = 0; k < step && i + k < bytes.length; k++) code = (code << 8) | bytes.charCodeAt(i + k);
+
+      if (font?.cmap?.map.has(code)) {
+        text += font.cmap.map.get(code);
+      } else if (step === 1) {
+        text += WIN_ANSI[code] || String.fromCharCode(code);
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Extract the text of one page (1-based)
+   */
+  getPageText(pageNumber) {
+    const page = this.pages[pageNumber - 1];
+    if (!page) throw new Error(`Page ${pageNumber} does not exist (the document has ${this.pageCount} pages)`);
+
+    const contents = this.resolve(page.dict.Contents);
+    const parts = (Array.isArray(contents) ? contents : contents !== undefined ? [page.dict.Contents] : [])
+      .map(ref => (ref?.ref !== undefined ? this.streamData(this.objects.get(ref.ref)) : null))
+      .filter(Boolean);
+
+    const fonts = this.resolve(this.resolve(page.resources)?.Font) || {};
+    return this.extractText(parts.join('\n'), fonts);
+  }
+
+  /**
+   * Run the text operators of a content stream
+   */
+  extractText(content, fonts) {
+    const lexer = new Lexer(content);
+    let operands = [];
+    let font = null;
+    let text = '';
+    let lastY = null;
+
+    const newline = () => {
+      if (text && !text.endsWith('\n')) text += '\n';
+    };
+
+    for (let value = lexer.read(); value !== undefined; value = lexer.read()) {
+      if (value === null || typeof value !== 'object' || !('op' in value)) {
+        operands.push(value);
+        continue;
+      }
+
+      switch (value.op) {
+        case 'Tf':
+          font = fonts[operands[0]?.name] ? this.getFont(fonts[operands[0].name]) : null;
+          break;
+        case 'Td':
+        case 'TD':
+          if (Math.abs(operands[1] || 0) > 0.1) newline();
+          else if ((operands[0] || 0) > 0 && text && !/\s$/.test(text)) text += ' ';
+          break;
+        case 'Tm':
+          if (lastY !== null && Math.abs((operands[5] || 0) - lastY) > 0.1) newline();
+          lastY = operands[5] || 0;
+          break;
+        case 'T*':
+          newline();
+          break;
+        case 'Tj':
+          if (operands[0]?.str !== undefined) text += this.decodeText(operands[0].str, font);
+          break;
+        case "'":
+          newline();
+          if (operands[0]?.str !== undefined) text += this.decodeText(operands[0].str, font);
+          break;
+        case '"':
+          newline();
+          if (operands[2]?.str !== undefined) text += this.decodeText(operands[2].str, font);
+          break;
+        case 'TJ':
+          for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+            if (item?.str !== undefined) text += this.decodeText(item.str, font);
+            else if (typeof item === 'number' && item < -200 && !/\s$/.test(text)) text += ' ';
+          }
+          break;
+        case 'ET':
+          newline();
+          break;
+        case 'ID': {
+          // Inline image data runs to "EI"
+          const end = /\sEI(?=\s|$)/.exec(content.slice(lexer.position));
+          lexer.position = end ? lexer.position + end.index + end[0].length : content.length;
+          break;
+        }
+      }
+      operands = [];
+    }
+
+    return text
+      .split('\n')
+      .map(line => line.replace(/\s+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+/**
+ * Parse a page selection like "3", "1-5" or "1-3,7" into sorted page numbers
+ */
+export function parsePageRange(range, pageCount) {
+  const pages = new Set();
+  for (const part of String(range).split(',')) {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d*)\s*)?$/.exec(part);
+    if (!match) throw new Error(`Invalid page range "${range}". Use a page number or a range like "1-5".`);
+    const first = Number(match[1]);
+    const last = match[2] === undefined ? first : match[2] === '' ? pageCount : Number(match[2]);
+    if (first < 1 || last < first) throw new Error(`Invalid page range "${range}"`);
+    for (let page = first; page <= Math.min(last, pageCount); page++) pages.add(page);
+  }
+  return [...pages].sort((a, b) => a - b);
+}
@@ -0,0 +1,416 @@
+/**
+ * Permission Manager
+ * Decides whether a tool call may run, from allow/deny rules, the permission
+ * mode and, when no rule matches, an interactive approval prompt
+ */
+
+import { isAbsolute, relative, resolve, sep } from 'path';
+import { config } from './config.js';
+import { getPatchPaths } from './patch.js';
+
+export const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypass'];
+
+/**
+ * Tools that change files; allowed without asking in acceptEdits mode
+ */
+export const FILE_EDIT_TOOLS = new Set(['Write', 'Edit', 'MultiEdit', 'ApplyPatch']);
+
+/**
+ * Tools whose rule argument is a file path
+ */
+const PATH_TOOLS = new Set(['Read', 'Write', 'Edit', 'MultiEdit', 'ApplyPatch', 'Glob', 'Grep']);
+
+/**
+ * The input field each tool's rules match against
+ */
+const RULE_ARGUMENTS = {
+  Bash: input => input.command,
+  Read: input => input.file_path,
+  Write: input => input.file_path,
+  Edit: input => input.file_path,
+  MultiEdit: input => input.file_path,
+  ApplyPatch: input => input.file_path,
+  Glob: input => input.path,
+  Grep: input => input.path,
+  WebFetch: input => input.url,
+  WebSearch: input => input.query
+};
+
+/**
+ * Split a shell command into the simple commands chained by ;, &, &&, |, || or newlines,
+ * respecting quotes. Returns null when the command substitutes another command
+ * ($(...), backticks, <(...) or >(...)), since that cannot be checked part by part.
+ */
+export function splitShellCommand(command) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+
+    if (quote === "'") {
+      if (ch === "'") quote = null;
+      current += ch;
+      continue;
+    }
+    if (ch === '\\' && i + 1 < command.length) {
+      current += ch + command[++i];
+      continue;
+    }
+    if (ch === '`' || (ch === '$' && command[i + 1] === '(')) return null;
+    if (quote === '"') {
+      if (ch === '"') quote = null;
+      current += ch;
+      continue;
+    }
+    if ((ch === '<' || ch === '>') && command[i + 1] === '(') return null;
+
+    if (ch === "'" || ch === '"') {
+      quote = ch;
+      current += ch;
+    } else if (ch === ';' || ch === '&' || ch === '|' || ch === '\n') {
+      // "2>&1" and ">&2" redirect output; they do not start a new command
+      if (ch === '&' && /[<>]$/.test(current)) {
+        current += ch;
+        continue;
+      }
+      if (command[i + 1] === ch && ch !== ';' && ch !== '\n') i++;
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Split a call into the calls its rules are checked against.
+ * A patch is checked once per file it touches, and Write/Edit deny rules apply to it too.
+ * A chained Bash command is checked once per command; one that substitutes commands
+ * is marked opaque and only matches rules without a pattern.
+ */
+function ruleCalls(toolName, input = {}) {
+  if (toolName === 'Bash') {
+    const commands = splitShellCommand(input.command || '');
+    if (commands === null) return [{ toolName, input, opaque: true }];
+    return commands.map(command => ({ toolName, input: { ...input, command } }));
+  }
+  if (toolName !== 'ApplyPatch') return [{ toolName, input }];
+  return getPatchPaths(input.patch || '').map(file_path => ({ toolName, input: { file_path } }));
+}
+
+function isCatchAllRule(rule) {
+  try {
+    const { pattern } = parseRule(rule);
+    return pattern === null || pattern === '*' || pattern === '**';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a rule like "Bash(git *)" or "Read" into { tool, pattern }
+ */
+export function parseRule(rule) {
+  const match = /^\s*([\w-]+)\s*(?:\(([\s\S]*)\))?\s*$/.exec(rule);
+  if (!match) {
+    throw new Error(`Invalid permission rule: ${rule}`);
+  }
+  return { tool: match[1], pattern: match[2] ?? null };
+}
+
+/**
+ * Convert a rule pattern to a RegExp.
+ * For paths "*" stays inside one directory and "**" crosses directories;
+ * for commands and other arguments "*" matches anything.
+ * A backslash makes the next character literal, so "Bash(rm \\*)" matches only "rm *".
+ */
+function patternToRegExp(pattern, isPath) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (ch === '*') {
+      if (isPath && pattern[i + 1] === '*') {
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += isPath ? '[^/]*' : '.*';
+      }
+    } else if (ch === '?') {
+      source += isPath ? '[^/]' : '.';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Escape a literal value for use as a rule pattern
+ */
+function escapeRulePattern(value) {
+  return value.replace(/[\\*?]/g, '\\$&');
+}
+
+export class PermissionManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - default, acceptEdits, plan or bypass
+   * @param {string[]} options.allow - Rules that allow calls without asking
+   * @param {string[]} options.deny - Rules that always refuse calls
+   * @param {Function} options.isReadOnly - Whether a tool only reads state
+   * @param {Function} options.askPermission - async ({ tool, input, description, suggestedRules }) => 'yes' | 'no' | 'always'
+   * @param {boolean} options.persist - Save "always" answers to the project config
+   * @param {boolean} options.reviewsEdits - File edits are shown as a diff and confirmed when they run
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'default';
+    if (!PERMISSION_MODES.includes(this.mode)) {
+      throw new Error(`Unknown permission mode: ${this.mode}. Use one of: ${PERMISSION_MODES.join(', ')}`);
+    }
+
+    this.allow = [...(options.allow || [])];
+    this.deny = [...(options.deny || [])];
+    this.workingDirectory = options.workingDirectory || process.cwd();
+    this.isReadOnly = options.isReadOnly || (() => false);
+    this.askPermission = options.askPermission || null;
+    this.persist = options.persist !== false;
+    // File edits are confirmed on their diff when they run, so they are not asked about here
+    this.reviewsEdits = Boolean(options.reviewsEdits);
+
+    // Prompts are asked one at a time even when tools run concurrently
+    this.promptQueue = Promise.resolve();
+  }
+
+  /**
+   * Get the value a tool's rules match against. Paths are normalized, so "./.env",
+   * "src/../.env" and "/project/.env" all compare as ".env"; paths outside the
+   * working directory come back absolute.
+   */
+  getRuleArgument(toolName, input = {}) {
+    const value = RULE_ARGUMENTS[toolName]?.(input);
+    if (typeof value !== 'string') return null;
+
+    if (PATH_TOOLS.has(toolName)) {
+      const absolute = resolve(this.workingDirectory, value);
+      const rel = relative(this.workingDirectory, absolute);
+      if (rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) return absolute;
+      return rel.split(sep).join('/') || '.';
+    }
+
+    return value;
+  }
+
+  /**
+   * Check whether a rule matches a tool call
+   */
+  matches(rule, toolName, input) {
+    const { tool, pattern } = parseRule(rule);
+    if (tool !== toolName) return false;
+    if (pattern === null || pattern === '*' || pattern === '**') return true;
+
+    const argument = this.getRuleArgument(toolName, input);
+    if (argument === null) return false;
+
+    const isPath = PATH_TOOLS.has(toolName);
+    const regex = patternToRegExp(pattern, isPath);
+    if (regex.test(argument)) return true;
+
+    // Absolute patterns can also match the absolute path
+    if (isPath && isAbsolute(pattern)) {
+      return regex.test(resolve(this.workingDirectory, argument));
+    }
+
+    return false;
+  }
+
+  /**
+   * Find the first rule in a list that matches the call
+   */
+  findRule(rules, toolName, input) {
+    return rules.find(rule => {
+      try {
+        return this.matches(rule, toolName, input);
+      } catch {
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Find a deny rule matching any file the call touches or, for Bash, the whole
+   * command or any command in it
+   */
+  findDenyRule(toolName, input) {
+    const calls = ruleCalls(toolName, input);
+    if (toolName === 'Bash') calls.unshift({ toolName, input });
+
+    for (const call of calls) {
+      const names = toolName === 'ApplyPatch' ? ['ApplyPatch', 'Write', 'Edit'] : [toolName];
+      for (const name of names) {
+        const rule = this.findRule(this.deny, name, call.input);
+        if (rule) return rule;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find an allow rule covering the call; a patch needs one for every file it touches
+   * and a chained Bash command one for every command
+   */
+  findAllowRule(toolName, input) {
+    const calls = ruleCalls(toolName, input);
+    if (calls.length === 0) return null;
+
+    let rule = null;
+    for (const call of calls) {
+      const rules = call.opaque ? this.allow.filter(isCatchAllRule) : this.allow;
+      rule = this.findRule(rules, call.toolName, call.input);
+      if (!rule) return null;
+    }
+    return rule;
+  }
+
+  /**
+   * Suggest the rules to save when the user answers "always": one for each command of a
+   * chained Bash command (or file of a patch) that no rule allows yet, with wildcards
+   * escaped so each rule matches only what was approved.
+   * Returns [] when the call cannot be covered short of allowing the whole tool.
+   */
+  suggestRules(toolName, input) {
+    const rules = [];
+    for (const call of ruleCalls(toolName, input)) {
+      if (call.opaque) return [];
+      if (this.findRule(this.allow, call.toolName, call.input)) continue;
+
+      const argument = this.getRuleArgument(call.toolName, call.input);
+      const rule = argument ? `${call.toolName}(${escapeRulePattern(argument)})` : call.toolName;
+      if (!rules.includes(rule)) rules.push(rule);
+    }
+    return rules;
+  }
+
+  /**
+   * Describe a call for the approval prompt
+   */
+  describe(toolName, input = {}) {
+    if (toolName === 'ApplyPatch') {
+      const paths = getPatchPaths(input.patch || '');
+      if (paths.length > 0) return paths.join(', ');
+    }
+
+    const argument = this.getRuleArgument(toolName, input);
+    if (argument) return argument;
+
+    const text = JSON.stringify(input);
+    return text.length > 200 ? `${text.slice(0, 200)}...` : text;
+  }
+
+  /**
+   * Add an allow or deny rule, saving it to the project config when persisting
+   */
+  addRule(rule, list = 'allow') {
+    parseRule(rule);
+    const rules = list === 'deny' ? this.deny : this.allow;
+    if (!rules.includes(rule)) rules.push(rule);
+
+    if (this.persist) {
+      const saved = config.get(`permissions.${list}`, []) || [];
+      if (!saved.includes(rule)) {
+        config.set(`permissions.${list}`, [...saved, rule]);
+      }
+    }
+  }
+
+  /**
+   * Decide whether a tool call may run.
+   * Returns { allowed, reason, rule }
+   */
+  async check(toolName, input) {
+    const denyRule = this.findDenyRule(toolName, input);
+    if (denyRule) {
+      return { allowed: false, reason: `Denied by permission rule ${denyRule}`, rule: denyRule };
+    }
+
+    if (this.mode === 'bypass') {
+      return { allowed: true, reason: 'bypass mode' };
+    }
+
+    const readOnly = this.isReadOnly(toolName);
+
+    if (this.mode === 'plan') {
+      return readOnly
+        ? { allowed: true, reason: 'plan mode allows read-only tools' }
+        : { allowed: false, reason: `Plan mode: ${toolName} is not allowed. Only read-only tools may run; describe the change instead of making it.` };
+    }
+
+    const allowRule = this.findAllowRule(toolName, input);
+    if (allowRule) {
+      return { allowed: true, reason: `Allowed by permission rule ${allowRule}`, rule: allowRule };
+    }
+
+    if (this.mode === 'acceptEdits' && FILE_EDIT_TOOLS.has(toolName)) {
+      return { allowed: true, reason: 'acceptEdits mode' };
+    }
+
+    if (this.reviewsEdits && FILE_EDIT_TOOLS.has(toolName)) {
+      return { allowed: true, reason: 'confirmed on its diff' };
+    }
+
+    if (!this.askPermission) {
+      return {
+        allowed: false,
+        reason: `No permission rule allows ${toolName}(${this.describe(toolName, input)}). Add an allow rule or run interactively.`
+      };
+    }
+
+    return this.prompt(toolName, input);
+  }
+
+  /**
+   * Ask the user, one prompt at a time
+   */
+  prompt(toolName, input) {
+    const ask = async () => {
+      // A rule saved while waiting may already cover this call
+      const allowRule = this.findAllowRule(toolName, input);
+      if (allowRule) {
+        return { allowed: true, reason: `Allowed by permission rule ${allowRule}`, rule: allowRule };
+      }
+
+      const suggestedRules = this.suggestRules(toolName, input);
+      const answer = await this.askPermission({
+        tool: toolName,
+        input,
+        description: this.describe(toolName, input),
+        suggestedRules
+      });
+
+      if (answer === 'always' && suggestedRules.length > 0) {
+        suggestedRules.forEach(rule => this.addRule(rule, 'allow'));
+        const rules = suggestedRules.join(', ');
+        return { allowed: true, reason: `Allowed by new permission rule ${rules}`, rule: rules };
+      }
+      // With no rule to save, "always" approves this call only
+      if (answer === 'yes' || answer === 'always') {
+        return { allowed: true, reason: 'Approved by user' };
+      }
+      return { allowed: false, reason: `The user denied permission for ${toolName}(${this.describe(toolName, input)})` };
+    };
+
+    const result = this.promptQueue.then(ask);
+    this.promptQueue = result.catch(() => {});
+    return result;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Progress Region
+ * Live view of a running tool's output (tool_progress events) in the terminal.
+ * On a TTY the last few lines are redrawn in place and collapse to a one-line
+ * summary when the tool finishes; the full output stays available for /expand.
+ */
+
+import { config } from './config.js';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+
+/**
+ * Minimum time between redraws, so chatty commands do not flood the terminal
+ */
+const REDRAW_INTERVAL_MS = 50;
+
+let lastOutput = null;
+
+/**
+ * Full output of the most recently finished region, for /expand
+ */
+export function getLastToolOutput() {
+  return lastOutput;
+}
+
+export class ProgressRegion {
+  /**
+   * @param {string} title - Shown above the output, e.g. the command
+   * @param {Object} options
+   * @param {Object} options.output - Stream to draw on (default: process.stdout)
+   * @param {number} options.maxLines - Lines of output kept on screen
+   */
+  constructor(title, options = {}) {
+    this.title = title;
+    this.output = options.output || process.stdout;
+    this.maxLines = options.maxLines || 10;
+    this.interactive = Boolean(this.output.isTTY);
+    this.text = '';
+    this.renderedLines = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Add a chunk of output
+   */
+  write(data) {
+    if (!this.text && !this.interactive) {
+      this.output.write(`${DIM}  ⎿ ${this.title}${RESET}\n`);
+    }
+    this.text += data;
+
+    if (!this.interactive) {
+      this.output.write(`${DIM}${data}${RESET}`);
+      return;
+    }
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.render();
+      }, REDRAW_INTERVAL_MS);
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * The last `maxLines` lines, cut to the terminal width so each takes one row
+   */
+  tail() {
+    const width = Math.max((this.output.columns || 80) - 4, 10);
+    const lines = this.text.replace(/\n$/, '').split('\n').slice(-this.maxLines);
+    return lines.map(line => line.replace(/\r/g, '').slice(0, width));
+  }
+
+  /**
+   * Clear what was drawn last time
+   */
+  clear() {
+    if (this.renderedLines > 0) {
+      this.output.write(`\x1b[${this.renderedLines}F\x1b[J`);
+      this.renderedLines = 0;
+    }
+  }
+
+  /**
+   * Redraw the title and the tail of the output in place
+   */
+  render() {
+    const lines = [`  ⎿ ${this.title}`, ...this.tail().map(line => `    ${line}`)];
+    this.clear();
+    this.output.write(`${DIM}${lines.join('\n')}${RESET}\n`);
+    this.renderedLines = lines.length;
+  }
+
+  /**
+   * Collapse to a one-line summary and keep the full output for /expand
+   */
+  finish() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const lineCount = this.text.replace(/\n$/, '').split('\n').length;
+    lastOutput = { title: this.title, text: this.text };
+
+    if (this.interactive) {
+      this.clear();
+      this.output.write(`${DIM}  ⎿ ${this.title} (${lineCount} line${lineCount === 1 ? '' : 's'} of output, /expand to show)${RESET}\n`);
+    } else if (!this.text.endsWith('\n')) {
+      this.output.write('\n');
+    }
+  }
+}
+
+/**
+ * Tracks one region per running tool call
+ */
+export class ToolProgressView {
+  constructor(options = {}) {
+    this.options = options;
+    this.regions = new Map();
+  }
+
+  /**
+   * Handle a tool_progress event
+   */
+  update(event) {
+    if (!config.get('showToolProgress', true)) return;
+
+    let region = this.regions.get(event.toolUseId);
+    if (!region) {
+      const detail = String(event.input?.command || event.input?.file_path || '').split('\n')[0].slice(0, 80);
+      region = new ProgressRegion(detail ? `${event.tool}: ${detail}` : event.tool, {
+        maxLines: config.get('toolProgressLines', 10),
+        ...this.options
+      });
+      this.regions.set(event.toolUseId, region);
+    }
+    region.write(event.data);
+  }
+
+  /**
+   * Collapse the region of a finished tool call.
+   * Returns true if its output was shown while it ran.
+   */
+  finish(toolUseId) {
+    const region = this.regions.get(toolUseId);
+    if (!region) return false;
+
+    region.finish();
+    this.regions.delete(toolUseId);
+    return true;
+  }
+}
@@ -90,6 +90,7 @@ You have these tools - use them actively:
 - Grep: Search file contents
 - Bash: Execute shell commands
 - WebFetch: Fetch web content
+- WebSearch: Search the web, e.g. for library documentation (if configured)
 
 # WORKFLOW EXAMPLES
 
@@ -0,0 +1,79 @@
+/**
+ * Backend Providers
+ * Selects the LLM client based on the `provider` config key
+ */
+
+import { OllamaClient } from './ollama-client.js';
+import { OpenAICompatibleClient } from './openai-client.js';
+import { config } from './config.js';
+
+export const PROVIDERS = {
+  ollama: {
+    displayName: 'Ollama',
+    Client: OllamaClient,
+    endpointKey: 'ollamaEndpoint',
+    modelKey: 'ollamaModel',
+    startHint: 'Please start Ollama with: ollama serve'
+  },
+  openai: {
+    displayName: 'OpenAI-compatible server',
+    Client: OpenAICompatibleClient,
+    endpointKey: 'openaiEndpoint',
+    modelKey: 'openaiModel',
+    startHint: 'Please start your llama.cpp, vLLM or LM Studio server'
+  }
+};
+
+/**
+ * Get the provider entry for a name (defaults to the configured provider)
+ */
+export function getProvider(name = config.get('provider', 'ollama')) {
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Get the model configured for the active provider
+ */
+export function getDefaultModel() {
+  return config.get(getProvider().modelKey);
+}
+
+/**
+ * Create a client for the active provider
+ */
+export function createClient(options = {}) {
+  const provider = getProvider(options.provider);
+
+  const settings = {
+    endpoint: config.get(provider.endpointKey),
+    model: config.get(provider.modelKey),
+    apiKey: config.get('openaiApiKey'),
+    timeout: 300000,
+    debugTools: config.get('debugTools'),
+    modelProfiles: config.get('modelProfiles', {}),
+    // Used when neither the call nor the model profile sets them
+    temperature: config.get('temperature'),
+    maxTokens: config.get('maxTokens')
+  };
+
+  // Explicit options win, but an undefined option keeps the configured value
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+
+  return new provider.Client(settings);
+}
+
+/**
+ * Message to show when the active provider cannot be reached
+ */
+export function getUnavailableMessage() {
+  const provider = getProvider();
+  return `${provider.displayName} is not running. ${provider.startHint}`;
+}
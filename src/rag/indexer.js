@@ -6,8 +6,8 @@
 import { ChromaClient } from 'chromadb';
 import { pipeline } from '@xenova/transformers';
 import { readFileSync, existsSync } from 'fs';
-import { glob } from 'glob';
 import path from 'path';
+import { IGNORE_FILES, walkFiles } from '../ignore.js';
 
 export class CodebaseIndexer {
   constructor(config = {}) {
@@ -56,19 +56,20 @@ export class CodebaseIndexer {
   }
 
   /**
-   * Index an entire directory
+   * Index an entire directory.
+   * Files excluded by .gitignore or .lccoderignore are skipped, as in the Glob tool;
+   * excludePatterns adds .gitignore-style patterns on top.
    */
   async indexDirectory(directoryPath, options = {}) {
-    const { verbose = true, excludePatterns = ['node_modules/**', '.git/**', 'dist/**', 'build/**'] } = options;
+    const { verbose = true, excludePatterns = ['node_modules/', 'dist/', 'build/'] } = options;
 
     console.log(`\n[INFO] Indexing directory: ${directoryPath}`);
 
     // Find all supported files
-    const pattern = `**/*{${this.config.supportedExtensions.join(',')}}`;
-    const files = await glob(pattern, {
-      cwd: directoryPath,
+    const files = walkFiles(path.resolve(directoryPath), {
+      ignoreFiles: IGNORE_FILES,
       ignore: excludePatterns,
-      absolute: true
+      filter: file => this.config.supportedExtensions.includes(path.extname(file))
     });
 
     console.log(`[INFO] Found ${files.length} files to index\n`);
@@ -3,6 +3,7 @@
  * Implements intelligent retry logic with alternative approaches
  */
 
+import { readFileSync } from 'fs';
 import { executeTool } from '../tools/index.js';
 
 export class SmartRetry {
@@ -73,6 +74,16 @@ export class SmartRetry {
           };
         }
 
+        // Invalid input fails the same way on every attempt; hand it back to the model
+        if (result?.validationErrors) {
+          return {
+            success: false,
+            error: new Error(result.error),
+            attempts: attempt,
+            history: attempts
+          };
+        }
+
         // Result doesn't look successful, treat as error
         throw new Error('Operation completed but result appears invalid');
       } catch (error) {
@@ -196,7 +207,7 @@ export class SmartRetry {
     console.log('Handling file not found error...');
 
     // If trying to read/edit a file that doesn't exist
-    if (toolName === 'Read' || toolName === 'Edit') {
+    if (toolName === 'Read' || toolName === 'Edit' || toolName === 'MultiEdit') {
       // Check if we have the wrong path
       const glob = await executeTool('Glob',
         { pattern: `**/${params.file_path.split('/').pop()}` },
@@ -325,17 +336,12 @@ export class SmartRetry {
 
   async alternativeEdit(params, context) {
     try {
-      // Read the file first
-      const readResult = await executeTool('Read',
-        { file_path: params.file_path },
-        context
-      );
+      // Read the raw file; Read output is numbered and may be capped
+      const original = readFileSync(params.file_path, 'utf-8');
 
-      if (readResult && readResult.text) {
+      if (original) {
         // Replace content manually
-        const content = readResult.text
-          .replace(/^\d+→/gm, '')
-          .replace(params.old_string, params.new_string);
+        const content = original.replace(params.old_string, params.new_string);
 
         // Write back
         const writeResult = await executeTool('Write',
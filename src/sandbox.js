@@ -0,0 +1,170 @@
+/**
+ * Bash Sandbox
+ * Runs shell commands inside Linux namespaces (bubblewrap, or unshare as a fallback):
+ * the working directory stays writable, the rest of the filesystem is read-only,
+ * the network is cut off and the environment is reduced to an allowlist
+ */
+
+import { spawnSync } from 'child_process';
+import { resolve } from 'path';
+import { config } from './config.js';
+
+/**
+ * Environment variables passed into the sandbox unless configured otherwise
+ */
+export const DEFAULT_ENV_ALLOWLIST = ['PATH', 'HOME', 'USER', 'LANG', 'LC_ALL', 'TERM', 'SHELL', 'TZ', 'NODE_ENV'];
+
+/**
+ * Exit code the unshare setup script uses when it cannot build the jail
+ */
+const SETUP_FAILED_EXIT_CODE = 97;
+
+/**
+ * Setup script for the unshare backend.
+ * $1 is the working directory, $2 the command, further arguments extra writable paths.
+ * Every other mount is remounted read-only, keeping its flags (the kernel refuses to
+ * drop locked ones like nosuid); if any remount fails the command does not run.
+ * The command itself runs without capabilities, so it cannot undo the remounts.
+ */
+const UNSHARE_SCRIPT = `
+cwd="$1"; cmd="$2"; shift 2
+for p in "$cwd" "$@"; do mount --bind "$p" "$p" || exit ${SETUP_FAILED_EXIT_CODE}; done
+case "$cwd/" in /tmp/*) ;; *) mount -t tmpfs tmpfs /tmp || exit ${SETUP_FAILED_EXIT_CODE} ;; esac
+while read -r _ _ _ _ mp opts _; do
+  mp=$(printf '%b' "$mp")
+  case "$mp" in /proc|/proc/*|/sys|/sys/*|/dev|/dev/*|/tmp) continue ;; esac
+  skip=0
+  for p in "$cwd" "$@"; do [ "$mp" = "$p" ] && skip=1; done
+  [ "$skip" = 1 ] && continue
+  flags=$(printf '%s' ",$opts," | sed 's/,rw,/,/; s/^,//; s/,$//')
+  mount -o "remount,bind,ro\${flags:+,$flags}" "$mp" || {
+    echo "lc-sandbox: mount: could not make $mp read-only" >&2
+    exit ${SETUP_FAILED_EXIT_CODE}
+  }
+done < /proc/self/mountinfo
+cd "$cwd" || exit ${SETUP_FAILED_EXIT_CODE}
+exec setpriv --inh-caps=-all --bounding-set=-all /bin/bash -c "$cmd"
+`;
+
+let detectedBackend;
+
+/**
+ * Find a usable sandbox backend: 'bwrap', 'unshare' or null.
+ * The result is cached for the process.
+ */
+export function detectSandboxBackend() {
+  if (detectedBackend !== undefined) return detectedBackend;
+
+  detectedBackend = null;
+  if (process.platform !== 'linux') return detectedBackend;
+
+  const probes = [
+    ['bwrap', ['--ro-bind', '/', '/', '--unshare-net', 'true']],
+    ['unshare', ['--user', '--map-root-user', '--mount', '--net', 'setpriv', '--inh-caps=-all', '--bounding-set=-all', 'true']]
+  ];
+
+  for (const [backend, args] of probes) {
+    const probe = spawnSync(backend, args, { stdio: 'ignore', timeout: 5000 });
+    if (probe.status === 0) {
+      detectedBackend = backend;
+      break;
+    }
+  }
+
+  return detectedBackend;
+}
+
+/**
+ * Resolve sandbox settings from a per-call value (true/false/object) over config.json
+ */
+export function resolveSandboxSettings(value) {
+  const configured = config.get('sandbox', {}) || {};
+  const defaults = {
+    enabled: false,
+    network: false,
+    writablePaths: [],
+    envAllowlist: DEFAULT_ENV_ALLOWLIST
+  };
+
+  if (value === undefined || value === null) {
+    return { ...defaults, ...configured };
+  }
+  if (typeof value === 'boolean') {
+    return { ...defaults, ...configured, enabled: value };
+  }
+  return { ...defaults, ...configured, enabled: true, ...value };
+}
+
+/**
+ * Reduce an environment to the allowlisted variables
+ */
+export function scrubEnv(env, allowlist = DEFAULT_ENV_ALLOWLIST) {
+  const scrubbed = {};
+  for (const key of allowlist) {
+    if (env[key] !== undefined) scrubbed[key] = env[key];
+  }
+  return scrubbed;
+}
+
+/**
+ * Build the program and arguments that run `command` inside the sandbox.
+ * Throws with an explanation when no backend is available.
+ */
+export function buildSandboxCommand(command, settings = {}, workingDirectory = process.cwd()) {
+  const backend = settings.backend || detectSandboxBackend();
+  const cwd = resolve(workingDirectory);
+  const writablePaths = (settings.writablePaths || []).map(path => resolve(cwd, path));
+
+  if (backend === 'bwrap') {
+    const args = [
+      '--ro-bind', '/', '/',
+      '--dev', '/dev',
+      '--proc', '/proc',
+      '--tmpfs', '/tmp',
+      '--bind', cwd, cwd
+    ];
+    for (const path of writablePaths) {
+      args.push('--bind', path, path);
+    }
+    if (!settings.network) {
+      args.push('--unshare-net');
+    }
+    args.push('--unshare-pid', '--die-with-parent', '--chdir', cwd, '/bin/bash', '-c', command);
+    return { file: 'bwrap', args, backend };
+  }
+
+  if (backend === 'unshare') {
+    const args = ['--user', '--map-root-user', '--mount', '--pid', '--fork', '--mount-proc'];
+    if (!settings.network) {
+      args.push('--net');
+    }
+    args.push('/bin/bash', '-c', UNSHARE_SCRIPT, 'lc-sandbox', cwd, command, ...writablePaths);
+    return { file: 'unshare', args, backend };
+  }
+
+  throw new Error(
+    'Sandbox is enabled but unavailable: neither bubblewrap (bwrap) nor unshare with user namespaces and setpriv works on this system. ' +
+    'The command was not run. Install bubblewrap, enable unprivileged user namespaces, or turn the sandbox off.'
+  );
+}
+
+/**
+ * Explain a sandboxed command failure when the output shows the jail blocked it
+ */
+export function explainSandboxFailure(output, exitCode, settings = {}, workingDirectory = process.cwd()) {
+  const reasons = [];
+
+  if (exitCode === SETUP_FAILED_EXIT_CODE && /mount|Operation not permitted/i.test(output)) {
+    reasons.push('The sandbox could not be set up (mounting failed), so the command did not run.');
+  }
+  if (/Read-only file system/i.test(output)) {
+    const writable = [workingDirectory, ...(settings.writablePaths || [])].join(', ');
+    reasons.push(`Writes outside the sandbox are blocked; only ${writable} is writable.`);
+  }
+  if (!settings.network &&
+      /Network is unreachable|Could not resolve host|Temporary failure in name resolution|getaddrinfo|ENOTFOUND|EAI_AGAIN/i.test(output)) {
+    reasons.push('Network access is disabled in the sandbox.');
+  }
+
+  return reasons.length > 0 ? `[Sandbox] ${reasons.join(' ')}` : null;
+}
@@ -3,10 +3,19 @@
  * Incorporates verification, smart retry, and enhanced prompting
  */
 
-import { OllamaClient } from './ollama-client.js';
+import { createClient, getDefaultModel, getUnavailableMessage } from './providers.js';
 import { config } from './config.js';
 import { Session } from './session.js';
-import { getToolDefinitions, executeTool } from './tools/index.js';
+import { getToolDefinitions, executeTool, isReadOnlyTool, normalizeToolInput } from './tools/index.js';
+import { ToolCallAssembler } from './tool-call-assembler.js';
+import { formatParseError } from './tools/input-validator.js';
+import { ContextManager } from './context-manager.js';
+import { withTextToolCalls } from './tool-call-parser.js';
+import { PermissionManager } from './permissions.js';
+import { checkpoints } from './checkpoints.js';
+import { withProgress, reportToolProgress } from './tool-scheduler.js';
+import { closeShellSession } from './shell-session.js';
+import { cleanupBackgroundProcesses } from './background-processes.js';
 import { WorkVerifier } from './verification/work-verifier.js';
 import { SmartRetry } from './retry/smart-retry.js';
 import { getEnhancedSystemPrompt, getTaskCompletionReminder, getVerificationPrompt } from './prompts/enhanced-system-prompt.js';
@@ -21,34 +30,44 @@ export async function* queryEnhanced(options = {}) {
     model,
     temperature,
     maxTokens,
+    modelOptions,  // Per-call runtime options (num_ctx, top_p, keep_alive, ...)
     signal,
-    sessionId,
+    sessionId,                // Continue this session, or start one under this id; its shell and background processes live until endSession()
     tools = true,
+    allowedTools,             // Only these tools are offered and may run (default: all)
+    sandbox,                  // Run Bash sandboxed: true/false or sandbox settings (defaults to config)
     useEnhancedMode = true,  // New option
     autoVerify = true,        // New option
     smartRetry = true,        // New option
-    platformInfo = null
+    platformInfo = null,
+    permissionMode,           // default, acceptEdits, plan or bypass (defaults to config)
+    askPermission,            // async ({ tool, input, description, suggestedRules }) => 'yes' | 'no' | 'always'
+    checkpoint,               // Checkpoint that collects file snapshots (default: a new one for this query)
+    reviewEdit                // async ({ tool, filePath, diff, autoAccept }) => { action: 'accept' | 'reject' | 'edit', reason, content }
   } = options;
 
   // Initialize components
-  const session = sessionId ? Session.load(sessionId) : new Session();
+  const session = sessionId ? Session.open(sessionId) : new Session();
+
+  // Files changed by this query's tools can be rolled back as one turn
+  const turnCheckpoint = checkpoint || checkpoints.create({
+    kind: 'turn',
+    label: prompt || messages.filter(message => message.role === 'user').pop()?.content || '',
+    sessionId: session.id
+  });
+
   const verifier = new WorkVerifier({ workingDirectory: process.cwd() });
   const retryHandler = new SmartRetry(3);
 
-  // Initialize Ollama client
-  const ollamaClient = new OllamaClient({
-    endpoint: config.get('ollamaEndpoint'),
-    model: model || config.get('ollamaModel'),
-    timeout: 300000,
-    debugTools: config.get('debugTools')
-  });
+  // Initialize backend client for the configured provider
+  const client = createClient({ model });
 
   // Health check
-  const isHealthy = await ollamaClient.healthCheck();
+  const isHealthy = await client.healthCheck();
   if (!isHealthy) {
     yield {
       type: 'error',
-      message: 'Ollama is not running. Please start Ollama with: ollama serve'
+      message: getUnavailableMessage()
     };
     return;
   }
@@ -84,13 +103,46 @@ export async function* queryEnhanced(options = {}) {
   }
 
   // Get available tools
-  const availableTools = tools ? getToolDefinitions() : [];
+  const availableTools = tools ? getToolDefinitions(allowedTools) : [];
+
+  // Decide which tool calls may run
+  let permissions;
+  try {
+    permissions = new PermissionManager({
+      mode: permissionMode || config.get('permissions.mode', 'default'),
+      allow: config.get('permissions.allow', []),
+      deny: config.get('permissions.deny', []),
+      workingDirectory: process.cwd(),
+      isReadOnly: isReadOnlyTool,
+      askPermission,
+      reviewsEdits: Boolean(reviewEdit)
+    });
+  } catch (error) {
+    yield {
+      type: 'error',
+      message: error.message
+    };
+    return;
+  }
+
+  // Diffs are still shown, but not asked about, when edits are accepted automatically
+  const autoAcceptEdits = config.get('autoAcceptEdits', false) || ['acceptEdits', 'bypass'].includes(permissions.mode);
+
+  // Track context usage against the model's window
+  const contextManager = new ContextManager({
+    client,
+    model: model || getDefaultModel()
+  });
 
   // Context for tool execution
   const context = {
     workingDirectory: process.cwd(),
     session,
     bashMaxOutputLength: config.get('bashMaxOutputLength') || 30000,
+    sandbox,
+    checkpoint: turnCheckpoint,
+    reviewEdit,
+    autoAcceptEdits,
     verifier,
     retryHandler
   };
@@ -100,218 +152,332 @@ export async function* queryEnhanced(options = {}) {
   const maxIterations = 20;
 
   // Main agentic loop
-  while (iterations < maxIterations) {
-    iterations++;
-
-    // Prepare Ollama request options
-    const ollamaOptions = {
-      temperature: temperature ?? config.get('temperature'),
-      max_tokens: maxTokens || config.get('maxTokens'),
-      tools: availableTools,
-      signal
-    };
+  try {
+    while (iterations < maxIterations) {
+      iterations++;
+
+      // Prepare model request options
+      const requestOptions = {
+        temperature,
+        max_tokens: maxTokens,
+        options: modelOptions,
+        tools: availableTools,
+        signal
+      };
 
-    let assistantMessage = '';
-    let toolCalls = [];
+      let assistantMessage = '';
+      let thinking = '';
+      const toolCallAssembler = new ToolCallAssembler();
 
-    try {
-      // Stream the response
-      for await (const event of ollamaClient.streamChat(messageHistory, ollamaOptions)) {
-        // Process streaming events
-        if (event.type === 'content_block_delta' && event.delta?.text) {
-          assistantMessage += event.delta.text;
-          yield {
-            type: 'stream_event',
-            event
-          };
-        } else if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
-          // Tool calls are starting
-          yield {
-            type: 'stream_event',
-            event
-          };
-        } else if (event.type === 'message_delta') {
-          // Empty delta (e.g., filtered thinking tokens)
-          yield {
-            type: 'stream_event',
-            event
-          };
-        } else if (event.type === 'message_stop') {
-          // Response complete
-          if (event.usage) {
-            session.updateUsage(event.usage);
+      try {
+        // Keep history inside the model's context window
+        if (contextManager.needsCompaction(messageHistory)) {
+          const compaction = await contextManager.compact(messageHistory, { signal });
+          if (compaction.compacted) {
+            messageHistory.splice(0, messageHistory.length, ...compaction.messages);
+            yield {
+              type: 'context_compacted',
+              beforeTokens: compaction.beforeTokens,
+              afterTokens: compaction.afterTokens,
+              summarizedCount: compaction.summarizedCount
+            };
           }
-          yield {
-            type: 'stream_event',
-            event
-          };
         }
 
-        // Capture tool calls
-        if (event.tool_calls) {
-          toolCalls = event.tool_calls;
+        // Stream the response, recovering tool calls written as text
+        const stream = client.streamChat(messageHistory, requestOptions);
+        for await (const event of withTextToolCalls(stream, {
+          toolDefinitions: availableTools,
+          model: model || getDefaultModel()
+        })) {
+          // Process streaming events
+          if (event.type === 'content_block_delta' && event.delta?.text) {
+            assistantMessage += event.delta.text;
+            yield {
+              type: 'stream_event',
+              event
+            };
+          } else if (event.type === 'content_block_delta' && event.delta?.type === 'thinking_delta') {
+            // Model reasoning (qwen3, deepseek)
+            thinking += event.delta.thinking;
+            yield {
+              type: 'stream_event',
+              event
+            };
+          } else if (event.type === 'content_block_start' || event.type === 'content_block_delta' ||
+                     event.type === 'content_block_stop') {
+            // Tool block events
+            yield {
+              type: 'stream_event',
+              event
+            };
+          } else if (event.type === 'message_delta') {
+            // Empty delta
+            yield {
+              type: 'stream_event',
+              event
+            };
+          } else if (event.type === 'message_stop') {
+            // Response complete
+            if (event.usage) {
+              session.updateUsage(event.usage);
+            }
+            yield {
+              type: 'stream_event',
+              event
+            };
+          }
+
+          // Capture tool calls
+          toolCallAssembler.handle(event);
         }
-      }
 
-      // Add assistant message to history if there was text
-      if (assistantMessage) {
-        const msg = { role: 'assistant', content: assistantMessage };
-        messageHistory.push(msg);
-        session.addMessage(msg);
-      }
+        const toolCalls = toolCallAssembler.getToolCalls();
 
-      // Process tool calls if present
-      if (toolCalls.length > 0) {
-        yield {
-          type: 'assistant',
-          content: assistantMessage,
-          hasTools: true
-        };
+        // Add assistant message to history if there was text
+        if (assistantMessage) {
+          const msg = { role: 'assistant', content: assistantMessage };
+          messageHistory.push(msg);
+          session.addMessage(thinking ? { ...msg, thinking } : msg);
+        }
+        session.logThinking(thinking);
 
-        // Execute tools with verification and retry
-        for (const toolCall of toolCalls) {
-          const toolName = toolCall.function?.name || toolCall.name;
-          const toolInput = JSON.parse(toolCall.function?.arguments || toolCall.arguments || '{}');
-
-          try {
-            let toolResult;
-
-            // Use smart retry if enabled
-            if (smartRetry) {
-              const retryResult = await retryHandler.executeWithRetry(
-                toolName,
-                toolInput,
-                context
-              );
-
-              if (retryResult.success) {
-                toolResult = retryResult.result;
-                if (retryResult.attempts > 1) {
-                  yield {
-                    type: 'retry_info',
-                    tool: toolName,
-                    attempts: retryResult.attempts,
-                    alternative: retryResult.alternative
-                  };
+        // Process tool calls if present
+        if (toolCalls.length > 0) {
+          yield {
+            type: 'assistant',
+            content: assistantMessage,
+            hasTools: true
+          };
+
+          // Execute tools with verification and retry
+          for (const toolCall of toolCalls) {
+            const toolName = toolCall.name;
+            // Permissions and the tool both see the schema-repaired input
+            const toolInput = normalizeToolInput(toolName, toolCall.input);
+
+            // Arguments that could not be parsed go back to the model to fix
+            if (toolCall.parseError) {
+              yield {
+                type: 'tool_error',
+                tool: toolName,
+                toolUseId: toolCall.id,
+                error: toolCall.parseError
+              };
+
+              const errorMessage = {
+                role: 'user',
+                content: formatParseError(toolCall)
+              };
+              messageHistory.push(errorMessage);
+              session.addMessage(errorMessage);
+              continue;
+            }
+
+            // Tools outside the allowlist were never offered; refuse them before anything runs
+            if (allowedTools && !allowedTools.includes(toolName)) {
+              yield {
+                type: 'tool_error',
+                tool: toolName,
+                toolUseId: toolCall.id,
+                error: `Tool ${toolName} is not available here`
+              };
+
+              const unavailableMessage = {
+                role: 'user',
+                content: `Tool ${toolName} is not available here and was not run. Available tools: ${allowedTools.join(', ')}.`
+              };
+              messageHistory.push(unavailableMessage);
+              session.addMessage(unavailableMessage);
+              continue;
+            }
+
+            const permission = await permissions.check(toolName, toolInput);
+            if (!permission.allowed) {
+              yield {
+                type: 'tool_error',
+                tool: toolName,
+                toolUseId: toolCall.id,
+                error: `Permission denied: ${permission.reason}`
+              };
+
+              const deniedMessage = {
+                role: 'user',
+                content: `Tool ${toolName} was not run. Permission denied: ${permission.reason}\n\nDo not repeat this call; continue another way or explain what you need.`
+              };
+              messageHistory.push(deniedMessage);
+              session.addMessage(deniedMessage);
+              continue;
+            }
+
+            try {
+              let toolResult;
+              let execution;
+
+              // Live output (e.g. from Bash) streams out as tool_progress events while the tool runs
+              for await (const item of withProgress(emit => {
+                const toolContext = { ...context, onProgress: reportToolProgress(toolCall, emit) };
+                return smartRetry
+                  ? retryHandler.executeWithRetry(toolName, toolInput, toolContext)
+                  : executeTool(toolName, toolInput, toolContext);
+              })) {
+                if (item.type === 'progress') {
+                  yield item.event;
+                } else {
+                  execution = item.value;
                 }
-              } else {
-                throw new Error(retryResult.error?.message || 'Tool execution failed after retries');
               }
-            } else {
-              // Normal execution without retry
-              toolResult = await executeTool(toolName, toolInput, context);
-            }
 
-            // Verify the result if enabled
-            if (autoVerify && toolResult) {
-              let verification = null;
-
-              // Perform verification based on tool type
-              if (toolName === 'Write' && toolInput.file_path) {
-                verification = await verifier.verifyFileWrite(
-                  toolInput.file_path,
-                  toolInput.content
-                );
-              } else if (toolName === 'Edit' && toolInput.file_path) {
-                verification = await verifier.verifyFileEdit(
-                  toolInput.file_path,
-                  toolInput.old_string,
-                  toolInput.new_string
-                );
-              } else if (toolName === 'Bash' && toolInput.command) {
-                verification = await verifier.verifyCommand(toolInput.command);
+              // Use smart retry if enabled
+              if (smartRetry) {
+                const retryResult = execution;
+
+                if (retryResult.success) {
+                  toolResult = retryResult.result;
+                  if (retryResult.attempts > 1) {
+                    yield {
+                      type: 'retry_info',
+                      tool: toolName,
+                      attempts: retryResult.attempts,
+                      alternative: retryResult.alternative
+                    };
+                  }
+                } else {
+                  throw new Error(retryResult.error?.message || 'Tool execution failed after retries');
+                }
+              } else {
+                // Normal execution without retry
+                toolResult = execution;
               }
 
-              // If verification failed, add to context
-              if (verification && !verification.success) {
-                yield {
-                  type: 'verification_warning',
-                  tool: toolName,
-                  issues: verification.issues
-                };
+              // Verify the result if enabled
+              if (autoVerify && toolResult) {
+                let verification = null;
+
+                // Perform verification based on tool type
+                if (toolName === 'Write' && toolInput.file_path) {
+                  verification = await verifier.verifyFileWrite(
+                    toolInput.file_path,
+                    toolInput.content
+                  );
+                } else if (toolName === 'Edit' && toolInput.file_path) {
+                  verification = await verifier.verifyFileEdit(
+                    toolInput.file_path,
+                    toolInput.old_string,
+                    toolInput.new_string
+                  );
+                } else if (toolName === 'Bash' && toolInput.command) {
+                  verification = await verifier.verifyCommand(toolInput.command);
+                }
 
-                // Add verification feedback to the tool result
-                toolResult.text = `${toolResult.text || ''}\n\nVERIFICATION ISSUES:\n${verification.issues.join('\n')}`;
-              }
-            }
+                // If verification failed, add to context
+                if (verification && !verification.success) {
+                  yield {
+                    type: 'verification_warning',
+                    tool: toolName,
+                    issues: verification.issues
+                  };
 
-            yield {
-              type: 'tool_result',
-              tool: toolName,
-              input: toolInput,
-              result: toolResult
-            };
+                  // Add verification feedback to the tool result
+                  toolResult.text = `${toolResult.text || ''}\n\nVERIFICATION ISSUES:\n${verification.issues.join('\n')}`;
+                }
+              }
 
-            // Add tool result as user message
-            const toolMessage = {
-              role: 'user',
-              content: `Tool result for ${toolName}:\n${toolResult.text || toolResult.content || 'Success'}`
-            };
-            messageHistory.push(toolMessage);
-            session.addMessage(toolMessage);
+              yield {
+                type: 'tool_result',
+                tool: toolName,
+                toolUseId: toolCall.id,
+                input: toolInput,
+                result: toolResult
+              };
+
+              // Add tool result as user message
+              const toolMessageText = `Tool result for ${toolName}:\n${toolResult.text || toolResult.error || toolResult.content || 'Success'}`;
+              const toolMessage = {
+                role: 'user',
+                content: toolResult.images?.length
+                  ? [{ type: 'text', text: toolMessageText }, ...toolResult.images]
+                  : toolMessageText,
+                toolResult: true
+              };
+              messageHistory.push(toolMessage);
+              session.addMessage(toolMessage);
+
+            } catch (error) {
+              yield {
+                type: 'tool_error',
+                tool: toolName,
+                toolUseId: toolCall.id,
+                error: error.message
+              };
+
+              // Add error as user message so the model can try to recover
+              const errorMessage = {
+                role: 'user',
+                content: `Tool ${toolName} failed with error: ${error.message}\n\nPlease try a different approach or fix the issue.`
+              };
+              messageHistory.push(errorMessage);
+              session.addMessage(errorMessage);
+            }
+          }
 
-          } catch (error) {
+          // Continue conversation to handle tool results
+          continue;
+        } else {
+          // No tool calls, conversation complete
+          if (assistantMessage) {
             yield {
-              type: 'tool_error',
-              tool: toolName,
-              error: error.message
-            };
-
-            // Add error as user message so the model can try to recover
-            const errorMessage = {
-              role: 'user',
-              content: `Tool ${toolName} failed with error: ${error.message}\n\nPlease try a different approach or fix the issue.`
+              type: 'assistant',
+              content: assistantMessage,
+              hasTools: false
             };
-            messageHistory.push(errorMessage);
-            session.addMessage(errorMessage);
           }
+          break;
         }
 
-        // Continue conversation to handle tool results
-        continue;
-      } else {
-        // No tool calls, conversation complete
-        if (assistantMessage) {
-          yield {
-            type: 'assistant',
-            content: assistantMessage,
-            hasTools: false
-          };
-        }
+      } catch (error) {
+        yield {
+          type: 'error',
+          message: error.message
+        };
         break;
       }
-
-    } catch (error) {
-      yield {
-        type: 'error',
-        message: error.message
-      };
-      break;
     }
-  }
-
-  // Get verification summary if verification was used
-  if (autoVerify) {
-    const summary = verifier.getSummary();
-    if (summary.total > 0) {
-      yield {
-        type: 'verification_summary',
-        summary
-      };
 
-      // Get recommendations for improvements
-      const recommendations = verifier.getRecommendations();
-      if (recommendations.length > 0) {
+    // Get verification summary if verification was used
+    if (autoVerify) {
+      const summary = verifier.getSummary();
+      if (summary.total > 0) {
         yield {
-          type: 'recommendations',
-          items: recommendations
+          type: 'verification_summary',
+          summary
         };
+
+        // Get recommendations for improvements
+        const recommendations = verifier.getRecommendations();
+        if (recommendations.length > 0) {
+          yield {
+            type: 'recommendations',
+            items: recommendations
+          };
+        }
       }
     }
-  }
+  } finally {
+    // Runs even when the consumer stops early (break, return or a thrown error),
+    // so the session's persistent shell and background processes are not left behind.
+    // A caller that passed sessionId keeps both for its next query and ends them with endSession()
+    if (!sessionId) {
+      closeShellSession(session.id);
+      cleanupBackgroundProcesses(session.id);
+    }
+
+    // A checkpoint passed in spans more than this query; its owner finishes it
+    if (!checkpoint) turnCheckpoint.finish();
 
-  // Save session
-  session.save();
+    // Save session
+    session.save();
+  }
 
   // Final event
   yield {
@@ -329,4 +495,4 @@ export { SmartRetry } from './retry/smart-retry.js';
 export { getEnhancedSystemPrompt } from './prompts/enhanced-system-prompt.js';
 
 // Re-export existing components
-export { healthCheck, listModels, config, Session } from './sdk.mjs';
\ No newline at end of file
+export { healthCheck, listModels, endSession, config, Session } from './sdk.mjs';
\ No newline at end of file
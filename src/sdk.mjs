@@ -1,12 +1,21 @@
 /**
  * LC-Coder SDK
- * Main SDK implementation using Ollama for local LLM
+ * Main SDK implementation using a local LLM (Ollama or OpenAI-compatible server)
  */
 
-import { OllamaClient } from './ollama-client.js';
+import { createClient, getDefaultModel, getUnavailableMessage } from './providers.js';
 import { config } from './config.js';
 import { Session } from './session.js';
-import { getToolDefinitions, executeTool } from './tools/index.js';
+import { getToolDefinitions, executeTool, isReadOnlyTool, normalizeToolInput } from './tools/index.js';
+import { ToolCallAssembler } from './tool-call-assembler.js';
+import { formatParseError } from './tools/input-validator.js';
+import { ContextManager } from './context-manager.js';
+import { withTextToolCalls } from './tool-call-parser.js';
+import { planToolBatches, runWithConcurrency, withProgress, reportToolProgress } from './tool-scheduler.js';
+import { PermissionManager } from './permissions.js';
+import { checkpoints } from './checkpoints.js';
+import { closeShellSession } from './shell-session.js';
+import { cleanupBackgroundProcesses } from './background-processes.js';
 
 /**
  * Main query function - entry point for SDK
@@ -18,29 +27,38 @@ export async function* query(options = {}) {
     model,
     temperature,
     maxTokens,
+    modelOptions,  // Per-call runtime options (num_ctx, top_p, keep_alive, ...)
     signal,
-    sessionId,
+    sessionId,        // Continue this session, or start one under this id; its shell and background processes live until endSession()
     tools = true,
-    permissionMode
+    allowedTools,     // Only these tools are offered and may run (default: all)
+    sandbox,          // Run Bash sandboxed: true/false or sandbox settings (defaults to config)
+    toolConcurrency,  // Max read-only tool calls run at once (defaults to config)
+    permissionMode,   // default, acceptEdits, plan or bypass (defaults to config)
+    askPermission,    // async ({ tool, input, description, suggestedRules }) => 'yes' | 'no' | 'always'
+    checkpoint,       // Checkpoint that collects file snapshots (default: a new one for this query)
+    reviewEdit        // async ({ tool, filePath, diff, autoAccept }) => { action: 'accept' | 'reject' | 'edit', reason, content }
   } = options;
 
   // Initialize session
-  const session = sessionId ? Session.load(sessionId) : new Session();
-
-  // Initialize Ollama client
-  const ollamaClient = new OllamaClient({
-    endpoint: config.get('ollamaEndpoint'),
-    model: model || config.get('ollamaModel'),
-    timeout: 300000,
-    debugTools: config.get('debugTools')
+  const session = sessionId ? Session.open(sessionId) : new Session();
+
+  // Files changed by this query's tools can be rolled back as one turn
+  const turnCheckpoint = checkpoint || checkpoints.create({
+    kind: 'turn',
+    label: prompt || messages.filter(message => message.role === 'user').pop()?.content || '',
+    sessionId: session.id
   });
 
+  // Initialize backend client for the configured provider
+  const client = createClient({ model });
+
   // Health check
-  const isHealthy = await ollamaClient.healthCheck();
+  const isHealthy = await client.healthCheck();
   if (!isHealthy) {
     yield {
       type: 'error',
-      message: 'Ollama is not running. Please start Ollama with: ollama serve'
+      message: getUnavailableMessage()
     };
     return;
   }
@@ -64,147 +82,238 @@ export async function* query(options = {}) {
   }
 
   // Get tool definitions if tools are enabled
-  const toolDefinitions = tools ? getToolDefinitions() : [];
+  const toolDefinitions = tools ? getToolDefinitions(allowedTools) : [];
+
+  // Decide which tool calls may run
+  let permissions;
+  try {
+    permissions = new PermissionManager({
+      mode: permissionMode || config.get('permissions.mode', 'default'),
+      allow: config.get('permissions.allow', []),
+      deny: config.get('permissions.deny', []),
+      workingDirectory: process.cwd(),
+      isReadOnly: isReadOnlyTool,
+      askPermission,
+      reviewsEdits: Boolean(reviewEdit)
+    });
+  } catch (error) {
+    yield {
+      type: 'error',
+      message: error.message
+    };
+    return;
+  }
+
+  // Diffs are still shown, but not asked about, when edits are accepted automatically
+  const autoAcceptEdits = config.get('autoAcceptEdits', false) || ['acceptEdits', 'bypass'].includes(permissions.mode);
+
+  // Track context usage against the model's window
+  const contextManager = new ContextManager({
+    client,
+    model: model || getDefaultModel()
+  });
 
   // Main conversation loop
   let continueLoop = true;
   let maxIterations = 20; // Prevent infinite loops
   let iterationCount = 0;
 
-  while (continueLoop && iterationCount < maxIterations) {
-    iterationCount++;
-
-    try {
-      const startTime = Date.now();
-
-      // Stream response from Ollama
-      let fullResponse = '';
-      let currentToolCalls = [];
-      let usage = null;
-
-      for await (const event of ollamaClient.streamChat(messageHistory, {
-        model: model || config.get('ollamaModel'),
-        temperature: temperature ?? config.get('temperature'),
-        max_tokens: maxTokens || config.get('maxTokens'),
-        tools: toolDefinitions,
-        signal
-      })) {
-        // Yield stream event
-        yield {
-          type: 'stream_event',
-          event: event
-        };
-
-        // Accumulate response
-        if (event.type === 'content_block_delta' && event.delta?.text) {
-          fullResponse += event.delta.text;
-        }
+  try {
+    while (continueLoop && iterationCount < maxIterations) {
+      iterationCount++;
 
-        if (event.type === 'content_block_start' && event.content_block?.tool_calls) {
-          currentToolCalls = event.content_block.tool_calls;
+      try {
+        // Keep history inside the model's context window
+        if (contextManager.needsCompaction(messageHistory)) {
+          const compaction = await contextManager.compact(messageHistory, { signal });
+          if (compaction.compacted) {
+            messageHistory.splice(0, messageHistory.length, ...compaction.messages);
+            yield {
+              type: 'context_compacted',
+              beforeTokens: compaction.beforeTokens,
+              afterTokens: compaction.afterTokens,
+              summarizedCount: compaction.summarizedCount
+            };
+          }
         }
 
-        if (event.type === 'message_stop') {
-          usage = event.usage;
-        }
-      }
+        const startTime = Date.now();
+
+        // Stream response from the model
+        let fullResponse = '';
+        let thinking = '';
+        const toolCallAssembler = new ToolCallAssembler();
+        let usage = null;
+
+        const stream = client.streamChat(messageHistory, {
+          model: model || getDefaultModel(),
+          temperature,
+          max_tokens: maxTokens,
+          options: modelOptions,
+          tools: toolDefinitions,
+          signal
+        });
+
+        // Recover tool calls the model wrote as text instead of calling natively
+        for await (const event of withTextToolCalls(stream, {
+          toolDefinitions,
+          model: model || getDefaultModel()
+        })) {
+          // Yield stream event
+          yield {
+            type: 'stream_event',
+            event: event
+          };
+
+          // Accumulate response
+          if (event.type === 'content_block_delta' && event.delta?.text) {
+            fullResponse += event.delta.text;
+          }
 
-      const computeTime = Date.now() - startTime;
+          if (event.type === 'content_block_delta' && event.delta?.type === 'thinking_delta') {
+            thinking += event.delta.thinking;
+          }
 
-      // Update usage
-      if (usage) {
-        session.updateUsage({ ...usage, compute_time: computeTime });
-      }
+          toolCallAssembler.handle(event);
 
-      // Build assistant message
-      const assistantMessage = {
-        role: 'assistant',
-        content: fullResponse
-      };
+          if (event.type === 'message_stop') {
+            usage = event.usage;
+          }
+        }
 
-      session.addMessage(assistantMessage);
-      messageHistory.push(assistantMessage);
+        const computeTime = Date.now() - startTime;
 
-      // Yield complete assistant message
-      yield {
-        type: 'assistant',
-        message: {
-          role: 'assistant',
-          content: fullResponse,
-          usage: usage
+        // Update usage
+        if (usage) {
+          session.updateUsage({ ...usage, compute_time: computeTime });
         }
-      };
 
-      // Check if there are tool calls to execute
-      if (currentToolCalls && currentToolCalls.length > 0) {
-        // Execute tools
-        for (const toolCall of currentToolCalls) {
-          const toolName = toolCall.function.name;
-          const toolInput = typeof toolCall.function.arguments === 'string'
-            ? JSON.parse(toolCall.function.arguments)
-            : toolCall.function.arguments;
+        // Build assistant message
+        const assistantMessage = {
+          role: 'assistant',
+          content: fullResponse
+        };
 
-          // Check permission (simplified - always allow for now)
-          const allowed = true;
+        // Reasoning is kept in the transcript and debug log, but not sent back to the model
+        session.addMessage(thinking ? { ...assistantMessage, thinking } : assistantMessage);
+        session.logThinking(thinking);
+        messageHistory.push(assistantMessage);
 
-          if (!allowed) {
-            yield {
-              type: 'tool_error',
-              tool: toolName,
-              error: 'Permission denied'
-            };
-            continue;
+        // Yield complete assistant message
+        yield {
+          type: 'assistant',
+          message: {
+            role: 'assistant',
+            content: fullResponse,
+            thinking: thinking || undefined,
+            usage: usage
           }
+        };
 
-          // Execute tool
-          try {
-            const result = await executeTool(toolName, toolInput, {
-              workingDirectory: process.cwd(),
-              session: session
-            });
-
-            // Add tool result to message history with context
-            const toolResultText = result.text || result.error || JSON.stringify(result);
-            const toolMessage = {
-              role: 'user',
-              content: `Tool ${toolName} completed.\n\nResult:\n${toolResultText}\n\nContinue with your workflow. If you are in STAGE 2 (PLAN), proceed to STAGE 3 (EXECUTE). If in STAGE 3, continue working through your checklist until ALL tasks are complete.`
-            };
-
-            messageHistory.push(toolMessage);
-            session.addMessage(toolMessage);
-
-            yield {
-              type: 'tool_result',
-              tool: toolName,
-              result: result
-            };
-          } catch (error) {
-            yield {
-              type: 'tool_error',
-              tool: toolName,
-              error: error.message
-            };
+        // Check if there are tool calls to execute
+        if (toolCallAssembler.hasToolCalls()) {
+          const toolContext = {
+            workingDirectory: process.cwd(),
+            session: session,
+            allowedTools,
+            sandbox,
+            checkpoint: turnCheckpoint,
+            reviewEdit,
+            autoAcceptEdits
+          };
+          const concurrency = toolConcurrency ?? config.get('toolConcurrency', 4);
+
+          // Read-only calls in a batch run concurrently; mutating calls run alone, in order
+          for (const batch of planToolBatches(toolCallAssembler.getToolCalls(), isReadOnlyTool)) {
+            // Live output (e.g. from Bash) streams out as tool_progress events while the batch runs
+            let outcomes;
+            for await (const item of withProgress(emit => runWithConcurrency(
+              batch.calls,
+              batch.readOnly ? concurrency : 1,
+              toolCall => runToolCall(toolCall, { ...toolContext, onProgress: reportToolProgress(toolCall, emit) }, permissions)
+            ))) {
+              if (item.type === 'progress') {
+                yield item.event;
+              } else {
+                outcomes = item.value;
+              }
+            }
+
+            // Report results in the order the model emitted the calls
+            for (const { toolCall, result, error, errorMessage } of outcomes) {
+              if (error) {
+                // Add error to message history so the model can recover
+                const message = {
+                  role: 'user',
+                  content: errorMessage
+                };
+                messageHistory.push(message);
+                session.addMessage(message);
+
+                yield {
+                  type: 'tool_error',
+                  tool: toolCall.name,
+                  toolUseId: toolCall.id,
+                  error: error
+                };
+                continue;
+              }
+
+              // Add tool result to message history with context
+              const toolResultText = result.text || result.error || JSON.stringify(result);
+              const toolMessageText = `Tool ${toolCall.name} completed.\n\nResult:\n${toolResultText}\n\nContinue with your workflow. If you are in STAGE 2 (PLAN), proceed to STAGE 3 (EXECUTE). If in STAGE 3, continue working through your checklist until ALL tasks are complete.`;
+              const toolMessage = {
+                role: 'user',
+                // Images (e.g. from Read) travel as content blocks next to the text
+                content: result.images?.length
+                  ? [{ type: 'text', text: toolMessageText }, ...result.images]
+                  : toolMessageText,
+                // Lets compaction shorten tool output without touching what the user wrote
+                toolResult: true
+              };
+
+              messageHistory.push(toolMessage);
+              session.addMessage(toolMessage);
+
+              yield {
+                type: 'tool_result',
+                tool: toolCall.name,
+                toolUseId: toolCall.id,
+                result: result
+              };
+            }
           }
+
+          // Continue loop to get next response after tool execution
+          continueLoop = true;
+        } else {
+          // No tool calls, conversation is complete
+          continueLoop = false;
         }
 
-        // Continue loop to get next response after tool execution
-        continueLoop = true;
-      } else {
-        // No tool calls, conversation is complete
+      } catch (error) {
+        yield {
+          type: 'error',
+          message: error.message
+        };
         continueLoop = false;
       }
-
-    } catch (error) {
-      yield {
-        type: 'error',
-        message: error.message
-      };
-      continueLoop = false;
     }
-  }
+  } finally {
+    // Runs even when the consumer stops early (break, return or a thrown error),
+    // so the session's persistent shell and background processes are not left behind.
+    // A caller that passed sessionId keeps both for its next query and ends them with endSession()
+    if (!sessionId) {
+      closeShellSession(session.id);
+      cleanupBackgroundProcesses(session.id);
+    }
+
+    // A checkpoint passed in spans more than this query; its owner finishes it
+    if (!checkpoint) turnCheckpoint.finish();
 
-  // Save session
-  session.save();
+    // Save session
+    session.save();
+  }
 
   // Yield session summary
   yield {
@@ -214,23 +323,73 @@ export async function* query(options = {}) {
 }
 
 /**
- * List available models from Ollama
+ * Run a single tool call, capturing failures as an outcome instead of throwing
+ */
+async function runToolCall(toolCall, context, permissions) {
+  // Arguments that could not be parsed go back to the model to fix
+  if (toolCall.parseError) {
+    return {
+      toolCall,
+      error: toolCall.parseError,
+      errorMessage: formatParseError(toolCall)
+    };
+  }
+
+  // Tools outside the allowlist were never offered; refuse them before anything runs
+  if (context.allowedTools && !context.allowedTools.includes(toolCall.name)) {
+    return {
+      toolCall,
+      error: `Tool ${toolCall.name} is not available here`,
+      errorMessage: `Tool ${toolCall.name} is not available here and was not run. Available tools: ${context.allowedTools.join(', ')}.`
+    };
+  }
+
+  // Check the repaired input, so a misnamed argument cannot slip past a rule and then be fixed up
+  const input = normalizeToolInput(toolCall.name, toolCall.input);
+  const permission = await permissions.check(toolCall.name, input);
+
+  if (!permission.allowed) {
+    return {
+      toolCall,
+      error: `Permission denied: ${permission.reason}`,
+      errorMessage: `Tool ${toolCall.name} was not run. Permission denied: ${permission.reason}\n\nDo not repeat this call; continue another way or explain what you need.`
+    };
+  }
+
+  try {
+    const result = await executeTool(toolCall.name, input, context);
+    return { toolCall, result };
+  } catch (error) {
+    return {
+      toolCall,
+      error: error.message,
+      errorMessage: `Tool ${toolCall.name} failed with error: ${error.message}\n\nPlease try a different approach or fix the issue.`
+    };
+  }
+}
+
+/**
+ * End a session continued across queries with sessionId: stop its persistent shell and background processes
+ */
+export function endSession(sessionId) {
+  closeShellSession(sessionId);
+  cleanupBackgroundProcesses(sessionId);
+}
+
+/**
+ * List available models from the configured provider
  */
 export async function listModels() {
-  const client = new OllamaClient({
-    endpoint: config.get('ollamaEndpoint')
-  });
+  const client = createClient();
 
   return await client.listModels();
 }
 
 /**
- * Check Ollama health
+ * Check provider health
  */
 export async function healthCheck() {
-  const client = new OllamaClient({
-    endpoint: config.get('ollamaEndpoint')
-  });
+  const client = createClient();
 
   return await client.healthCheck();
 }
@@ -0,0 +1,201 @@
+/**
+ * Search Providers
+ * Web search backends for the WebSearch tool, selected by the `webSearch.provider` config key.
+ * Every provider turns a query into [{ title, url, snippet }].
+ */
+
+import { config } from './config.js';
+
+/**
+ * Query parameters that only track where a click came from
+ */
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref|ref_src)$/i;
+
+/**
+ * Resolve web search settings over the defaults; `value` overrides config.json
+ */
+export function resolveSearchSettings(value = {}) {
+  const configured = config.get('webSearch', {}) || {};
+  return {
+    provider: '',
+    endpoint: '',
+    url: '',
+    method: 'GET',
+    headers: {},
+    body: null,
+    resultsPath: 'results',
+    fields: {},
+    maxResults: 8,
+    timeout: 15000,
+    ...configured,
+    ...value
+  };
+}
+
+/**
+ * Fill {query} and {limit} in a template, encoding values for where they go
+ */
+function fillTemplate(template, values, encode) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? encode(String(values[key])) : match));
+}
+
+/**
+ * Follow a dotted path ("data.items") into a parsed JSON response
+ */
+function getPath(value, path) {
+  if (!path) return value;
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+function cleanText(text) {
+  return String(text ?? '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39);/g, (match, entity) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" })[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Key for spotting the same page under different URLs: scheme, "www.", fragment,
+ * trailing slash and tracking parameters are ignored
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+    }
+    const host = parsed.hostname.replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    const search = parsed.searchParams.toString();
+    return `${host}${parsed.port ? `:${parsed.port}` : ''}${path}${search ? `?${search}` : ''}`.toLowerCase();
+  } catch {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+/**
+ * Drop results without a URL and repeats of a page already listed.
+ * A repeat with a longer snippet lends it to the first copy.
+ */
+export function dedupeResults(results) {
+  const byUrl = new Map();
+  for (const result of results) {
+    if (!result.url) continue;
+    const key = normalizeUrl(result.url);
+    const existing = byUrl.get(key);
+    if (!existing) {
+      byUrl.set(key, { ...result });
+    } else if (result.snippet.length > existing.snippet.length) {
+      existing.snippet = result.snippet;
+    }
+  }
+  return [...byUrl.values()];
+}
+
+/**
+ * Fetch JSON with a timeout, turning HTTP failures into readable errors
+ */
+async function fetchJson(url, { method = 'GET', headers = {}, body, timeout }) {
+  const response = await fetch(url, {
+    method,
+    headers: { Accept: 'application/json', ...headers },
+    body: body ?? undefined,
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Search request failed: HTTP ${response.status} ${response.statusText}`.trim());
+  }
+
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`Search provider did not return JSON (got: ${text.slice(0, 80).replace(/\s+/g, ' ')})`);
+  }
+}
+
+/**
+ * SearxNG instance; its settings.yml must list `json` under search.formats
+ */
+export class SearxngProvider {
+  constructor(settings) {
+    if (!settings.endpoint) {
+      throw new Error('webSearch.endpoint must be set to the SearxNG URL, e.g. http://localhost:8888');
+    }
+    this.settings = settings;
+  }
+
+  async search(query, { limit }) {
+    const url = new URL('search', this.settings.endpoint.replace(/\/*$/, '/'));
+    url.searchParams.set('q', query);
+    url.searchParams.set('format', 'json');
+
+    const data = await fetchJson(url, { headers: this.settings.headers, timeout: this.settings.timeout });
+    const results = (data.results || []).map(result => ({
+      title: cleanText(result.title),
+      url: result.url,
+      snippet: cleanText(result.content)
+    }));
+    return dedupeResults(results).slice(0, limit);
+  }
+}
+
+/**
+ * Any JSON search API described by a URL template and where to find the results:
+ * `url` (with {query} and {limit}), optional `method`, `headers` and `body` template,
+ * `resultsPath` to the result array and `fields` naming each result's title, url and snippet
+ */
+export class HttpTemplateProvider {
+  constructor(settings) {
+    if (!settings.url) {
+      throw new Error('webSearch.url must be set to a URL template containing {query}');
+    }
+    this.settings = settings;
+  }
+
+  async search(query, { limit }) {
+    const { url, method, headers, body, resultsPath, timeout } = this.settings;
+    const fields = { title: 'title', url: 'url', snippet: 'snippet', ...this.settings.fields };
+    const values = { query, limit };
+
+    const data = await fetchJson(fillTemplate(url, values, encodeURIComponent), {
+      method,
+      headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: body && fillTemplate(typeof body === 'string' ? body : JSON.stringify(body), values, value => JSON.stringify(value).slice(1, -1)),
+      timeout
+    });
+
+    const items = getPath(data, resultsPath);
+    if (!Array.isArray(items)) {
+      throw new Error(`No result list at "${resultsPath}" in the search response`);
+    }
+
+    const results = items.map(item => ({
+      title: cleanText(getPath(item, fields.title)),
+      url: getPath(item, fields.url),
+      snippet: cleanText(getPath(item, fields.snippet))
+    }));
+    return dedupeResults(results).slice(0, limit);
+  }
+}
+
+export const SEARCH_PROVIDERS = {
+  searxng: SearxngProvider,
+  http: HttpTemplateProvider
+};
+
+/**
+ * Create the configured search provider; null when web search is not configured
+ */
+export function createSearchProvider(settings = resolveSearchSettings()) {
+  if (!settings.provider) return null;
+
+  const Provider = SEARCH_PROVIDERS[settings.provider];
+  if (!Provider) {
+    throw new Error(`Unknown search provider: ${settings.provider}. Available: ${Object.keys(SEARCH_PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(settings);
+}
@@ -4,7 +4,7 @@
  */
 
 import { randomUUID } from 'crypto';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, appendFileSync, existsSync } from 'fs';
 import { config } from './config.js';
 
 export class Session {
@@ -44,6 +44,23 @@ export class Session {
     }
   }
 
+  /**
+   * Append model reasoning to the session's debug log
+   */
+  logThinking(thinking) {
+    if (!thinking) return;
+
+    try {
+      appendFileSync(
+        config.getDebugPath(this.id),
+        `\n[${new Date().toISOString()}] THINKING\n${thinking}\n`,
+        'utf-8'
+      );
+    } catch (error) {
+      console.error('Failed to write debug log:', error.message);
+    }
+  }
+
   /**
    * Save session to disk
    */
@@ -88,13 +105,22 @@ export class Session {
     }
   }
 
+  /**
+   * Load a saved session, or start a new one under this id
+   */
+  static open(sessionId) {
+    return existsSync(config.getSessionPath(sessionId)) ? Session.load(sessionId) : new Session(sessionId);
+  }
+
   /**
    * Get session messages in API format
    */
   getMessages() {
     return this.messages.map(msg => ({
       role: msg.role,
-      content: msg.content
+      content: msg.content,
+      // Compaction only shortens tool results
+      ...(msg.toolResult && { toolResult: true })
     }));
   }
 
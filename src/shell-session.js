@@ -0,0 +1,300 @@
+/**
+ * Shell Session
+ * A long-lived bash process that keeps cwd, environment variables, functions and
+ * activated virtualenvs between Bash tool calls
+ */
+
+import { spawn, execFileSync } from 'child_process';
+import { randomBytes } from 'crypto';
+import { buildSandboxCommand } from './sandbox.js';
+
+/**
+ * How long to wait for the shell after killing a timed-out command before restarting it
+ */
+const KILL_GRACE_MS = 1000;
+
+/**
+ * Get the direct child process ids of a process
+ */
+function getChildPids(pid) {
+  try {
+    return execFileSync('pgrep', ['-P', String(pid)], { encoding: 'utf-8' })
+      .split('\n')
+      .map(line => Number(line.trim()))
+      .filter(Boolean);
+  } catch {
+    // pgrep exits 1 when there are no children
+    return [];
+  }
+}
+
+/**
+ * Kill a process and its process group
+ */
+function killProcessGroup(pid) {
+  try {
+    process.kill(-pid, 'SIGKILL');
+  } catch {
+    try {
+      process.kill(pid, 'SIGKILL');
+    } catch {
+      // Already gone
+    }
+  }
+}
+
+export class ShellSession {
+  /**
+   * @param {Object} options
+   * @param {string} options.cwd - Starting directory
+   * @param {Object} options.env - Environment for the shell
+   * @param {Object} options.sandbox - Resolved sandbox settings; the whole shell runs in the jail when enabled
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+    this.sandbox = options.sandbox?.enabled ? options.sandbox : null;
+    this.process = null;
+    this.current = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Whether the shell process is running
+   */
+  isAlive() {
+    return this.process !== null;
+  }
+
+  /**
+   * Start the shell process
+   */
+  start() {
+    let file = '/bin/bash';
+    let args = ['--noprofile', '--norc'];
+
+    if (this.sandbox) {
+      ({ file, args } = buildSandboxCommand('exec /bin/bash --noprofile --norc', this.sandbox, this.cwd));
+    }
+
+    const child = spawn(file, args, {
+      cwd: this.cwd,
+      env: this.env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: true
+    });
+
+    child.stdout.setEncoding('utf-8');
+    child.stderr.setEncoding('utf-8');
+    child.stdout.on('data', data => this.handleOutput('stdout', data));
+    child.stderr.on('data', data => this.handleOutput('stderr', data));
+    child.stdin.on('error', () => {});
+    child.on('error', error => this.finish({ exitCode: null, shellExited: true, error: error.message }));
+    child.on('exit', () => {
+      if (this.process === child) {
+        this.process = null;
+        this.finish({ exitCode: null, shellExited: true });
+      }
+    });
+
+    // Job control gives each command its own process group, so a timeout can kill just that command
+    child.stdin.write('set -m 2>/dev/null\n');
+    this.process = child;
+  }
+
+  /**
+   * Run a command in the shell. Commands are queued and run one at a time.
+   * Resolves to { stdout, stderr, exitCode, timedOut, restarted, shellExited }.
+   */
+  run(command, options = {}) {
+    const result = this.queue.then(() => this.runNow(command, options));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Run a command now; callers go through run() to keep commands in order
+   */
+  runNow(command, { timeout = 120000, onOutput } = {}) {
+    if (!this.isAlive()) {
+      this.start();
+    }
+
+    const sentinel = `__LC_CODER_DONE_${randomBytes(8).toString('hex')}__`;
+    const delimiter = `__LC_CODER_EOF_${randomBytes(8).toString('hex')}__`;
+
+    return new Promise(resolve => {
+      this.current = {
+        sentinel,
+        stdout: '',
+        stderr: '',
+        streamed: { stdout: 0, stderr: 0 },
+        onOutput,
+        stdoutDone: false,
+        stderrDone: false,
+        exitCode: null,
+        timedOut: false,
+        resolve
+      };
+
+      this.current.timer = setTimeout(() => this.handleTimeout(), timeout);
+
+      // The command goes through a quoted heredoc, so nothing in it is expanded early,
+      // and runs with stdin from /dev/null so it cannot swallow the framing that follows
+      this.process.stdin.write(
+        `__lc_cmd=$(cat <<'${delimiter}'\n${command}\n${delimiter}\n)\n` +
+        `eval "$__lc_cmd" < /dev/null\n` +
+        `printf '\\n%s %s\\n' '${sentinel}' "$?"\n` +
+        `printf '\\n%s\\n' '${sentinel}' >&2\n`
+      );
+    });
+  }
+
+  /**
+   * Collect output and detect the end-of-command sentinels
+   */
+  handleOutput(stream, data) {
+    const current = this.current;
+    if (!current) return;
+
+    current[stream] += data;
+    const marker = `\n${current.sentinel}`;
+    const index = current[stream].indexOf(marker);
+
+    // Stream what is certainly command output; hold back anything that could be the start of the marker
+    if (current.onOutput) {
+      const safeEnd = index === -1 ? Math.max(current[stream].length - marker.length, 0) : index;
+      if (safeEnd > current.streamed[stream]) {
+        current.onOutput(stream, current[stream].slice(current.streamed[stream], safeEnd));
+        current.streamed[stream] = safeEnd;
+      }
+    }
+
+    if (index === -1) return;
+
+    if (stream === 'stdout') {
+      const match = current.stdout.slice(index + marker.length).match(/^ (\d+)\n/);
+      if (!match) return;
+      current.exitCode = Number(match[1]);
+      current.stdoutDone = true;
+    } else {
+      if (!current.stderr.slice(index + marker.length).startsWith('\n')) return;
+      current.stderrDone = true;
+    }
+    current[stream] = current[stream].slice(0, index);
+
+    if (current.stdoutDone && current.stderrDone) {
+      this.finish({ exitCode: current.exitCode });
+    }
+  }
+
+  /**
+   * Kill only the running command; restart the shell if it does not come back
+   */
+  handleTimeout() {
+    const current = this.current;
+    if (!current || !this.process) return;
+
+    current.timedOut = true;
+
+    // Inside the sandbox the shell is not our direct child, so restart it instead
+    if (!this.sandbox) {
+      for (const pid of getChildPids(this.process.pid)) {
+        killProcessGroup(pid);
+      }
+    }
+
+    current.timer = setTimeout(() => {
+      if (this.current === current) {
+        this.stop();
+        this.finish({ exitCode: null, restarted: true });
+      }
+    }, this.sandbox ? 0 : KILL_GRACE_MS);
+  }
+
+  /**
+   * Settle the running command
+   */
+  finish(extra = {}) {
+    const current = this.current;
+    if (!current) return;
+
+    clearTimeout(current.timer);
+    this.current = null;
+
+    current.resolve({
+      stdout: current.stdout,
+      stderr: current.stderr,
+      exitCode: extra.exitCode ?? null,
+      timedOut: current.timedOut,
+      restarted: extra.restarted || false,
+      shellExited: extra.shellExited || false,
+      error: extra.error
+    });
+  }
+
+  /**
+   * Stop the shell and anything it started
+   */
+  stop() {
+    const child = this.process;
+    if (!child) return;
+
+    this.process = null;
+    for (const pid of getChildPids(child.pid)) {
+      killProcessGroup(pid);
+    }
+    killProcessGroup(child.pid);
+  }
+
+  /**
+   * Throw away the shell state; the next command starts a fresh shell
+   */
+  reset() {
+    this.stop();
+    this.finish({ exitCode: null, restarted: true });
+  }
+}
+
+const sessions = new Map();
+
+/**
+ * Get the shell for a session key, creating it on first use
+ */
+export function getShellSession(key, options = {}) {
+  if (!sessions.has(key)) {
+    sessions.set(key, new ShellSession(options));
+  }
+  return sessions.get(key);
+}
+
+/**
+ * Stop and forget the shell for a session key
+ */
+export function closeShellSession(key) {
+  const shell = sessions.get(key);
+  if (shell) {
+    shell.stop();
+    sessions.delete(key);
+  }
+}
+
+/**
+ * Stop every shell, e.g. on exit
+ */
+export function closeAllShellSessions() {
+  for (const key of [...sessions.keys()]) {
+    closeShellSession(key);
+  }
+}
+
+process.on('exit', closeAllShellSessions);
+
+// Signals skip 'exit', and the shells run in their own process groups
+for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+  process.once(signal, () => {
+    closeAllShellSessions();
+    // Re-raise once no other handler is left, so the process still ends by the signal
+    if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+  });
+}
@@ -0,0 +1,147 @@
+/**
+ * Text Search
+ * Pure JavaScript grep, used when neither ripgrep nor grep is installed.
+ * Output lines have the same format as `rg --with-filename --no-heading`.
+ */
+
+import { openSync, readSync, closeSync, readFileSync, statSync } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Files larger than this are skipped
+ */
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * A NUL byte in the first block marks a binary file, as grep and ripgrep do
+ */
+function isBinary(path) {
+  const fd = openSync(path, 'r');
+  try {
+    const buffer = Buffer.alloc(8000);
+    const bytes = readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.subarray(0, bytes).includes(0);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Line indexes (0-based) containing a match
+ */
+function matchingLines(content, lines, regex, multiline) {
+  if (!multiline) {
+    const matches = [];
+    lines.forEach((line, index) => {
+      regex.lastIndex = 0;
+      if (regex.test(line)) matches.push(index);
+    });
+    return matches;
+  }
+
+  // Matches may span lines: every line a match touches counts
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+  const lineAt = offset => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  };
+
+  const matched = new Set();
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    const first = lineAt(match.index);
+    const last = lineAt(Math.max(match.index, match.index + match[0].length - 1));
+    for (let line = first; line <= Math.min(last, lines.length - 1); line++) matched.add(line);
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+  return [...matched].sort((a, b) => a - b);
+}
+
+/**
+ * Search files for a regex.
+ *
+ * @param {string[]} files - Paths as they should appear in the output
+ * @param {Object} options
+ * @param {string} options.pattern - JavaScript regular expression
+ * @param {string} options.outputMode - content, files_with_matches or count
+ * @param {boolean} options.caseInsensitive
+ * @param {boolean} options.lineNumbers - Prefix content lines with their line number
+ * @param {number} options.before - Context lines before each match
+ * @param {number} options.after - Context lines after each match
+ * @param {boolean} options.multiline - Let matches span lines; "." also matches newlines
+ * @param {string} options.cwd - Directory relative paths are resolved against
+ * @returns {string[]} Output lines
+ */
+export function searchFiles(files, options) {
+  const {
+    pattern,
+    outputMode = 'files_with_matches',
+    caseInsensitive = false,
+    lineNumbers = false,
+    before = 0,
+    after = 0,
+    multiline = false,
+    cwd = process.cwd()
+  } = options;
+
+  const flags = `${caseInsensitive ? 'i' : ''}${multiline ? 'gms' : ''}`;
+  const regex = new RegExp(pattern, flags);
+  const output = [];
+  const hasContext = before > 0 || after > 0;
+
+  for (const file of files) {
+    const path = resolve(cwd, file);
+    let content;
+    try {
+      if (statSync(path).size > MAX_FILE_SIZE || isBinary(path)) continue;
+      content = readFileSync(path, 'utf-8');
+    } catch {
+      continue;
+    }
+
+    const lines = content.replace(/\r?\n$/, '').split(/\r?\n/);
+    const matches = matchingLines(content.replace(/\r\n/g, '\n'), lines, regex, multiline);
+    if (matches.length === 0) continue;
+
+    if (outputMode === 'files_with_matches') {
+      output.push(file);
+      continue;
+    }
+    if (outputMode === 'count') {
+      output.push(`${file}:${matches.length}`);
+      continue;
+    }
+
+    // Merge each match's context window into contiguous groups
+    const matchSet = new Set(matches);
+    const groups = [];
+    for (const index of matches) {
+      const from = Math.max(index - before, 0);
+      const to = Math.min(index + after, lines.length - 1);
+      const last = groups[groups.length - 1];
+      if (last && from <= last.to + 1) last.to = Math.max(last.to, to);
+      else groups.push({ from, to });
+    }
+
+    for (const { from, to } of groups) {
+      if (hasContext && output.length > 0) output.push('--');
+      for (let index = from; index <= to; index++) {
+        const separator = matchSet.has(index) ? ':' : '-';
+        const number = lineNumbers ? `${index + 1}${separator}` : '';
+        output.push(`${file}${separator}${number}${lines[index]}`);
+      }
+    }
+  }
+
+  return output;
+}
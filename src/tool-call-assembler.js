@@ -0,0 +1,64 @@
+/**
+ * Tool Call Assembler
+ * Collects streamed tool_use blocks into complete tool calls
+ */
+
+import { parseToolArguments } from './tools/input-validator.js';
+
+export class ToolCallAssembler {
+  constructor() {
+    this.blocks = new Map();
+  }
+
+  /**
+   * Feed a stream event; non-tool events are ignored
+   */
+  handle(event) {
+    if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+      this.blocks.set(event.index, {
+        id: event.content_block.id,
+        name: event.content_block.name,
+        inputJson: ''
+      });
+      return;
+    }
+
+    const block = this.blocks.get(event.index);
+    if (block && event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+      block.inputJson += event.delta.partial_json || '';
+    }
+  }
+
+  /**
+   * Whether any tool calls were seen
+   */
+  hasToolCalls() {
+    return this.blocks.size > 0;
+  }
+
+  /**
+   * Get all assembled tool calls in block order.
+   * Calls whose arguments cannot be parsed get input: null and a parseError.
+   */
+  getToolCalls() {
+    return [...this.blocks.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, block]) => {
+        try {
+          return {
+            id: block.id,
+            name: block.name,
+            input: parseToolArguments(block.inputJson)
+          };
+        } catch (error) {
+          return {
+            id: block.id,
+            name: block.name,
+            input: null,
+            parseError: error.message,
+            rawInput: block.inputJson
+          };
+        }
+      });
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Text Tool Call Parser
+ * Recovers tool calls that local models write as plain text instead of
+ * using native tool calling, and re-emits them as tool_use stream events
+ */
+
+import { config } from './config.js';
+
+/**
+ * Find the end of a JSON object/array starting at `start`, honoring strings.
+ * Returns the index after the closing bracket, or -1 if unbalanced.
+ */
+function findJsonEnd(text, start) {
+  const open = text[start];
+  const close = open === '{' ? '}' : ']';
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') inString = true;
+    else if (ch === open) depth++;
+    else if (ch === close) {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Parse the first JSON object/array at or after `from`
+ */
+function parseJsonAt(text, from = 0) {
+  const match = text.slice(from).search(/[{[]/);
+  if (match === -1) return null;
+
+  const start = from + match;
+  const end = findJsonEnd(text, start);
+  if (end === -1) return null;
+
+  try {
+    return { value: JSON.parse(text.slice(start, end)), end };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize the shapes models use for a call into { name, input }
+ */
+function normalizeCall(candidate) {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) return null;
+
+  const fn = candidate.function && typeof candidate.function === 'object' ? candidate.function : candidate;
+  const name = fn.name || candidate.tool || candidate.tool_name;
+  let input = fn.arguments ?? fn.parameters ?? fn.input ?? candidate.args ?? {};
+
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      return null;
+    }
+  }
+
+  if (typeof name !== 'string' || !input || typeof input !== 'object') return null;
+  return { name, input };
+}
+
+/**
+ * Text formats, each returning raw call candidates found in the text
+ */
+export const TEXT_TOOL_CALL_FORMATS = {
+  // Hermes/Qwen style: <tool_call>{"name": ..., "arguments": {...}}</tool_call>
+  xml(text) {
+    const calls = [];
+    const pattern = /<tool_call>([\s\S]*?)<\/tool_call>/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const parsed = parseJsonAt(match[1]);
+      if (parsed) calls.push(parsed.value);
+    }
+    return calls;
+  },
+
+  // Mistral style: [TOOL_CALLS] [{"name": ..., "arguments": {...}}]
+  mistral(text) {
+    const calls = [];
+    let index = text.indexOf('[TOOL_CALLS]');
+    while (index !== -1) {
+      const parsed = parseJsonAt(text, index + '[TOOL_CALLS]'.length);
+      if (parsed) {
+        calls.push(...(Array.isArray(parsed.value) ? parsed.value : [parsed.value]));
+      }
+      index = text.indexOf('[TOOL_CALLS]', index + 1);
+    }
+    return calls;
+  },
+
+  // Labeled style taught in older prompts: "Tool: TodoWrite\nArguments: {...}"
+  labeled(text) {
+    const calls = [];
+    const pattern = /Tool:\s*([A-Za-z_][\w-]*)\s*\n\s*Arguments:\s*/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const parsed = parseJsonAt(text, pattern.lastIndex);
+      if (parsed) calls.push({ name: match[1], arguments: parsed.value });
+    }
+    return calls;
+  },
+
+  // Fenced JSON blocks: ```json {"name": ..., "arguments": {...}} ```
+  json(text) {
+    const calls = [];
+    const pattern = /```(?:json|tool_call|tool)?\s*\n([\s\S]*?)```/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const parsed = parseJsonAt(match[1]);
+      if (parsed) {
+        calls.push(...(Array.isArray(parsed.value) ? parsed.value : [parsed.value]));
+      }
+    }
+    return calls;
+  }
+};
+
+/**
+ * Get the text formats enabled for a model.
+ * `textToolCallFormats` is keyed by model family (name prefix); the longest match wins.
+ */
+export function getFormatsForModel(model) {
+  const settings = config.get('textToolCallFormats', {}) || {};
+  const family = Object.keys(settings)
+    .filter(key => key !== 'default' && model && model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return settings[family || 'default'] || Object.keys(TEXT_TOOL_CALL_FORMATS);
+}
+
+/**
+ * Find text-form tool calls and check them against the tool definitions.
+ * Only calls naming a known tool with all required fields are returned.
+ */
+export function parseTextToolCalls(text, toolDefinitions, formats = Object.keys(TEXT_TOOL_CALL_FORMATS)) {
+  if (!text || !toolDefinitions || toolDefinitions.length === 0) return [];
+
+  const toolsByName = new Map(toolDefinitions.map(tool => [tool.name.toLowerCase(), tool]));
+  const seen = new Set();
+  const toolCalls = [];
+
+  for (const format of formats) {
+    const parse = TEXT_TOOL_CALL_FORMATS[format];
+    if (!parse) continue;
+
+    for (const candidate of parse(text)) {
+      const call = normalizeCall(candidate);
+      if (!call) continue;
+
+      const tool = toolsByName.get(call.name.toLowerCase());
+      if (!tool) continue;
+
+      const required = tool.input_schema?.required || [];
+      if (!required.every(key => key in call.input)) continue;
+
+      // The same call can match several formats (e.g. <tool_call> inside a fence)
+      const key = `${tool.name}:${JSON.stringify(call.input)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      toolCalls.push({ name: tool.name, input: call.input });
+    }
+  }
+
+  return toolCalls;
+}
+
+/**
+ * Wrap a stream so text-form tool calls become tool_use block events.
+ * Only applies when the model made no native tool calls in the turn.
+ */
+export async function* withTextToolCalls(stream, options = {}) {
+  const { toolDefinitions = [], model } = options;
+  const formats = options.formats || getFormatsForModel(model);
+
+  let text = '';
+  let nativeToolCalls = false;
+  let flushed = false;
+  let nextIndex = 0;
+
+  const flush = function* () {
+    if (flushed) return;
+    flushed = true;
+    if (nativeToolCalls || formats.length === 0) return;
+
+    for (const call of parseTextToolCalls(text, toolDefinitions, formats)) {
+      const index = nextIndex++;
+      yield {
+        type: 'content_block_start',
+        index,
+        content_block: {
+          type: 'tool_use',
+          id: `tool_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+          name: call.name,
+          input: {},
+          fromText: true
+        }
+      };
+      yield {
+        type: 'content_block_delta',
+        index,
+        delta: {
+          type: 'input_json_delta',
+          partial_json: JSON.stringify(call.input)
+        }
+      };
+      yield {
+        type: 'content_block_stop',
+        index
+      };
+    }
+  };
+
+  for await (const event of stream) {
+    if (event.type === 'content_block_delta' && event.delta?.text) {
+      text += event.delta.text;
+    }
+
+    if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+      nativeToolCalls = true;
+    }
+
+    // Recovered calls go out before message_stop, like native ones
+    if (event.type === 'message_stop') {
+      yield* flush();
+    }
+
+    yield event;
+  }
+
+  yield* flush();
+}
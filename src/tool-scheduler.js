@@ -0,0 +1,105 @@
+/**
+ * Tool Scheduler
+ * Groups a turn's tool calls so read-only calls can run concurrently
+ * while mutating calls keep their order
+ */
+
+/**
+ * Split tool calls into ordered batches.
+ * Consecutive read-only calls share a batch; each mutating call gets its own.
+ */
+export function planToolBatches(toolCalls, isReadOnly) {
+  const batches = [];
+
+  for (const toolCall of toolCalls) {
+    const readOnly = isReadOnly(toolCall.name);
+    const last = batches[batches.length - 1];
+
+    if (readOnly && last?.readOnly) {
+      last.calls.push(toolCall);
+    } else {
+      batches.push({ readOnly, calls: [toolCall] });
+    }
+  }
+
+  return batches;
+}
+
+/**
+ * Run a worker over items with at most `limit` in flight.
+ * Results come back in item order.
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, runNext));
+
+  return results;
+}
+
+/**
+ * Run `start(emit)` and yield whatever it emits while it runs, as
+ * { type: 'progress', event }, followed by { type: 'done', value }.
+ * Lets an async generator stream events from work it is awaiting.
+ */
+export async function* withProgress(start) {
+  const pending = [];
+  let wake = null;
+  let settled = false;
+  let value;
+  let failure = null;
+
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  const emit = event => {
+    pending.push(event);
+    notify();
+  };
+
+  start(emit).then(
+    result => { value = result; },
+    error => { failure = error; }
+  ).finally(() => {
+    settled = true;
+    notify();
+  });
+
+  while (true) {
+    while (pending.length > 0) {
+      yield { type: 'progress', event: pending.shift() };
+    }
+    if (settled) break;
+    await new Promise(resolve => { wake = resolve; });
+  }
+
+  if (failure) throw failure;
+  yield { type: 'done', value };
+}
+
+/**
+ * Build a tool's onProgress callback that emits tool_progress events for its call
+ */
+export function reportToolProgress(toolCall, emit) {
+  return (stream, data) => emit({
+    type: 'tool_progress',
+    tool: toolCall.name,
+    toolUseId: toolCall.id,
+    input: toolCall.input,
+    stream,
+    data
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * ApplyPatch Tool
+ * Apply a unified diff to one or more files
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, unlinkSync } from 'fs';
+import { dirname, isAbsolute, resolve } from 'path';
+import { snapshotFile } from '../checkpoints.js';
+import { recordFileRead } from '../file-reads.js';
+import { parsePatch, applyHunks } from '../patch.js';
+import { reviewFileChange, USER_EDITED_NOTE } from './file-review.js';
+
+/**
+ * Describe where a hunk landed, when it was not exactly where the header said
+ */
+function describeHunk(result) {
+  const notes = [];
+  if (result.offset) notes.push(`offset ${result.offset > 0 ? '+' : ''}${result.offset} lines`);
+  if (result.fuzz) notes.push(`fuzz ${result.fuzz}`);
+  if (result.loose) notes.push('whitespace ignored');
+  return notes.length > 0 ? ` (${notes.join(', ')})` : '';
+}
+
+export class ApplyPatchTool {
+  constructor() {
+    this.name = 'ApplyPatch';
+    this.description = 'Apply a unified diff (the format of `diff -u` / `git diff`) to one or more files. Supports creating files (--- /dev/null), deleting files (+++ /dev/null) and renames (rename from/rename to). Hunks are matched even if line numbers are off or whitespace differs. Nothing is written unless every hunk applies; failures are reported per hunk.';
+    this.inputSchema = {
+      type: 'object',
+      properties: {
+        patch: {
+          type: 'string',
+          description: 'The unified diff to apply, with ---/+++ file headers and @@ hunks'
+        }
+      },
+      required: ['patch']
+    };
+  }
+
+  async execute(input, context = {}) {
+    const workingDirectory = context.workingDirectory || process.cwd();
+    const toPath = path => (isAbsolute(path) ? path : resolve(workingDirectory, path));
+
+    let files;
+    try {
+      files = parsePatch(input.patch);
+    } catch (error) {
+      return { type: 'error', error: `Could not parse patch: ${error.message}` };
+    }
+
+    if (files.length === 0) {
+      return {
+        type: 'error',
+        error: 'No file changes found in the patch. Expected a unified diff with "--- a/file" and "+++ b/file" headers followed by "@@ -start,count +start,count @@" hunks.'
+      };
+    }
+
+    // Work out every file's new content first, so nothing is written unless the whole patch applies
+    const changes = [];
+    const report = [];
+    let failedHunks = 0;
+    let totalHunks = 0;
+
+    for (const file of files) {
+      const label = file.oldPath && file.newPath && file.oldPath !== file.newPath
+        ? `${file.oldPath} -> ${file.newPath}`
+        : file.newPath || file.oldPath;
+
+      if (!file.oldPath && !file.newPath) {
+        report.push(`${label || '(unknown file)'}: FAILED - missing file names in the ---/+++ headers`);
+        failedHunks += file.hunks.length || 1;
+        continue;
+      }
+
+      const source = file.oldPath ? toPath(file.oldPath) : null;
+      const target = file.newPath ? toPath(file.newPath) : null;
+
+      if (source && !existsSync(source)) {
+        report.push(`${label}: FAILED - file not found: ${source}`);
+        failedHunks += file.hunks.length || 1;
+        totalHunks += file.hunks.length;
+        continue;
+      }
+      if (!source && existsSync(target)) {
+        report.push(`${label}: FAILED - the patch creates this file but it already exists`);
+        failedHunks += file.hunks.length || 1;
+        totalHunks += file.hunks.length;
+        continue;
+      }
+      if (source && target && source !== target && existsSync(target)) {
+        report.push(`${label}: FAILED - cannot rename, ${file.newPath} already exists`);
+        failedHunks += file.hunks.length || 1;
+        totalHunks += file.hunks.length;
+        continue;
+      }
+
+      const oldContent = source ? readFileSync(source, 'utf-8') : null;
+      const { content, results } = applyHunks(oldContent ?? '', file.hunks);
+      totalHunks += file.hunks.length;
+
+      const lines = results.map(result => result.ok
+        ? `  Hunk ${result.hunk} ${result.header}: ok at line ${result.line}${describeHunk(result)}`
+        : `  Hunk ${result.hunk} ${result.header}: FAILED - ${result.error}`);
+      const failed = results.filter(result => !result.ok).length;
+      failedHunks += failed;
+
+      const action = !source ? 'A' : !target ? 'D' : source !== target ? 'R' : 'M';
+      report.push(`${action} ${label}${failed ? ` - ${failed} of ${results.length} hunks failed` : ''}`, ...lines);
+
+      if (!failed) {
+        changes.push({ source, target, oldContent, newContent: target ? content : null });
+      }
+    }
+
+    if (failedHunks > 0) {
+      return {
+        type: 'error',
+        error: `Patch not applied: ${failedHunks} of ${Math.max(totalHunks, failedHunks)} hunks failed, so no files were changed. ` +
+          'Read the current file contents and send a corrected patch.\n' + report.join('\n')
+      };
+    }
+
+    // Show each file's change as a diff; a rejection stops the whole patch
+    const notes = [];
+    for (const change of changes) {
+      const review = await reviewFileChange(context, {
+        tool: this.name,
+        filePath: change.target || change.source,
+        oldContent: change.oldContent,
+        newContent: change.newContent
+      });
+      if (!review.approved) {
+        return { type: 'error', error: `${review.error} No files from this patch were changed.` };
+      }
+      if (review.edited) {
+        change.newContent = review.content;
+        notes.push(`${change.target || change.source}: ${USER_EDITED_NOTE}`);
+      }
+    }
+
+    try {
+      for (const change of changes) {
+        // Keep the previous content so the turn can be undone
+        if (change.source) snapshotFile(context, change.source);
+        if (change.target) snapshotFile(context, change.target);
+
+        if (change.target && change.newContent !== null) {
+          mkdirSync(dirname(change.target), { recursive: true });
+          writeFileSync(change.target, change.newContent, 'utf-8');
+          recordFileRead(context, change.target);
+        }
+        if (change.source && change.source !== change.target) {
+          unlinkSync(change.source);
+        }
+      }
+    } catch (error) {
+      return {
+        type: 'error',
+        error: `Failed to write patched files: ${error.message}. Some files may have been changed; /undo restores them.`
+      };
+    }
+
+    return {
+      type: 'text',
+      text: `Patch applied successfully: ${changes.length} file${changes.length === 1 ? '' : 's'} changed\n` +
+        report.join('\n') + (notes.length > 0 ? `\n${notes.join('\n')}` : '')
+    };
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * BashOutput Tool
+ * Read new output from a background Bash process
+ */
+
+import { getBackgroundProcess, readBackgroundOutput, describeBackgroundProcess } from '../background-processes.js';
+
+export class BashOutputTool {
+  constructor() {
+    this.name = 'BashOutput';
+    this.description = 'Read the output a background Bash process (started with run_in_background) produced since the last read, along with its status. Call again later to get more output.';
+    this.inputSchema = {
+      type: 'object',
+      properties: {
+        bash_id: {
+          type: 'string',
+          description: 'The process handle returned by Bash, e.g. "bg_1"'
+        },
+        filter: {
+          type: 'string',
+          description: 'Only return lines matching this regular expression (optional)'
+        }
+      },
+      required: ['bash_id']
+    };
+  }
+
+  async execute(input, context = {}) {
+    const { bash_id: id, filter } = input;
+    const entry = getBackgroundProcess(id, context.session?.id || 'default');
+
+    if (!entry) {
+      return {
+        type: 'error',
+        error: `No background process ${id} in this session. Use BashStatus to list processes.`
+      };
+    }
+
+    let pattern = null;
+    if (filter) {
+      try {
+        pattern = new RegExp(filter);
+      } catch (error) {
+        return {
+          type: 'error',
+          error: `Invalid filter: ${error.message}`
+        };
+      }
+    }
+
+    const { text, skipped, remaining } = readBackgroundOutput(entry, context.bashMaxOutputLength || 30000);
+    let output = pattern
+      ? text.split('\n').filter(line => pattern.test(line)).join('\n')
+      : text;
+
+    if (skipped > 0) {
+      output = `... (${skipped} characters of older output were dropped)\n${output}`;
+    }
+    if (remaining > 0) {
+      output += `\n... (${remaining} more characters; call BashOutput again)`;
+    }
+
+    return {
+      type: 'text',
+      text: `${describeBackgroundProcess(entry)}\n\n${output || '(no new output)'}`
+    };
+  }
+}
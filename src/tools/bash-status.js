@@ -0,0 +1,48 @@
+/**
+ * BashStatus Tool
+ * Check the status of background Bash processes
+ */
+
+import { getBackgroundProcess, listBackgroundProcesses, describeBackgroundProcess } from '../background-processes.js';
+
+export class BashStatusTool {
+  constructor() {
+    this.name = 'BashStatus';
+    this.description = 'Check whether background Bash processes are still running, without reading their output. Omit bash_id to list all of them.';
+    this.inputSchema = {
+      type: 'object',
+      properties: {
+        bash_id: {
+          type: 'string',
+          description: 'The process handle returned by Bash, e.g. "bg_1" (optional)'
+        }
+      }
+    };
+  }
+
+  async execute(input, context = {}) {
+    const sessionKey = context.session?.id || 'default';
+
+    if (input.bash_id) {
+      const entry = getBackgroundProcess(input.bash_id, sessionKey);
+      if (!entry) {
+        return {
+          type: 'error',
+          error: `No background process ${input.bash_id} in this session.`
+        };
+      }
+      return {
+        type: 'text',
+        text: describeBackgroundProcess(entry)
+      };
+    }
+
+    const entries = listBackgroundProcesses(sessionKey);
+    return {
+      type: 'text',
+      text: entries.length > 0
+        ? entries.map(describeBackgroundProcess).join('\n')
+        : 'No background processes.'
+    };
+  }
+}
@@ -3,10 +3,79 @@
  * Execute bash commands
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { spawn } from 'child_process';
+import { config } from '../config.js';
+import { buildSandboxCommand, explainSandboxFailure, resolveSandboxSettings, scrubEnv } from '../sandbox.js';
+import { getShellSession } from '../shell-session.js';
+import { startBackgroundProcess } from '../background-processes.js';
 
-const execAsync = promisify(exec);
+/**
+ * How long a timed-out command gets after SIGTERM before it is killed
+ */
+const KILL_GRACE_MS = 1000;
+
+/**
+ * Send a signal to a child's process group, or to the child alone when it has none
+ */
+function signalProcessGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    child.kill(signal);
+  }
+}
+
+/**
+ * Run a program, streaming output chunks to `onData` as they arrive.
+ * Resolves to { stdout, stderr, exitCode, timedOut }.
+ */
+function runProcess(file, args, options, onData) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(file, args, {
+      cwd: options.cwd,
+      env: options.env,
+      shell: options.shell,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // Own process group, so a timeout also stops what the command started
+      detached: process.platform !== 'win32'
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+
+    // Stop collecting past maxBuffer, but keep streaming
+    const collect = (stream, data) => {
+      if (stream === 'stdout' && stdout.length < options.maxBuffer) stdout += data;
+      if (stream === 'stderr' && stderr.length < options.maxBuffer) stderr += data;
+      onData?.(stream, data);
+    };
+
+    child.stdout.setEncoding('utf-8');
+    child.stderr.setEncoding('utf-8');
+    child.stdout.on('data', data => collect('stdout', data));
+    child.stderr.on('data', data => collect('stderr', data));
+
+    let killTimer;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      signalProcessGroup(child, 'SIGTERM');
+      // Commands that ignore SIGTERM still hold the output pipes open
+      killTimer = setTimeout(() => signalProcessGroup(child, 'SIGKILL'), KILL_GRACE_MS);
+    }, options.timeout);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      reject(error);
+    });
+    child.on('close', exitCode => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      resolve({ stdout, stderr, exitCode, timedOut });
+    });
+  });
+}
 
 export class BashTool {
   constructor() {
@@ -22,6 +91,14 @@ export class BashTool {
         timeout: {
           type: 'number',
           description: 'Timeout in milliseconds (default: 120000)'
+        },
+        run_in_background: {
+          type: 'boolean',
+          description: 'Start the command in the background and return a handle right away (for dev servers, watchers and long test runs). Read its output with BashOutput, check it with BashStatus and stop it with KillBash.'
+        },
+        reset_shell: {
+          type: 'boolean',
+          description: 'Restart the persistent shell before running, discarding its cwd and environment (default: false)'
         }
       },
       required: ['command']
@@ -30,34 +107,152 @@ export class BashTool {
 
   async execute(input, context = {}) {
     const { command, timeout = 120000 } = input;
+    const workingDirectory = context.workingDirectory || process.cwd();
+    const sandbox = resolveSandboxSettings(context.sandbox);
 
-    try {
-      const { stdout, stderr } = await execAsync(command, {
-        timeout,
-        maxBuffer: 10 * 1024 * 1024, // 10MB
-        cwd: context.workingDirectory || process.cwd(),
-        env: { ...process.env, ...context.env }
-      });
-
-      let output = '';
-      if (stdout) output += stdout;
-      if (stderr) output += stderr;
-
-      // Truncate if too long
-      const maxLength = context.bashMaxOutputLength || 30000;
-      if (output.length > maxLength) {
-        output = output.substring(0, maxLength) + '\n... (output truncated)';
+    const options = {
+      timeout,
+      maxBuffer: 10 * 1024 * 1024, // 10MB
+      cwd: workingDirectory,
+      env: { ...process.env, ...context.env }
+    };
+
+    let sandboxCommand = null;
+    if (sandbox.enabled) {
+      try {
+        sandboxCommand = buildSandboxCommand(command, sandbox, workingDirectory);
+      } catch (error) {
+        return {
+          type: 'error',
+          error: error.message
+        };
       }
+      options.env = { ...scrubEnv(process.env, sandbox.envAllowlist), ...context.env };
+    }
+
+    if (input.run_in_background) {
+      return this.executeInBackground(command, context, options, sandboxCommand);
+    }
+
+    // Keep cwd, exports and activated virtualenvs between calls
+    if (context.persistentShell ?? config.get('bashPersistentShell', false)) {
+      return this.executeInShell(input, context, { ...options, sandbox });
+    }
+
+    // Without the sandbox, run through the platform shell like exec() does
+    const { file, args } = sandboxCommand || { file: command, args: [] };
 
+    let result;
+    try {
+      result = await runProcess(file, args, { ...options, shell: !sandboxCommand }, context.onProgress);
+    } catch (error) {
       return {
         type: 'text',
-        text: output || '(command completed with no output)'
+        text: `Error executing command: ${error.message}`
       };
-    } catch (error) {
+    }
+
+    const { stdout, stderr, exitCode, timedOut } = result;
+
+    if (exitCode === 0 && !timedOut) {
       return {
         type: 'text',
-        text: `Error executing command: ${error.message}\n${error.stderr || ''}`
+        text: this.truncate(stdout + stderr, context) || '(command completed with no output)'
+      };
+    }
+
+    let text = `Error executing command: Command failed: ${command}${timedOut ? ` (timed out after ${timeout}ms)` : ` (exit code ${exitCode})`}\n${stdout}${stderr}`;
+
+    if (sandboxCommand) {
+      const explanation = explainSandboxFailure(stdout + stderr, exitCode, sandbox, workingDirectory);
+      if (explanation) text += `\n${explanation}`;
+    }
+
+    return {
+      type: 'text',
+      text: this.truncate(text, context)
+    };
+  }
+
+  /**
+   * Start a command in the background and return its handle
+   */
+  executeInBackground(command, context, options, sandboxCommand) {
+    const entry = startBackgroundProcess(command, {
+      cwd: options.cwd,
+      env: options.env,
+      sessionKey: context.session?.id || 'default',
+      file: sandboxCommand?.file,
+      args: sandboxCommand?.args
+    });
+
+    return {
+      type: 'text',
+      text: `Started background process ${entry.id} (pid ${entry.pid}): ${command}\n` +
+        `Use BashOutput with bash_id "${entry.id}" to read its output, BashStatus to check it and KillBash to stop it.`,
+      bashId: entry.id
+    };
+  }
+
+  /**
+   * Run a command in the session's persistent shell
+   */
+  async executeInShell(input, context, options) {
+    const { command, timeout = 120000, reset_shell: resetShell = false } = input;
+    const shell = getShellSession(context.session?.id || 'default', {
+      cwd: options.cwd,
+      env: options.env,
+      sandbox: options.sandbox
+    });
+
+    let notice = '';
+    if (resetShell && shell.isAlive()) {
+      shell.reset();
+      notice = '(shell restarted)\n';
+    }
+
+    let result;
+    try {
+      result = await shell.run(command, { timeout, onOutput: context.onProgress });
+    } catch (error) {
+      return {
+        type: 'error',
+        error: `Could not start shell: ${error.message}`
       };
     }
+
+    let output = notice + result.stdout + result.stderr;
+
+    if (result.timedOut) {
+      output += `\nCommand timed out after ${timeout}ms and was killed.`;
+      if (result.restarted) {
+        output += ' The shell did not recover and was restarted; cwd and environment were reset.';
+      }
+    } else if (result.shellExited) {
+      output += `\nThe shell exited${result.error ? ` (${result.error})` : ''}; the next command starts a fresh shell.`;
+    } else if (result.exitCode !== 0) {
+      output = `Command exited with code ${result.exitCode}\n${output}`;
+    }
+
+    if (options.sandbox.enabled && result.exitCode !== 0) {
+      const explanation = explainSandboxFailure(output, result.exitCode, options.sandbox, options.cwd);
+      if (explanation) output += `\n${explanation}`;
+    }
+
+    return {
+      type: 'text',
+      text: this.truncate(output, context) || '(command completed with no output)'
+    };
+  }
+
+  /**
+   * Truncate output to the configured maximum length
+   */
+  truncate(output, context) {
+    const maxLength = context.bashMaxOutputLength || config.get('bashMaxOutputLength') || 30000;
+    if (output.length > maxLength) {
+      return output.substring(0, maxLength) + '\n... (output truncated)';
+    }
+    return output;
   }
 }
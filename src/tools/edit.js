@@ -4,6 +4,67 @@
  */
 
 import { readFileSync, writeFileSync } from 'fs';
+import { snapshotFile } from '../checkpoints.js';
+import { checkFileRead, recordFileRead } from '../file-reads.js';
+import { findMatches, findClosestMatch, MATCH_TIERS } from '../edit-matcher.js';
+import { reviewFileChange, USER_EDITED_NOTE } from './file-review.js';
+
+/**
+ * Error for an old_string that is not in the file, showing the closest region when there is one
+ */
+function notFoundError(content, oldString) {
+  const closest = findClosestMatch(content, oldString);
+  if (!closest || closest.score < 0.5) {
+    return 'The old_string was not found in the file';
+  }
+
+  const lines = closest.text.split('\n').slice(0, 10).map((line, k) => `${String(closest.startLine + k).padStart(6)}\t${line}`);
+  const more = closest.endLine - closest.startLine + 1 > 10 ? '\n     ...' : '';
+  return `The old_string was not found in the file. The closest match is lines ${closest.startLine}-${closest.endLine} ` +
+    `(${Math.round(closest.score * 100)}% similar):\n${lines.join('\n')}${more}\nRead the file and copy the text exactly.`;
+}
+
+/**
+ * Replace old_string with new_string in file content.
+ * old_string is matched exactly first, then with line endings, trailing whitespace and
+ * finally indentation ignored; the replacement keeps the file's line endings and indentation.
+ * Returns { content, tier } or { error } when old_string is empty, missing or, without replace_all, not unique.
+ */
+export function applyEdit(content, { old_string, new_string, replace_all = false }) {
+  // An empty string matches everywhere; use Write to create or replace a whole file
+  if (typeof old_string !== 'string' || old_string === '') {
+    return { error: 'old_string must not be empty. Use Write to create a file or replace its whole content.' };
+  }
+
+  const { tier, matches } = findMatches(content, old_string);
+
+  // Check if old_string exists
+  if (matches.length === 0) {
+    return { error: notFoundError(content, old_string) };
+  }
+
+  // Check if old_string is unique (if not replacing all)
+  if (!replace_all && matches.length > 1) {
+    return {
+      error: `The old_string appears ${matches.length} times in the file${tier === 'exact' ? '' : ` (${MATCH_TIERS[tier]})`}. ` +
+        'Use replace_all=true or provide a more specific old_string.'
+    };
+  }
+
+  // Splice from the end so earlier offsets stay valid; new_string is inserted literally
+  let result = content;
+  for (const match of [...matches].reverse()) {
+    result = result.slice(0, match.start) + match.replace(new_string) + result.slice(match.end);
+  }
+  return { content: result, tier };
+}
+
+/**
+ * Note for tool results when old_string only matched after normalizing
+ */
+export function describeMatch(tier) {
+  return tier && tier !== 'exact' ? `Note: old_string ${MATCH_TIERS[tier]}.` : '';
+}
 
 export class EditTool {
   constructor() {
@@ -37,38 +98,47 @@ export class EditTool {
     const { file_path, old_string, new_string, replace_all = false } = input;
 
     try {
+      // old_string should come from what the model last saw, not from memory
+      const unread = checkFileRead(context, file_path);
+      if (unread) {
+        return {
+          type: 'error',
+          error: unread
+        };
+      }
+
       const content = readFileSync(file_path, 'utf-8');
 
-      // Check if old_string exists
-      if (!content.includes(old_string)) {
+      // Perform replacement
+      const edit = applyEdit(content, { old_string, new_string, replace_all });
+      if (edit.error) {
         return {
           type: 'error',
-          error: 'The old_string was not found in the file'
+          error: edit.error
         };
       }
+      const newContent = edit.content;
 
-      // Check if old_string is unique (if not replacing all)
-      if (!replace_all) {
-        const occurrences = content.split(old_string).length - 1;
-        if (occurrences > 1) {
-          return {
-            type: 'error',
-            error: `The old_string appears ${occurrences} times in the file. Use replace_all=true or provide a more specific old_string.`
-          };
-        }
+      // Show the change as a diff and let the user accept, reject or edit it
+      const review = await reviewFileChange(context, { tool: this.name, filePath: file_path, oldContent: content, newContent });
+      if (!review.approved) {
+        return {
+          type: 'error',
+          error: review.error
+        };
       }
 
-      // Perform replacement
-      const newContent = replace_all
-        ? content.replaceAll(old_string, new_string)
-        : content.replace(old_string, new_string);
+      // Keep the previous content so the turn can be undone
+      snapshotFile(context, file_path);
 
       // Write back to file
-      writeFileSync(file_path, newContent, 'utf-8');
+      writeFileSync(file_path, review.content, 'utf-8');
+      recordFileRead(context, file_path);
 
+      const notes = [describeMatch(edit.tier), review.edited ? USER_EDITED_NOTE : ''].filter(Boolean);
       return {
         type: 'text',
-        text: `File edited successfully: ${file_path}`
+        text: `File edited successfully: ${file_path}${notes.map(note => `\n${note}`).join('')}`
       };
     } catch (error) {
       return {
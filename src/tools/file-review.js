@@ -0,0 +1,67 @@
+/**
+ * File Review
+ * Shows a proposed file change as a unified diff and lets the user accept it,
+ * reject it or write their own version before anything touches the disk
+ */
+
+import { isAbsolute, relative } from 'path';
+import { createUnifiedDiff } from '../diff.js';
+
+/**
+ * Path shown in the diff headers, relative to the working directory when inside it
+ */
+function displayPath(filePath, workingDirectory) {
+  if (!isAbsolute(filePath)) return filePath;
+  const rel = relative(workingDirectory, filePath);
+  return rel && !rel.startsWith('..') && !isAbsolute(rel) ? rel : filePath.replace(/^\/+/, '');
+}
+
+/**
+ * Let the user review a change before it is written.
+ * Without a reviewer in the context (SDK use, tests) the change is accepted as is.
+ *
+ * @param {Object} context - Tool context; `reviewEdit` is the reviewer callback
+ * @param {Object} change
+ * @param {string} change.tool - Tool proposing the change
+ * @param {string} change.filePath - File being changed
+ * @param {string|null} change.oldContent - Current content, or null for a new file
+ * @param {string} change.newContent - Proposed content
+ * @returns {Promise<Object>} { approved: true, content, edited } or { approved: false, error }
+ */
+export async function reviewFileChange(context, { tool, filePath, oldContent, newContent }) {
+  if (!context?.reviewEdit) {
+    return { approved: true, content: newContent, edited: false };
+  }
+
+  const diff = createUnifiedDiff(oldContent, newContent, {
+    path: displayPath(filePath, context.workingDirectory || process.cwd())
+  });
+
+  const decision = await context.reviewEdit({
+    tool,
+    filePath,
+    diff,
+    oldContent,
+    newContent,
+    autoAccept: Boolean(context.autoAcceptEdits)
+  });
+
+  if (decision?.action === 'reject') {
+    return {
+      approved: false,
+      error: `The user rejected this change to ${filePath}${decision.reason ? `: ${decision.reason}` : ''}. ` +
+        'The file was not modified. Change course based on their feedback instead of retrying the same change.'
+    };
+  }
+
+  if (decision?.action === 'edit' && typeof decision.content === 'string') {
+    return { approved: true, content: decision.content, edited: decision.content !== newContent };
+  }
+
+  return { approved: true, content: newContent, edited: false };
+}
+
+/**
+ * Note appended to a tool result when the user changed the proposal before it was written
+ */
+export const USER_EDITED_NOTE = 'The user edited your proposed change before it was written. Read the file before changing it again.';
@@ -1,14 +1,42 @@
 /**
  * Glob Tool
- * Find files matching a glob pattern
+ * Find files matching a glob pattern, skipping what .gitignore and .lccoderignore exclude
  */
 
-import { globSync } from 'glob';
+import { statSync } from 'fs';
+import { isAbsolute, resolve } from 'path';
+import { config } from '../config.js';
+import { IGNORE_FILES, globToRegExp, walkFiles } from '../ignore.js';
+
+/**
+ * Skipped even without an ignore file, unless the pattern asks for them
+ */
+const DEFAULT_IGNORES = ['node_modules/'];
+
+/**
+ * Split an absolute pattern into the directory before its first wildcard and the rest
+ */
+function splitAbsolutePattern(pattern) {
+  const segments = pattern.split('/');
+  const firstGlob = segments.findIndex(segment => /[*?[{]/.test(segment));
+  if (firstGlob === -1) {
+    return { base: segments.slice(0, -1).join('/') || '/', pattern: segments[segments.length - 1] };
+  }
+  return { base: segments.slice(0, firstGlob).join('/') || '/', pattern: segments.slice(firstGlob).join('/') };
+}
+
+function modifiedTime(path) {
+  try {
+    return statSync(path).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
 
 export class GlobTool {
   constructor() {
     this.name = 'Glob';
-    this.description = 'Find files matching a glob pattern (e.g., "**/*.js")';
+    this.description = 'Find files matching a glob pattern (e.g., "**/*.js"). Most recently modified files come first. Files excluded by .gitignore or .lccoderignore and hidden files are skipped unless asked for.';
     this.inputSchema = {
       type: 'object',
       properties: {
@@ -19,6 +47,23 @@ export class GlobTool {
         path: {
           type: 'string',
           description: 'The directory to search in (optional, defaults to cwd)'
+        },
+        sort: {
+          type: 'string',
+          enum: ['modified', 'path'],
+          description: 'Order of results: "modified" (most recent first, default) or "path"'
+        },
+        limit: {
+          type: 'number',
+          description: `Maximum number of results (default: ${config.get('globMaxResults', 100)})`
+        },
+        include_hidden: {
+          type: 'boolean',
+          description: 'Include dotfiles and dot-directories (default: false; implied when the pattern names one, e.g. ".github/**")'
+        },
+        include_directories: {
+          type: 'boolean',
+          description: 'Also return matching directories, with a trailing "/" (default: false)'
         }
       },
       required: ['pattern']
@@ -26,27 +71,52 @@ export class GlobTool {
   }
 
   async execute(input, context = {}) {
-    const { pattern, path } = input;
+    const { sort = 'modified', include_directories = false } = input;
+    let { pattern, path } = input;
 
     try {
-      const options = {
-        cwd: path || context.workingDirectory || process.cwd(),
-        ignore: ['node_modules/**', '.git/**', 'dist/**', 'build/**'],
-        nodir: true
-      };
+      // Absolute patterns give absolute paths, like the pattern itself
+      const absolute = isAbsolute(pattern);
+      if (absolute) {
+        ({ base: path, pattern } = splitAbsolutePattern(pattern));
+      }
+      pattern = pattern.replace(/^\.\//, '');
+
+      const cwd = resolve(context.workingDirectory || process.cwd(), path || '.');
+      const matcher = globToRegExp(pattern);
+      const hidden = Boolean(input.include_hidden) || pattern.split('/').some(segment => /^\.[^./]/.test(segment));
 
-      const files = globSync(pattern, options);
+      const matches = walkFiles(absolute ? cwd : '.', {
+        cwd,
+        hidden,
+        directories: include_directories,
+        ignoreFiles: IGNORE_FILES,
+        ignore: pattern.includes('node_modules') ? [] : DEFAULT_IGNORES,
+        filter: relativePath => matcher.test(relativePath)
+      });
 
-      if (files.length === 0) {
+      if (matches.length === 0) {
         return {
           type: 'text',
           text: 'No files found'
         };
       }
 
+      if (sort === 'modified') {
+        const times = new Map(matches.map(match => [match, modifiedTime(resolve(cwd, match))]));
+        matches.sort((a, b) => times.get(b) - times.get(a) || (a < b ? -1 : a > b ? 1 : 0));
+      }
+
+      const limit = input.limit > 0 ? Math.floor(input.limit) : config.get('globMaxResults', 100);
+      const shown = matches.slice(0, limit);
+      const more = matches.length - shown.length;
+      const footer = more > 0
+        ? `\n\n(${more} more match${more === 1 ? '' : 'es'} not shown. Narrow the pattern or path, or raise limit.)`
+        : '';
+
       return {
         type: 'text',
-        text: files.join('\n')
+        text: shown.join('\n') + footer
       };
     } catch (error) {
       return {
@@ -1,14 +1,119 @@
 /**
  * Grep Tool
- * Search for text patterns in files
+ * Search for text patterns in files with ripgrep, grep or a built-in search.
+ * Commands are spawned with argument arrays, so patterns never pass through a shell.
  */
 
-import { execSync } from 'child_process';
+import { spawn, spawnSync } from 'child_process';
+import { createGlobFilter, walkFiles } from '../ignore.js';
+import { searchFiles } from '../text-search.js';
+
+/**
+ * File type filters for grep and the built-in search (ripgrep has its own list)
+ */
+export const FILE_TYPES = {
+  c: ['c', 'h'],
+  cpp: ['cpp', 'cc', 'cxx', 'hpp', 'hh', 'hxx', 'h'],
+  cs: ['cs'],
+  css: ['css', 'scss', 'sass', 'less'],
+  go: ['go'],
+  html: ['html', 'htm'],
+  java: ['java'],
+  js: ['js', 'jsx', 'mjs', 'cjs', 'vue'],
+  json: ['json'],
+  kotlin: ['kt', 'kts'],
+  md: ['md', 'markdown'],
+  php: ['php'],
+  py: ['py', 'pyi'],
+  rb: ['rb'],
+  rust: ['rs'],
+  sh: ['sh', 'bash', 'zsh'],
+  sql: ['sql'],
+  swift: ['swift'],
+  toml: ['toml'],
+  ts: ['ts', 'tsx', 'mts', 'cts'],
+  xml: ['xml'],
+  yaml: ['yaml', 'yml']
+};
+
+const MAX_OUTPUT = 10 * 1024 * 1024;
+const SEARCH_TIMEOUT = 60000;
+
+/**
+ * Files passed to one grep invocation
+ */
+const GREP_BATCH = 500;
+
+let detectedEngine = null;
+
+/**
+ * Pick the search engine once: ripgrep, then grep (Perl regex if supported), then built-in
+ */
+export function detectGrepEngine() {
+  if (detectedEngine) return detectedEngine;
+
+  const works = (file, args, input) => {
+    try {
+      return spawnSync(file, args, { input, stdio: ['pipe', 'ignore', 'ignore'], timeout: 5000 }).status === 0;
+    } catch {
+      return false;
+    }
+  };
+
+  if (works('rg', ['--version'])) {
+    detectedEngine = 'rg';
+  } else if (works('grep', ['-P', 'a'], 'a\n')) {
+    detectedEngine = 'grep-perl';
+  } else if (works('grep', ['-E', 'a'], 'a\n')) {
+    detectedEngine = 'grep';
+  } else {
+    detectedEngine = 'js';
+  }
+  return detectedEngine;
+}
+
+/**
+ * Run a command without a shell and collect its output
+ */
+function run(file, args, cwd) {
+  return new Promise((resolvePromise, reject) => {
+    const child = spawn(file, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let truncated = false;
+
+    const timer = setTimeout(() => child.kill('SIGTERM'), SEARCH_TIMEOUT);
+
+    child.stdout.on('data', chunk => {
+      if (stdout.length >= MAX_OUTPUT) {
+        if (!truncated) {
+          truncated = true;
+          child.kill('SIGTERM');
+        }
+        return;
+      }
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolvePromise({ code: truncated ? 0 : code, stdout, stderr });
+    });
+  });
+}
 
 export class GrepTool {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.engine - Force 'rg', 'grep', 'grep-perl' or 'js' instead of detecting
+   */
+  constructor(options = {}) {
     this.name = 'Grep';
-    this.description = 'Search for a pattern in files using regex';
+    this.description = 'Search file contents with a regular expression. Respects .gitignore and skips hidden and binary files. Filter files with glob or type, show surrounding lines with -A/-B/-C, and page through long results with head_limit and offset.';
     this.inputSchema = {
       type: 'object',
       properties: {
@@ -22,7 +127,11 @@ export class GrepTool {
         },
         glob: {
           type: 'string',
-          description: 'Glob pattern to filter files (e.g., "*.js")'
+          description: 'Glob pattern to filter files (e.g., "*.js", "src/**/*.{ts,tsx}")'
+        },
+        type: {
+          type: 'string',
+          description: 'File type to search (e.g., "js", "py", "rust")'
         },
         output_mode: {
           type: 'string',
@@ -35,11 +144,36 @@ export class GrepTool {
         },
         '-n': {
           type: 'boolean',
-          description: 'Show line numbers'
+          description: 'Show line numbers (content mode)'
+        },
+        '-A': {
+          type: 'number',
+          description: 'Lines to show after each match (content mode)'
+        },
+        '-B': {
+          type: 'number',
+          description: 'Lines to show before each match (content mode)'
+        },
+        '-C': {
+          type: 'number',
+          description: 'Lines to show before and after each match (content mode)'
+        },
+        multiline: {
+          type: 'boolean',
+          description: 'Let patterns span lines; "." also matches newlines (default: false)'
+        },
+        head_limit: {
+          type: 'number',
+          description: 'Only return the first N lines or files of the output'
+        },
+        offset: {
+          type: 'number',
+          description: 'Skip the first N lines or files of the output (default: 0)'
         }
       },
       required: ['pattern']
     };
+    this.engine = options.engine || null;
   }
 
   async execute(input, context = {}) {
@@ -47,75 +181,154 @@ export class GrepTool {
       pattern,
       path = '.',
       glob,
+      type,
       output_mode = 'files_with_matches',
       '-i': caseInsensitive = false,
-      '-n': showLineNumbers = false
+      '-n': lineNumbers = false,
+      multiline = false,
+      head_limit,
+      offset = 0
     } = input;
 
-    try {
-      // Build grep command (using ripgrep if available, otherwise grep)
-      let cmd = 'rg';
-      let args = [];
-
-      // Try to use ripgrep first
-      try {
-        execSync('which rg', { stdio: 'ignore' });
-      } catch {
-        // Fallback to grep
-        cmd = 'grep';
-      }
-
-      // Add options
-      if (caseInsensitive) args.push('-i');
-      if (showLineNumbers && output_mode === 'content') args.push('-n');
-
-      // Output mode
-      if (output_mode === 'files_with_matches') {
-        args.push('-l');
-      } else if (output_mode === 'count') {
-        args.push('-c');
-      }
-
-      // Add glob pattern
-      if (glob && cmd === 'rg') {
-        args.push('--glob', glob);
-      }
-
-      // Recursive search
-      if (cmd === 'rg') {
-        args.push('--');
-      } else {
-        args.push('-r');
-      }
+    const content = output_mode === 'content';
+    const search = {
+      pattern,
+      path,
+      glob,
+      type,
+      outputMode: output_mode,
+      caseInsensitive,
+      lineNumbers: content && lineNumbers,
+      before: content ? Number(input['-B'] ?? input['-C'] ?? 0) : 0,
+      after: content ? Number(input['-A'] ?? input['-C'] ?? 0) : 0,
+      multiline,
+      cwd: context.workingDirectory || process.cwd()
+    };
 
-      // Add pattern and path
-      args.push(pattern);
-      args.push(path);
+    let engine = this.engine || detectGrepEngine();
+    // grep cannot match across lines
+    if (multiline && engine !== 'rg') engine = 'js';
 
-      const fullCmd = `${cmd} ${args.join(' ')}`;
-      const result = execSync(fullCmd, {
-        encoding: 'utf-8',
-        maxBuffer: 10 * 1024 * 1024,
-        cwd: context.workingDirectory || process.cwd()
-      });
+    try {
+      const output = engine === 'rg'
+        ? await this.searchWithRipgrep(search)
+        : await this.searchFiles(engine, search);
 
-      return {
-        type: 'text',
-        text: result.trim() || 'No matches found'
-      };
-    } catch (error) {
-      // Exit code 1 means no matches found
-      if (error.status === 1) {
+      if (output.length === 0) {
         return {
           type: 'text',
           text: 'No matches found'
         };
       }
 
+      return {
+        type: 'text',
+        text: this.paginate(output, offset, head_limit)
+      };
+    } catch (error) {
       return {
         type: 'error',
         error: `Grep error: ${error.message}`
       };
     }
   }
+
+  /**
+   * Apply offset and head_limit to the output lines
+   */
+  paginate(output, offset, headLimit) {
+    const start = Math.max(Number(offset) || 0, 0);
+    const end = headLimit > 0 ? start + Number(headLimit) : output.length;
+    const page = output.slice(start, end);
+
+    if (page.length === 0) {
+      return `No results at offset ${start} (${output.length} total)`;
+    }
+    if (start === 0 && end >= output.length) {
+      return page.join('\n');
+    }
+    const more = end < output.length ? ` Use offset=${end} to see more.` : '';
+    return `${page.join('\n')}\n\n(Showing ${start + 1}-${start + page.length} of ${output.length}.${more})`;
+  }
+
+  /**
+   * Search with ripgrep, which handles .gitignore, globs and types itself
+   */
+  async searchWithRipgrep(search) {
+    const args = ['--color', 'never', '--no-heading', '--with-filename', '--no-require-git', '--sort', 'path'];
+
+    if (search.caseInsensitive) args.push('-i');
+    if (search.outputMode === 'files_with_matches') args.push('-l');
+    else if (search.outputMode === 'count') args.push('-c');
+    else args.push(search.lineNumbers ? '-n' : '-N');
+
+    if (search.before) args.push('-B', String(search.before));
+    if (search.after) args.push('-A', String(search.after));
+    if (search.multiline) args.push('-U', '--multiline-dotall');
+    if (search.glob) args.push('--glob', search.glob);
+    if (search.type) args.push('--type', search.type);
+
+    args.push('-e', search.pattern, '--');
+    // Without a path ripgrep prints "src/a.js" rather than "./src/a.js"
+    if (search.path && search.path !== '.') args.push(search.path);
+
+    const result = await run('rg', args, search.cwd);
+    if (result.code === 1) return [];
+    if (result.code !== 0) {
+      throw new Error(result.stderr.trim() || `ripgrep exited with code ${result.code}`);
+    }
+    return result.stdout.replace(/\n$/, '').split('\n').map(line => line.replace(/\r$/, ''));
+  }
+
+  /**
+   * List the files to search ourselves, then search them with grep or the built-in engine
+   */
+  async searchFiles(engine, search) {
+    const filters = [];
+    if (search.glob) filters.push(createGlobFilter(search.glob));
+    if (search.type) {
+      const extensions = FILE_TYPES[search.type];
+      if (!extensions) {
+        throw new Error(`Unknown file type "${search.type}". Known types: ${Object.keys(FILE_TYPES).join(', ')}`);
+      }
+      filters.push(path => extensions.some(extension => path.endsWith(`.${extension}`)));
+    }
+
+    const files = walkFiles(search.path, {
+      cwd: search.cwd,
+      filter: path => filters.every(filter => filter(path))
+    });
+
+    if (engine === 'js') {
+      return searchFiles(files, search);
+    }
+
+    const args = ['-H', '-I', engine === 'grep-perl' ? '-P' : '-E'];
+    if (search.caseInsensitive) args.push('-i');
+    if (search.outputMode === 'files_with_matches') args.push('-l');
+    else if (search.outputMode === 'count') args.push('-c');
+    else if (search.lineNumbers) args.push('-n');
+    if (search.before) args.push('-B', String(search.before));
+    if (search.after) args.push('-A', String(search.after));
+    args.push('-e', search.pattern, '--');
+
+    const output = [];
+    for (let i = 0; i < files.length; i += GREP_BATCH) {
+      const result = await run('grep', [...args, ...files.slice(i, i + GREP_BATCH)], search.cwd);
+      // 1 is no matches; 2 with output means some files could not be read
+      if (result.code > 1 && !result.stdout) {
+        throw new Error(result.stderr.trim() || `grep exited with code ${result.code}`);
+      }
+      if (!result.stdout) continue;
+
+      let lines = result.stdout.replace(/\n$/, '').split('\n').map(line => line.replace(/\r$/, ''));
+      // grep -c also lists files without matches
+      if (search.outputMode === 'count') lines = lines.filter(line => !line.endsWith(':0'));
+      if (lines.length > 0 && output.length > 0 && (search.before || search.after) && search.outputMode === 'content') {
+        output.push('--');
+      }
+      output.push(...lines);
+    }
+    return output;
+  }
 }
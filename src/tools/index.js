@@ -4,45 +4,105 @@
  */
 
 import { BashTool } from './bash.js';
+import { BashOutputTool } from './bash-output.js';
+import { BashStatusTool } from './bash-status.js';
+import { KillBashTool } from './kill-bash.js';
 import { ReadTool } from './read.js';
 import { WriteTool } from './write.js';
 import { EditTool } from './edit.js';
+import { MultiEditTool } from './multi-edit.js';
+import { ApplyPatchTool } from './apply-patch.js';
 import { GlobTool } from './glob.js';
 import { GrepTool } from './grep.js';
 import { TodoWriteTool } from './todo-write.js';
 import { WebFetchTool } from './web-fetch.js';
 import { WebSearchTool } from './web-search.js';
 import { RAGQueryTool } from './rag-query.js';
+import { SemanticSearchTool } from '../agents/tools/semantic-search.js';
+import { validateToolInput, formatValidationError } from './input-validator.js';
 
 export const TOOLS = {
   Bash: BashTool,
+  BashOutput: BashOutputTool,
+  BashStatus: BashStatusTool,
+  KillBash: KillBashTool,
   Read: ReadTool,
   Write: WriteTool,
   Edit: EditTool,
+  MultiEdit: MultiEditTool,
+  ApplyPatch: ApplyPatchTool,
   Glob: GlobTool,
   Grep: GrepTool,
   TodoWrite: TodoWriteTool,
   WebFetch: WebFetchTool,
   WebSearch: WebSearchTool,
-  RAGQuery: RAGQueryTool
+  RAGQuery: RAGQueryTool,
+  SemanticSearch: SemanticSearchTool
 };
 
 /**
- * Get tool definitions for LLM
+ * Whether each tool only reads state or can change it.
+ * Read-only calls in a turn may run concurrently; mutating calls run one at a time.
  */
-export function getToolDefinitions() {
-  return Object.entries(TOOLS).map(([name, ToolClass]) => {
-    const tool = new ToolClass();
-    return {
-      name: name,
-      description: tool.description,
-      input_schema: tool.inputSchema
-    };
-  });
+export const TOOL_ACCESS = {
+  Bash: 'mutating',
+  BashOutput: 'readOnly',
+  BashStatus: 'readOnly',
+  KillBash: 'mutating',
+  Read: 'readOnly',
+  Write: 'mutating',
+  Edit: 'mutating',
+  MultiEdit: 'mutating',
+  ApplyPatch: 'mutating',
+  Glob: 'readOnly',
+  Grep: 'readOnly',
+  TodoWrite: 'mutating',
+  WebFetch: 'readOnly',
+  WebSearch: 'readOnly',
+  RAGQuery: 'readOnly',
+  SemanticSearch: 'readOnly'
+};
+
+/**
+ * Check if a tool is read-only; unknown tools count as mutating
+ */
+export function isReadOnlyTool(name) {
+  return TOOL_ACCESS[name] === 'readOnly';
 }
 
 /**
- * Execute a tool by name
+ * Get tool definitions for LLM, optionally only the tools in `allowedTools`
+ */
+export function getToolDefinitions(allowedTools = null) {
+  return Object.entries(TOOLS)
+    .filter(([name]) => !allowedTools || allowedTools.includes(name))
+    .map(([name, ToolClass]) => {
+      const tool = new ToolClass();
+      return {
+        name: name,
+        description: tool.description,
+        input_schema: tool.inputSchema
+      };
+    });
+}
+
+/**
+ * The input a tool call will actually run with: repaired against the tool's schema
+ * when valid (e.g. "FilePath" becomes "file_path"), otherwise unchanged.
+ * Permission checks use this so they see the same arguments as the tool.
+ */
+export function normalizeToolInput(name, input) {
+  const ToolClass = TOOLS[name];
+  if (!ToolClass) return input;
+
+  const validation = validateToolInput(new ToolClass().inputSchema, input);
+  return validation.valid ? validation.input : input;
+}
+
+/**
+ * Execute a tool by name.
+ * Input is validated (and repaired where safe) against the tool's schema first;
+ * invalid input comes back as an error result the model can correct.
  */
 export async function executeTool(name, input, context = {}) {
   const ToolClass = TOOLS[name];
@@ -52,5 +112,15 @@ export async function executeTool(name, input, context = {}) {
   }
 
   const tool = new ToolClass();
-  return await tool.execute(input, context);
+  const validation = validateToolInput(tool.inputSchema, input);
+
+  if (!validation.valid) {
+    return {
+      type: 'error',
+      error: formatValidationError(name, validation.errors, tool.inputSchema),
+      validationErrors: validation.errors
+    };
+  }
+
+  return await tool.execute(validation.input, context);
 }
@@ -0,0 +1,225 @@
+/**
+ * Tool Input Validator
+ * Validates model-made tool input against each tool's inputSchema and
+ * repairs common local-model mistakes before the tool runs
+ */
+
+/**
+ * Parse tool call arguments, repairing fenced or trailing-comma JSON.
+ * Throws if the text still is not valid JSON.
+ */
+export function parseToolArguments(text) {
+  if (text === undefined || text === null || text.trim() === '') return {};
+
+  try {
+    return JSON.parse(text);
+  } catch (originalError) {
+    const repaired = text
+      .trim()
+      .replace(/^```(?:json)?\s*/i, '')
+      .replace(/\s*```$/, '')
+      .replace(/,(\s*[}\]])/g, '$1');
+
+    try {
+      return JSON.parse(repaired);
+    } catch {
+      throw new Error(`Tool arguments are not valid JSON: ${originalError.message}`);
+    }
+  }
+}
+
+/**
+ * Normalize a key for loose matching: filePath, FILE_PATH and file-path all become "filepath"
+ */
+function looseKey(key) {
+  return key.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Get the JSON type name of a value
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema type
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Try to coerce a value into the schema type; returns undefined when not possible
+ */
+function coerce(value, type) {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+
+    if ((type === 'number' || type === 'integer') && trimmed !== '' && !isNaN(Number(trimmed))) {
+      const number = Number(trimmed);
+      if (type === 'number' || Number.isInteger(number)) return number;
+    }
+    if (type === 'boolean' && /^(true|false)$/i.test(trimmed)) {
+      return trimmed.toLowerCase() === 'true';
+    }
+    if (type === 'array' || type === 'object') {
+      try {
+        const parsed = parseToolArguments(trimmed);
+        if (matchesType(parsed, type)) return parsed;
+      } catch {
+        return undefined;
+      }
+    }
+  }
+
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+
+  if (type === 'array' && value !== null && value !== undefined && !Array.isArray(value)) {
+    // A single item where a list was expected
+    return [value];
+  }
+
+  return undefined;
+}
+
+/**
+ * Validate and repair a value against a schema node
+ */
+function validateValue(value, schema, path, errors, repairs) {
+  if (!schema || typeof schema !== 'object') return value;
+
+  let current = value;
+
+  if (schema.type && !matchesType(current, schema.type)) {
+    const coerced = coerce(current, schema.type);
+    if (coerced === undefined) {
+      errors.push({ path, message: `expected ${schema.type}, got ${typeOf(current)}` });
+      return current;
+    }
+    repairs.push(`${path}: converted ${typeOf(current)} to ${schema.type}`);
+    current = coerced;
+  }
+
+  if (schema.enum && !schema.enum.includes(current)) {
+    const match = typeof current === 'string'
+      ? schema.enum.find(option => typeof option === 'string' && looseKey(option) === looseKey(current))
+      : undefined;
+
+    if (match !== undefined) {
+      repairs.push(`${path}: "${current}" -> "${match}"`);
+      current = match;
+    } else {
+      errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+  }
+
+  if (schema.type === 'object' && current && typeof current === 'object') {
+    current = validateObject(current, schema, path, errors, repairs);
+  }
+
+  if (schema.type === 'array' && Array.isArray(current) && schema.items) {
+    current = current.map((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors, repairs));
+  }
+
+  return current;
+}
+
+/**
+ * Validate and repair an object: key casing, required fields and property types
+ */
+function validateObject(input, schema, path, errors, repairs) {
+  const properties = schema.properties || {};
+  const known = new Map(Object.keys(properties).map(key => [looseKey(key), key]));
+  const output = {};
+
+  for (const [key, value] of Object.entries(input)) {
+    if (key in properties) {
+      output[key] = value;
+      continue;
+    }
+
+    const canonical = known.get(looseKey(key));
+    if (canonical && !(canonical in input)) {
+      repairs.push(`${path ? path + '.' : ''}${key}: renamed to ${canonical}`);
+      output[canonical] = value;
+    } else {
+      output[key] = value;
+    }
+  }
+
+  for (const key of schema.required || []) {
+    if (output[key] === undefined || output[key] === null) {
+      errors.push({ path: path ? `${path}.${key}` : key, message: 'required field missing' });
+    }
+  }
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    if (output[key] !== undefined && output[key] !== null) {
+      output[key] = validateValue(output[key], propertySchema, path ? `${path}.${key}` : key, errors, repairs);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Validate tool input against its inputSchema.
+ * Returns { valid, input, errors, repairs } where input is the repaired input.
+ */
+export function validateToolInput(schema, input) {
+  const errors = [];
+  const repairs = [];
+
+  let current = input;
+  if (typeof current === 'string') {
+    try {
+      current = parseToolArguments(current);
+      repairs.push('parsed stringified arguments');
+    } catch (error) {
+      return { valid: false, input, errors: [{ path: '', message: error.message }], repairs };
+    }
+  }
+
+  if (!current || typeof current !== 'object' || Array.isArray(current)) {
+    return { valid: false, input, errors: [{ path: '', message: `expected object, got ${typeOf(current)}` }], repairs };
+  }
+
+  const repaired = validateObject(current, schema || {}, '', errors, repairs);
+
+  return {
+    valid: errors.length === 0,
+    input: repaired,
+    errors,
+    repairs
+  };
+}
+
+/**
+ * Format validation errors as a message the model can act on
+ */
+export function formatValidationError(toolName, errors, schema) {
+  const lines = errors.map(error => `- ${error.path || '(input)'}: ${error.message}`);
+  return `Invalid input for tool ${toolName}:\n${lines.join('\n')}\n\n` +
+    `Expected input schema:\n${JSON.stringify(schema, null, 2)}\n\n` +
+    'Fix the arguments and call the tool again.';
+}
+
+/**
+ * Format an unparseable tool call as a message the model can act on
+ */
+export function formatParseError(toolCall) {
+  const raw = toolCall.rawInput && toolCall.rawInput.length > 500
+    ? `${toolCall.rawInput.slice(0, 500)}...`
+    : toolCall.rawInput;
+  return `Invalid input for tool ${toolCall.name}:\n- (input): ${toolCall.parseError}\n\n` +
+    `Received:\n${raw}\n\n` +
+    'Send the arguments as a single valid JSON object and call the tool again.';
+}
@@ -0,0 +1,46 @@
+/**
+ * KillBash Tool
+ * Stop a background Bash process
+ */
+
+import { getBackgroundProcess, killBackgroundProcess, describeBackgroundProcess } from '../background-processes.js';
+
+export class KillBashTool {
+  constructor() {
+    this.name = 'KillBash';
+    this.description = 'Stop a background Bash process (and anything it started), e.g. a dev server that is no longer needed.';
+    this.inputSchema = {
+      type: 'object',
+      properties: {
+        bash_id: {
+          type: 'string',
+          description: 'The process handle returned by Bash, e.g. "bg_1"'
+        }
+      },
+      required: ['bash_id']
+    };
+  }
+
+  async execute(input, context = {}) {
+    const entry = getBackgroundProcess(input.bash_id, context.session?.id || 'default');
+
+    if (!entry) {
+      return {
+        type: 'error',
+        error: `No background process ${input.bash_id} in this session.`
+      };
+    }
+
+    if (!killBackgroundProcess(entry)) {
+      return {
+        type: 'text',
+        text: `Process already stopped: ${describeBackgroundProcess(entry)}`
+      };
+    }
+
+    return {
+      type: 'text',
+      text: `Killed ${entry.id}: ${entry.command}`
+    };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * MultiEdit Tool
+ * Apply several replacements to one file at once, all or nothing
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { snapshotFile } from '../checkpoints.js';
+import { checkFileRead, recordFileRead } from '../file-reads.js';
+import { MATCH_TIERS } from '../edit-matcher.js';
+import { applyEdit } from './edit.js';
+import { reviewFileChange, USER_EDITED_NOTE } from './file-review.js';
+
+export class MultiEditTool {
+  constructor() {
+    this.name = 'MultiEdit';
+    this.description = 'Make several edits to one existing file in a single call. Edits are applied in order, each to the result of the previous one, and the file is only written if every edit succeeds. Prefer this over repeated Edit calls when changing several places in the same file.';
+    this.inputSchema = {
+      type: 'object',
+      properties: {
+        file_path: {
+          type: 'string',
+          description: 'The absolute path to the file to edit'
+        },
+        edits: {
+          type: 'array',
+          description: 'Edits to apply in order',
+          items: {
+            type: 'object',
+            properties: {
+              old_string: {
+                type: 'string',
+                description: 'The text to replace'
+              },
+              new_string: {
+                type: 'string',
+                description: 'The text to replace it with'
+              },
+              replace_all: {
+                type: 'boolean',
+                description: 'Replace all occurrences (default: false)'
+              }
+            },
+            required: ['old_string', 'new_string']
+          }
+        }
+      },
+      required: ['file_path', 'edits']
+    };
+  }
+
+  async execute(input, context = {}) {
+    const { file_path, edits } = input;
+
+    if (!Array.isArray(edits) || edits.length === 0) {
+      return {
+        type: 'error',
+        error: 'edits must contain at least one edit'
+      };
+    }
+
+    try {
+      const unread = checkFileRead(context, file_path);
+      if (unread) {
+        return {
+          type: 'error',
+          error: unread
+        };
+      }
+
+      const content = readFileSync(file_path, 'utf-8');
+
+      // Apply every edit in memory; keep going after a failure so all problems are reported at once
+      let newContent = content;
+      const report = [];
+      const notes = [];
+      let failed = 0;
+
+      edits.forEach((edit, index) => {
+        const result = applyEdit(newContent, edit);
+        if (result.error) {
+          failed++;
+          report.push(`Edit ${index + 1}: FAILED - ${result.error}`);
+        } else {
+          newContent = result.content;
+          report.push(`Edit ${index + 1}: ok${result.tier === 'exact' ? '' : ` (${MATCH_TIERS[result.tier]})`}`);
+          if (result.tier !== 'exact') notes.push(`Edit ${index + 1}: old_string ${MATCH_TIERS[result.tier]}.`);
+        }
+      });
+
+      if (failed > 0) {
+        return {
+          type: 'error',
+          error: `${failed} of ${edits.length} edits failed, so the file was not changed. ` +
+            'Later edits were checked against the file with the earlier successful edits applied.\n' +
+            report.join('\n')
+        };
+      }
+
+      // Show the change as a diff and let the user accept, reject or edit it
+      const review = await reviewFileChange(context, { tool: this.name, filePath: file_path, oldContent: content, newContent });
+      if (!review.approved) {
+        return {
+          type: 'error',
+          error: review.error
+        };
+      }
+
+      // Keep the previous content so the turn can be undone
+      snapshotFile(context, file_path);
+
+      writeFileSync(file_path, review.content, 'utf-8');
+      recordFileRead(context, file_path);
+
+      return {
+        type: 'text',
+        text: `File edited successfully: ${file_path} (${edits.length} edit${edits.length === 1 ? '' : 's'} applied)` +
+          notes.map(note => `\n${note}`).join('') +
+          (review.edited ? `\n${USER_EDITED_NOTE}` : '')
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        error: `Failed to edit file: ${error.message}`
+      };
+    }
+  }
+}
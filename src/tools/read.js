@@ -1,14 +1,93 @@
 /**
  * Read Tool
- * Read file contents
+ * Read file contents: text with line numbers, notebooks as cells, PDFs page by page
+ * and images as base64 blocks for vision models. Other binaries are refused.
  */
 
 import { readFileSync } from 'fs';
+import { config } from '../config.js';
+import { recordFileRead } from '../file-reads.js';
+import { detectFileType, formatSize, imageDimensions } from '../file-types.js';
+import { PdfDocument, parsePageRange } from '../pdf.js';
+
+/**
+ * Largest image sent to the model
+ */
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Pages read from a PDF when no page range is given
+ */
+const DEFAULT_PDF_PAGES = 20;
+
+/**
+ * Longest notebook cell output shown
+ */
+const MAX_NOTEBOOK_OUTPUT = 2000;
+
+/**
+ * Most images taken from a notebook's outputs
+ */
+const MAX_NOTEBOOK_IMAGES = 4;
+
+function imageBlock(mediaType, data) {
+  return { type: 'image', source: { type: 'base64', media_type: mediaType, data } };
+}
+
+function joinSource(source) {
+  return Array.isArray(source) ? source.join('') : String(source ?? '');
+}
+
+function truncateOutput(text) {
+  return text.length > MAX_NOTEBOOK_OUTPUT
+    ? `${text.slice(0, MAX_NOTEBOOK_OUTPUT)}\n... (${text.length - MAX_NOTEBOOK_OUTPUT} more characters)`
+    : text;
+}
+
+/**
+ * Render a notebook's cells and outputs as text, collecting image outputs
+ */
+function renderNotebook(notebook, filePath) {
+  const cells = Array.isArray(notebook.cells) ? notebook.cells : [];
+  const language = notebook.metadata?.kernelspec?.language || notebook.metadata?.language_info?.name || 'unknown language';
+  const parts = [`Jupyter notebook: ${filePath} (${language}, ${cells.length} cell${cells.length === 1 ? '' : 's'})`];
+  const images = [];
+
+  cells.forEach((cell, index) => {
+    const count = cell.cell_type === 'code' && cell.execution_count != null ? ` (execution count ${cell.execution_count})` : '';
+    parts.push(`\n--- Cell ${index + 1} [${cell.cell_type}]${count} ---\n${joinSource(cell.source)}`);
+
+    const outputs = [];
+    for (const output of cell.outputs || []) {
+      if (output.output_type === 'stream') {
+        outputs.push(truncateOutput(joinSource(output.text)));
+      } else if (output.output_type === 'error') {
+        const traceback = (output.traceback || []).join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+        outputs.push(truncateOutput(traceback || `${output.ename}: ${output.evalue}`));
+      } else if (output.data) {
+        const imageType = ['image/png', 'image/jpeg', 'image/gif'].find(type => output.data[type]);
+        if (imageType && images.length < MAX_NOTEBOOK_IMAGES) {
+          images.push(imageBlock(imageType, joinSource(output.data[imageType]).replace(/\s/g, '')));
+          outputs.push(`[${imageType} output, attached as image ${images.length}]`);
+        } else if (output.data['text/plain']) {
+          outputs.push(truncateOutput(joinSource(output.data['text/plain'])));
+        } else {
+          outputs.push(`[${Object.keys(output.data).join(', ')} output]`);
+        }
+      }
+    }
+    if (outputs.length > 0) {
+      parts.push(`Output:\n${outputs.join('\n')}`);
+    }
+  });
+
+  return { text: parts.join('\n'), images };
+}
 
 export class ReadTool {
   constructor() {
     this.name = 'Read';
-    this.description = 'Read the contents of a file';
+    this.description = 'Read a file. Text files come back with line numbers. Jupyter notebooks (.ipynb) are shown as cells with their outputs, PDFs as text page by page (use pages for long documents), and images (PNG, JPEG, GIF, WebP) are attached so vision models can see them. Other binary files are refused.';
     this.inputSchema = {
       type: 'object',
       properties: {
@@ -18,11 +97,15 @@ export class ReadTool {
         },
         offset: {
           type: 'number',
-          description: 'Line number to start reading from (optional)'
+          description: 'Line number to start reading from, as shown in the output (default: 1)'
         },
         limit: {
           type: 'number',
-          description: 'Number of lines to read (optional)'
+          description: `Number of lines to read (default: ${config.get('readLineLimit', 2000)})`
+        },
+        pages: {
+          type: 'string',
+          description: `PDF pages to read, e.g. "3" or "1-5" (default: the first ${DEFAULT_PDF_PAGES})`
         }
       },
       required: ['file_path']
@@ -30,29 +113,30 @@ export class ReadTool {
   }
 
   async execute(input, context = {}) {
-    const { file_path, offset = 0, limit } = input;
+    const { file_path } = input;
 
     try {
-      const content = readFileSync(file_path, 'utf-8');
-      const lines = content.split('\n');
-
-      // Apply offset and limit
-      let selectedLines = lines;
-      if (offset > 0 || limit) {
-        const start = offset;
-        const end = limit ? start + limit : lines.length;
-        selectedLines = lines.slice(start, end);
-      }
+      const fileType = detectFileType(file_path);
 
-      // Add line numbers (1-indexed)
-      const numbered = selectedLines
-        .map((line, idx) => `${offset + idx + 1}\t${line}`)
-        .join('\n');
+      if (fileType.kind === 'binary') {
+        return {
+          type: 'error',
+          error: `Cannot read binary file: ${file_path} (${fileType.description}, ${formatSize(fileType.size)}). ` +
+            'Read handles text, images, PDFs and Jupyter notebooks; use Bash with a suitable tool to inspect other formats.'
+        };
+      }
 
-      return {
-        type: 'text',
-        text: numbered
+      const readers = {
+        image: () => this.readImage(file_path, fileType),
+        pdf: () => this.readPdf(file_path, input.pages),
+        notebook: () => this.readNotebook(file_path),
+        text: () => this.readText(file_path, input)
       };
+      const result = readers[fileType.kind]();
+
+      // Edits check that the file was read and has not changed since
+      if (result.type !== 'error') recordFileRead(context, file_path);
+      return result;
     } catch (error) {
       return {
         type: 'error',
@@ -60,4 +144,115 @@ export class ReadTool {
       };
     }
   }
+
+  /**
+   * Numbered lines from offset (1-based), capped at readLineLimit with long lines cut off
+   */
+  readText(file_path, input) {
+    const lineLimit = config.get('readLineLimit', 2000);
+    const maxLineLength = config.get('readMaxLineLength', 2000);
+
+    const content = readFileSync(file_path, 'utf-8');
+    if (content === '') {
+      return { type: 'text', text: `(${file_path} is empty)` };
+    }
+
+    const lines = content.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    const start = Math.max(Math.floor(Number(input.offset)) || 1, 1);
+    if (start > lines.length) {
+      return {
+        type: 'error',
+        error: `offset ${start} is past the end of ${file_path}, which has ${lines.length} line${lines.length === 1 ? '' : 's'}`
+      };
+    }
+    const count = input.limit > 0 ? Math.floor(Number(input.limit)) : lineLimit;
+    const end = Math.min(start - 1 + count, lines.length);
+
+    // Add line numbers (1-indexed), cutting off minified or generated lines
+    const numbered = lines
+      .slice(start - 1, end)
+      .map((line, idx) => {
+        const text = line.endsWith('\r') ? line.slice(0, -1) : line;
+        const shown = text.length > maxLineLength
+          ? `${text.slice(0, maxLineLength)}... [line truncated, ${text.length - maxLineLength} more characters]`
+          : text;
+        return `${start + idx}\t${shown}`;
+      })
+      .join('\n');
+
+    const remaining = lines.length - end;
+    const footer = remaining > 0
+      ? `\n\n(Showing lines ${start}-${end} of ${lines.length}. ${remaining} more line${remaining === 1 ? '' : 's'}; continue with offset=${end + 1}.)`
+      : '';
+
+    return {
+      type: 'text',
+      text: numbered + footer
+    };
+  }
+
+  readImage(file_path, fileType) {
+    if (fileType.size > MAX_IMAGE_BYTES) {
+      return {
+        type: 'error',
+        error: `Image is too large to send: ${file_path} (${formatSize(fileType.size)}, limit ${formatSize(MAX_IMAGE_BYTES)}). Resize it first.`
+      };
+    }
+
+    const data = readFileSync(file_path);
+    const dimensions = imageDimensions(data, fileType.mediaType);
+    const details = [fileType.description, dimensions && `${dimensions.width}x${dimensions.height}`, formatSize(fileType.size)]
+      .filter(Boolean)
+      .join(', ');
+
+    return {
+      type: 'text',
+      text: `Image: ${file_path} (${details}). The image is attached; models without vision support only see this line.`,
+      images: [imageBlock(fileType.mediaType, data.toString('base64'))]
+    };
+  }
+
+  readPdf(file_path, pages) {
+    const pdf = new PdfDocument(readFileSync(file_path));
+    if (pdf.pageCount === 0) {
+      return { type: 'error', error: `No pages found in PDF: ${file_path}` };
+    }
+
+    const selected = pages
+      ? parsePageRange(pages, pdf.pageCount)
+      : parsePageRange(`1-${Math.min(DEFAULT_PDF_PAGES, pdf.pageCount)}`, pdf.pageCount);
+    if (selected.length === 0) {
+      return { type: 'error', error: `Page range "${pages}" is outside the document (${pdf.pageCount} pages)` };
+    }
+
+    const parts = [`PDF: ${file_path} (${pdf.pageCount} page${pdf.pageCount === 1 ? '' : 's'})`];
+    for (const page of selected) {
+      const text = pdf.getPageText(page);
+      parts.push(`\n--- Page ${page} ---\n${text || '[no extractable text; the page may be scanned or use fonts without a text mapping]'}`);
+    }
+
+    const last = selected[selected.length - 1];
+    if (!pages && last < pdf.pageCount) {
+      parts.push(`\n(Showing pages 1-${last} of ${pdf.pageCount}. Use pages: "${last + 1}-${Math.min(last + DEFAULT_PDF_PAGES, pdf.pageCount)}" to read more.)`);
+    }
+
+    return {
+      type: 'text',
+      text: parts.join('\n')
+    };
+  }
+
+  readNotebook(file_path) {
+    let notebook;
+    try {
+      notebook = JSON.parse(readFileSync(file_path, 'utf-8'));
+    } catch (error) {
+      return { type: 'error', error: `Invalid notebook JSON in ${file_path}: ${error.message}` };
+    }
+
+    const { text, images } = renderNotebook(notebook, file_path);
+    return images.length > 0 ? { type: 'text', text, images } : { type: 'text', text };
+  }
 }
@@ -1,18 +1,33 @@
 /**
  * WebSearch Tool
- * Search the web (placeholder - requires search API)
+ * Search the web through the configured provider (SearxNG or an HTTP JSON API)
  */
 
+import { createSearchProvider, resolveSearchSettings } from '../search-providers.js';
+
 export class WebSearchTool {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.settings - Overrides for the webSearch config (used by tests)
+   */
+  constructor(options = {}) {
+    this.settings = options.settings;
     this.name = 'WebSearch';
-    this.description = 'Search the web (requires configuration)';
+    this.description = 'Search the web and get a list of results with title, URL and snippet. Use it to find library documentation, API references and error messages; then use WebFetch to read a page.';
     this.inputSchema = {
       type: 'object',
       properties: {
         query: {
           type: 'string',
           description: 'The search query'
+        },
+        site: {
+          type: 'string',
+          description: 'Only return results from this domain, e.g. "docs.python.org" (optional)'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of results (optional)'
         }
       },
       required: ['query']
@@ -20,22 +35,62 @@ export class WebSearchTool {
   }
 
   async execute(input, context = {}) {
-    const { query } = input;
+    const { query, site } = input;
 
-    // This is a placeholder implementation
-    // In a real implementation, you would integrate with a search API like:
-    // - DuckDuckGo API
-    // - SearxNG
-    // - Google Custom Search
-    // - Bing Search API
+    if (!query || !query.trim()) {
+      return {
+        type: 'error',
+        error: 'query must not be empty'
+      };
+    }
 
-    return {
-      type: 'text',
-      text: `Web search is not configured. To enable web search, please configure a search API endpoint.
+    try {
+      const settings = resolveSearchSettings(this.settings);
+      const provider = createSearchProvider(settings);
+      if (!provider) {
+        return {
+          type: 'error',
+          error: 'Web search is not configured. Set webSearch.provider in config.json to "searxng" (with webSearch.endpoint) or "http" (with webSearch.url).'
+        };
+      }
 
-Query: ${query}
+      const limit = input.limit > 0 ? Math.floor(input.limit) : settings.maxResults;
+      const domain = site && site.replace(/^https?:\/\//, '').replace(/\/.*$/, '').toLowerCase();
+      let results = await provider.search(domain ? `${query} site:${domain}` : query, { limit });
 
-To implement web search, edit src/tools/web-search.js and add your preferred search API.`
-    };
+      // Not every engine honours site:, so check the hosts too
+      if (domain) {
+        results = results.filter(result => {
+          try {
+            const host = new URL(result.url).hostname.toLowerCase();
+            return host === domain || host.endsWith(`.${domain}`);
+          } catch {
+            return false;
+          }
+        });
+      }
+
+      if (results.length === 0) {
+        return {
+          type: 'text',
+          text: `No results found for "${query}"${domain ? ` on ${domain}` : ''}`
+        };
+      }
+
+      const lines = results.map((result, index) =>
+        `${index + 1}. ${result.title || result.url}\n   ${result.url}${result.snippet ? `\n   ${result.snippet}` : ''}`
+      );
+
+      return {
+        type: 'text',
+        text: `Search results for "${query}"${domain ? ` on ${domain}` : ''}:\n\n${lines.join('\n\n')}`
+      };
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? 'the search provider did not answer in time' : error.cause?.message || error.message;
+      return {
+        type: 'error',
+        error: `Web search failed: ${reason}`
+      };
+    }
   }
 }
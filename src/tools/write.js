@@ -3,8 +3,11 @@
  * Write content to a file
  */
 
-import { writeFileSync, mkdirSync } from 'fs';
+import { writeFileSync, mkdirSync, readFileSync, existsSync } from 'fs';
 import { dirname } from 'path';
+import { snapshotFile } from '../checkpoints.js';
+import { recordFileRead } from '../file-reads.js';
+import { reviewFileChange, USER_EDITED_NOTE } from './file-review.js';
 
 export class WriteTool {
   constructor() {
@@ -30,16 +33,30 @@ export class WriteTool {
     const { file_path, content } = input;
 
     try {
+      // Show the change as a diff and let the user accept, reject or edit it
+      const oldContent = existsSync(file_path) ? readFileSync(file_path, 'utf-8') : null;
+      const review = await reviewFileChange(context, { tool: this.name, filePath: file_path, oldContent, newContent: content });
+      if (!review.approved) {
+        return {
+          type: 'error',
+          error: review.error
+        };
+      }
+
       // Ensure directory exists
       const dir = dirname(file_path);
       mkdirSync(dir, { recursive: true });
 
+      // Keep the previous content so the turn can be undone
+      snapshotFile(context, file_path);
+
       // Write file
-      writeFileSync(file_path, content, 'utf-8');
+      writeFileSync(file_path, review.content, 'utf-8');
+      recordFileRead(context, file_path);
 
       return {
         type: 'text',
-        text: `File written successfully: ${file_path}`
+        text: `File written successfully: ${file_path}${review.edited ? `\n${USER_EDITED_NOTE}` : ''}`
       };
     } catch (error) {
       return {
@@ -41,7 +41,7 @@ export class WorkVerifier {
         verification.issues.push('Could not read file back');
       } else {
         // Check content matches (roughly)
-        const actualContent = result.text.replace(/^\d+→/gm, '').trim();
+        const actualContent = result.text.replace(/^\d+(?:→|\t)/gm, '').trim();
 
         if (expectedContent) {
           // Basic content verification
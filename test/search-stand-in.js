@@ -0,0 +1,130 @@
+/**
+ * Search stand-in server
+ * Answers like a SearxNG instance (/search?format=json) and like a generic JSON search
+ * API (/api/search) from a small fixed set of documentation pages, so WebSearch can be
+ * checked offline. Run `node test/search-stand-in.js [port]` to use it from the CLI.
+ */
+
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+
+/**
+ * Pages the stand-in knows about. Two entries repeat a page under another URL,
+ * the way engines often return the same result twice.
+ */
+export const STAND_IN_PAGES = [
+  {
+    title: 'requests: HTTP for Humans — Quickstart',
+    url: 'https://requests.readthedocs.io/en/latest/user/quickstart/',
+    content: 'Make a request with <b>requests.get</b> and read the response with r.json().'
+  },
+  {
+    title: 'Quickstart - requests',
+    url: 'https://requests.readthedocs.io/en/latest/user/quickstart?utm_source=feed#make-a-request',
+    content: 'Make a request with requests.get and read the response with r.json(), r.text or r.content.'
+  },
+  {
+    title: 'Developer Interface - requests',
+    url: 'https://requests.readthedocs.io/en/latest/api/',
+    content: 'requests.request(method, url, **kwargs) constructs and sends a Request.'
+  },
+  {
+    title: 'fs | Node.js Documentation',
+    url: 'https://nodejs.org/api/fs.html',
+    content: 'The node:fs module enables interacting with the file system, e.g. fs.readFileSync.'
+  },
+  {
+    title: 'File system (readFileSync) - Node.js',
+    url: 'http://www.nodejs.org/api/fs.html',
+    content: 'fs.readFileSync(path[, options]) returns the contents of the path.'
+  },
+  {
+    title: 'Array.prototype.flatMap() - JavaScript | MDN',
+    url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/flatMap',
+    content: 'The flatMap() method maps each element, then flattens the result into a new array.'
+  }
+];
+
+/**
+ * Pages matching every word of the query; site: restricts the host
+ */
+function findPages(query) {
+  const site = /(?:^|\s)site:(\S+)/.exec(query)?.[1];
+  const words = query.replace(/(?:^|\s)site:\S+/, '').toLowerCase().split(/\s+/).filter(Boolean);
+  return STAND_IN_PAGES.filter(page => {
+    const text = `${page.title} ${page.url} ${page.content}`.toLowerCase();
+    return words.every(word => text.includes(word)) && (!site || new URL(page.url).hostname.endsWith(site));
+  });
+}
+
+function sendJson(response, status, data) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(data));
+}
+
+/**
+ * Start the stand-in on a port (0 picks a free one).
+ * Resolves to { url, requests, close() }; requests records each request's method, path and body.
+ */
+export function startSearchStandIn(port = 0) {
+  const requests = [];
+
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const url = new URL(request.url, 'http://localhost');
+      requests.push({ method: request.method, path: url.pathname + url.search, body });
+
+      if (url.pathname === '/search') {
+        // SearxNG refuses formats that settings.yml does not enable
+        if (url.searchParams.get('format') !== 'json') {
+          response.writeHead(403);
+          response.end('Forbidden');
+          return;
+        }
+        const query = url.searchParams.get('q') || '';
+        sendJson(response, 200, {
+          query,
+          number_of_results: 0,
+          results: findPages(query).map(page => ({ ...page, engine: 'stand-in' }))
+        });
+      } else if (url.pathname === '/api/search') {
+        const params = request.method === 'POST' ? JSON.parse(body || '{}') : Object.fromEntries(url.searchParams);
+        const count = Number(params.count) || 10;
+        sendJson(response, 200, {
+          data: {
+            items: findPages(params.term || '').slice(0, count).map(page => ({
+              name: page.title,
+              link: page.url,
+              summary: { text: page.content }
+            }))
+          }
+        });
+      } else if (url.pathname === '/broken') {
+        response.writeHead(502, { 'Content-Type': 'text/html' });
+        response.end('<html>Bad Gateway</html>');
+      } else {
+        response.writeHead(404);
+        response.end('Not found');
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const standIn = await startSearchStandIn(Number(process.argv[2]) || 8888);
+  console.log(`Search stand-in listening on ${standIn.url}`);
+  console.log(`Add to config.json: "webSearch": { "provider": "searxng", "endpoint": "${standIn.url}" }`);
+}
@@ -0,0 +1,184 @@
+/**
+ * Tests for unified diff parsing and the ApplyPatch tool
+ */
+
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { parsePatch, applyHunks } from '../src/patch.js';
+import { ApplyPatchTool } from '../src/tools/apply-patch.js';
+import { PermissionManager } from '../src/permissions.js';
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing ApplyPatch...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'lc-apply-patch-'));
+
+  try {
+    // Test 1: Hunks apply when line numbers are off and whitespace differs
+    try {
+      const content = 'header\nextra\nextra\nfunction add(a, b) {\n    return a - b;\n}\n\nfunction sub(a, b) {\n  return a - b;\n}\n';
+      const [file] = parsePatch([
+        '--- a/math.js',
+        '+++ b/math.js',
+        '@@ -1,3 +1,3 @@',
+        ' function add(a, b) {',
+        '-  return a - b;',
+        '+  return a + b;',
+        ' }',
+        '@@ -5,3 +5,3 @@',
+        ' function sub(a, b) {',
+        '-  return a - b;',
+        '+  return a - b; // checked',
+        ' }'
+      ].join('\n'));
+      const { content: patched, results: hunks } = applyHunks(content, file.hunks);
+
+      if (patched === 'header\nextra\nextra\nfunction add(a, b) {\n  return a + b;\n}\n\nfunction sub(a, b) {\n  return a - b; // checked\n}\n' &&
+          hunks[0].ok && hunks[0].offset === 3 && hunks[0].loose &&
+          hunks[1].ok && hunks[1].offset === 3 && !hunks[1].loose) {
+        console.log('    ✅ Hunks apply with line offsets and whitespace differences');
+        results.passed.push({ test: 'Fuzzy offsets' });
+      } else {
+        throw new Error(`Unexpected result: ${JSON.stringify({ patched, hunks })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Fuzzy offsets test failed:', error.message);
+      results.failed.push({ test: 'Fuzzy offsets', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: A failing hunk is reported by number and nothing is written
+    try {
+      const file = join(dir, 'config.txt');
+      writeFileSync(file, 'a\nb\nc\nd\ne\nf\n');
+      const result = await new ApplyPatchTool().execute({
+        patch: [
+          '--- a/config.txt',
+          '+++ b/config.txt',
+          '@@ -1,2 +1,2 @@',
+          ' a',
+          '-b',
+          '+B',
+          '@@ -5,2 +5,2 @@',
+          ' x',
+          '-y',
+          '+Y'
+        ].join('\n')
+      }, { workingDirectory: dir });
+
+      if (result.type === 'error' && result.error.includes('1 of 2 hunks failed') &&
+          result.error.includes('Hunk 1 @@ -1,2 +1,2 @@: ok') &&
+          result.error.includes('Hunk 2 @@ -5,2 +5,2 @@: FAILED - context not found near line 5') &&
+          readFileSync(file, 'utf-8') === 'a\nb\nc\nd\ne\nf\n') {
+        console.log('    ✅ Failed hunks are reported and the file is left alone');
+        results.passed.push({ test: 'Failed hunk report' });
+      } else {
+        throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Failed hunk report test failed:', error.message);
+      results.failed.push({ test: 'Failed hunk report', error: error.message });
+    }
+    results.total++;
+
+    // Test 3: One patch creates, deletes, renames and modifies files
+    try {
+      writeFileSync(join(dir, 'old.txt'), 'remove me\n');
+      writeFileSync(join(dir, 'before.js'), 'const name = "before";\nexport default name;\n');
+      writeFileSync(join(dir, 'keep.txt'), 'one\ntwo\n');
+      const checkpoint = { snapshots: [], snapshot(path) { this.snapshots.push(path); } };
+
+      const result = await new ApplyPatchTool().execute({
+        patch: [
+          '```diff',
+          'diff --git a/new/file.txt b/new/file.txt',
+          'new file mode 100644',
+          '--- /dev/null',
+          '+++ b/new/file.txt',
+          '@@ -0,0 +1,2 @@',
+          '+hello',
+          '+world',
+          'diff --git a/old.txt b/old.txt',
+          'deleted file mode 100644',
+          '--- a/old.txt',
+          '+++ /dev/null',
+          '@@ -1 +0,0 @@',
+          '-remove me',
+          'diff --git a/before.js b/after.js',
+          'similarity index 50%',
+          'rename from before.js',
+          'rename to after.js',
+          '--- a/before.js',
+          '+++ b/after.js',
+          '@@ -1,2 +1,2 @@',
+          '-const name = "before";',
+          '+const name = "after";',
+          ' export default name;',
+          '--- keep.txt',
+          '+++ keep.txt',
+          '@@ -2 +2,2 @@',
+          ' two',
+          '+three',
+          '\\ No newline at end of file',
+          '```'
+        ].join('\n')
+      }, { workingDirectory: dir, checkpoint });
+
+      if (result.type === 'text' && result.text.includes('4 files changed') &&
+          readFileSync(join(dir, 'new', 'file.txt'), 'utf-8') === 'hello\nworld\n' &&
+          !existsSync(join(dir, 'old.txt')) &&
+          !existsSync(join(dir, 'before.js')) &&
+          readFileSync(join(dir, 'after.js'), 'utf-8') === 'const name = "after";\nexport default name;\n' &&
+          readFileSync(join(dir, 'keep.txt'), 'utf-8') === 'one\ntwo\nthree' &&
+          checkpoint.snapshots.includes(join(dir, 'old.txt')) &&
+          checkpoint.snapshots.includes(join(dir, 'before.js'))) {
+        console.log('    ✅ Patches create, delete, rename and modify files');
+        results.passed.push({ test: 'Create, delete, rename' });
+      } else {
+        throw new Error(`Unexpected result: ${JSON.stringify({ result, snapshots: checkpoint.snapshots })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Create, delete, rename test failed:', error.message);
+      results.failed.push({ test: 'Create, delete, rename', error: error.message });
+    }
+    results.total++;
+
+    // Test 4: Deny rules are checked against every file a patch touches
+    try {
+      const permissions = new PermissionManager({
+        allow: ['ApplyPatch(src/**)'],
+        deny: ['Edit(secrets/**)'],
+        workingDirectory: dir,
+        persist: false
+      });
+      const patch = paths => paths.map(path => `--- a/${path}\n+++ b/${path}\n@@ -1 +1 @@\n-a\n+b\n`).join('');
+
+      const allowed = await permissions.check('ApplyPatch', { patch: patch(['src/a.js', 'src/b.js']) });
+      const denied = await permissions.check('ApplyPatch', { patch: patch(['src/a.js', 'secrets/key']) });
+      const uncovered = await permissions.check('ApplyPatch', { patch: patch(['src/a.js', 'README.md']) });
+
+      if (allowed.allowed && !denied.allowed && denied.rule === 'Edit(secrets/**)' &&
+          !uncovered.allowed && uncovered.reason.includes('src/a.js, README.md')) {
+        console.log('    ✅ Patch permissions cover every touched file');
+        results.passed.push({ test: 'Patch permissions' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ allowed, denied, uncovered })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Patch permissions test failed:', error.message);
+      results.failed.push({ test: 'Patch permissions', error: error.message });
+    }
+    results.total++;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  return results;
+}
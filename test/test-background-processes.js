@@ -0,0 +1,199 @@
+/**
+ * Tests for background Bash processes
+ */
+
+import { BashTool } from '../src/tools/bash.js';
+import { BashOutputTool } from '../src/tools/bash-output.js';
+import { BashStatusTool } from '../src/tools/bash-status.js';
+import { KillBashTool } from '../src/tools/kill-bash.js';
+import { spawn } from 'child_process';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { cleanupBackgroundProcesses, listBackgroundProcesses } from '../src/background-processes.js';
+
+/**
+ * Whether a process id is still running; a killed child of a parent that exited can
+ * stay a zombie when nothing reaps it, which counts as gone
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+  try {
+    return !/^\d+ \(.*\) Z/.test(readFileSync(`/proc/${pid}/stat`, 'utf-8'));
+  } catch {
+    return true;
+  }
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing background processes...');
+
+  const context = { session: { id: 'test-background' } };
+  const otherContext = { session: { id: 'test-background-other' } };
+
+  try {
+    // Test 1: Start, poll new output and see the exit status
+    try {
+      const started = await new BashTool().execute({
+        command: 'echo first; sleep 0.3; echo second; exit 4',
+        run_in_background: true
+      }, context);
+      const id = started.bashId;
+
+      await wait(100);
+      const early = await new BashOutputTool().execute({ bash_id: id }, context);
+      await wait(600);
+      const late = await new BashOutputTool().execute({ bash_id: id }, context);
+      const hidden = await new BashOutputTool().execute({ bash_id: id }, otherContext);
+
+      if (id && early.text.includes('running') && early.text.split('\n\n')[1] === 'first\n' &&
+          late.text.includes('exited (code 4)') && late.text.split('\n\n')[1] === 'second\n' &&
+          hidden.type === 'error') {
+        console.log('    ✅ Background output polled incrementally');
+        results.passed.push({ test: 'Background output' });
+      } else {
+        throw new Error(`Unexpected output: ${JSON.stringify({ started, early, late, hidden })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Background output test failed:', error.message);
+      results.failed.push({ test: 'Background output', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: Status, kill and session cleanup
+    try {
+      const { bashId } = await new BashTool().execute({ command: 'sleep 30', run_in_background: true }, context);
+      const { bashId: leftover } = await new BashTool().execute({ command: 'sleep 30', run_in_background: true }, context);
+
+      const status = await new BashStatusTool().execute({}, context);
+      const killed = await new KillBashTool().execute({ bash_id: bashId }, context);
+      await wait(100);
+      const after = await new BashStatusTool().execute({ bash_id: bashId }, context);
+
+      const entry = listBackgroundProcesses('test-background').find(process => process.id === leftover);
+      cleanupBackgroundProcesses('test-background');
+      await wait(100);
+
+      if (status.text.includes(`${bashId} [running`) && killed.text.includes(`Killed ${bashId}`) &&
+          after.text.includes('killed') && entry.status === 'killed' &&
+          listBackgroundProcesses('test-background').length === 0) {
+        console.log('    ✅ Background processes killed and cleaned up');
+        results.passed.push({ test: 'Background kill and cleanup' });
+      } else {
+        throw new Error(`Unexpected status: ${JSON.stringify({ status, killed, after, entry: entry?.status })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Background kill test failed:', error.message);
+      results.failed.push({ test: 'Background kill and cleanup', error: error.message });
+    }
+    results.total++;
+
+    // Test 3: A CLI killed by SIGTERM takes its background processes with it
+    let orphan = null;
+    try {
+      const moduleUrl = new URL('../src/background-processes.js', import.meta.url).href;
+      const script = `
+        const { startBackgroundProcess } = await import(${JSON.stringify(moduleUrl)});
+        const entry = startBackgroundProcess('sleep 30');
+        console.log(entry.pid);
+        setInterval(() => {}, 1000);
+      `;
+      const parent = spawn(process.execPath, ['--input-type=module', '-e', script], {
+        cwd: fileURLToPath(new URL('..', import.meta.url)),
+        stdio: ['ignore', 'pipe', 'inherit']
+      });
+      orphan = await new Promise((resolve, reject) => {
+        parent.stdout.once('data', data => resolve(Number(String(data).trim())));
+        parent.once('exit', () => reject(new Error('parent exited before starting the process')));
+      });
+
+      parent.kill('SIGTERM');
+      const signal = await new Promise(resolve => parent.once('exit', (code, exitSignal) => resolve(exitSignal)));
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      if (signal === 'SIGTERM' && !isRunning(orphan)) {
+        console.log('    ✅ Background processes die with the CLI on SIGTERM');
+        results.passed.push({ test: 'Signal cleanup' });
+      } else {
+        throw new Error(`Parent ended by ${signal}; background process ${isRunning(orphan) ? 'still running' : 'gone'}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Signal cleanup test failed:', error.message);
+      results.failed.push({ test: 'Signal cleanup', error: error.message });
+    } finally {
+      if (orphan && isRunning(orphan)) process.kill(-orphan, 'SIGKILL');
+    }
+    results.total++;
+
+    // Test 4: A timed-out command that ignores SIGTERM is killed after the grace period
+    let stubborn = null;
+    try {
+      const started = Date.now();
+      const result = await new BashTool().execute(
+        { command: 'trap "" TERM; sleep 30 & echo $!; wait', timeout: 300 },
+        { ...context, persistentShell: false }
+      );
+      stubborn = Number(result.text.match(/^(\d+)$/m)?.[1]) || null;
+      await wait(100);
+
+      if (result.text.includes('timed out after 300ms') && Date.now() - started < 5000 &&
+          stubborn && !isRunning(stubborn)) {
+        console.log('    ✅ Timed-out commands are killed even when they ignore SIGTERM');
+        results.passed.push({ test: 'Timeout kill' });
+      } else {
+        throw new Error(`Unexpected result after ${Date.now() - started}ms: ${JSON.stringify(result)}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Timeout kill test failed:', error.message);
+      results.failed.push({ test: 'Timeout kill', error: error.message });
+    } finally {
+      if (stubborn && isRunning(stubborn)) process.kill(stubborn, 'SIGKILL');
+    }
+    results.total++;
+
+    // Test 5: Killing a command that already exited still stops what it left running
+    let helper = null;
+    try {
+      const { bashId } = await new BashTool().execute(
+        { command: 'sleep 30 > /dev/null 2>&1 & echo $!', run_in_background: true },
+        context
+      );
+      for (let i = 0; i < 50 && listBackgroundProcesses('test-background').find(e => e.id === bashId).status === 'running'; i++) {
+        await wait(50);
+      }
+      const output = await new BashOutputTool().execute({ bash_id: bashId }, context);
+      helper = Number(output.text.match(/^(\d+)$/m)?.[1]) || null;
+
+      const killed = await new KillBashTool().execute({ bash_id: bashId }, context);
+      await wait(100);
+
+      if (helper && killed.text.includes('already stopped') && !isRunning(helper)) {
+        console.log('    ✅ Processes left behind by an exited command are killed');
+        results.passed.push({ test: 'Leftover group kill' });
+      } else {
+        throw new Error(`Unexpected: helper ${helper} ${helper && isRunning(helper) ? 'still running' : 'gone'}, ${killed.text}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Leftover group kill test failed:', error.message);
+      results.failed.push({ test: 'Leftover group kill', error: error.message });
+    } finally {
+      if (helper && isRunning(helper)) process.kill(helper, 'SIGKILL');
+    }
+    results.total++;
+  } finally {
+    cleanupBackgroundProcesses('test-background');
+  }
+
+  return results;
+}
@@ -0,0 +1,170 @@
+/**
+ * Tests for file checkpoints (undo/restore)
+ */
+
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { CheckpointStore } from '../src/checkpoints.js';
+import { WriteTool } from '../src/tools/write.js';
+import { EditTool } from '../src/tools/edit.js';
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing checkpoints...');
+
+  const root = mkdtempSync(join(tmpdir(), 'lc-checkpoints-'));
+  const store = new CheckpointStore(join(root, '.checkpoints'));
+  const project = join(root, 'project');
+  const existing = join(project, 'app.js');
+  const created = join(project, 'new', 'util.js');
+
+  try {
+    // Test 1: Undo a turn made with Write and Edit, outside any git repository
+    try {
+      await new WriteTool().execute({ file_path: existing, content: 'const a = 1;\n' });
+
+      const checkpoint = store.create({ kind: 'turn', label: 'add util', sessionId: 's1' });
+      const context = { checkpoint };
+      await new EditTool().execute({ file_path: existing, old_string: '1', new_string: '2' }, context);
+      await new EditTool().execute({ file_path: existing, old_string: '2', new_string: '3' }, context);
+      await new WriteTool().execute({ file_path: created, content: 'export {};\n' }, context);
+
+      const listed = store.list();
+      const undone = store.undo();
+
+      if (listed.length === 1 && listed[0].files.length === 2 &&
+          undone.checkpoint.id === checkpoint.id &&
+          readFileSync(existing, 'utf-8') === 'const a = 1;\n' && !existsSync(created) &&
+          store.undo() === null) {
+        console.log('    ✅ Undo restores edited files and removes created ones');
+        results.passed.push({ test: 'Undo turn' });
+      } else {
+        throw new Error(`Unexpected state: ${JSON.stringify({ listed, undone, content: readFileSync(existing, 'utf-8') })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Undo test failed:', error.message);
+      results.failed.push({ test: 'Undo turn', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: Restoring an older checkpoint also rolls back the ones after it
+    try {
+      writeFileSync(existing, 'v1');
+      const first = store.create({ kind: 'pipeline', label: 'first run' });
+      first.snapshot(existing);
+      writeFileSync(existing, 'v2');
+
+      const second = store.create({ kind: 'turn', label: 'second turn' });
+      second.snapshot(existing);
+      writeFileSync(existing, 'v3');
+
+      // A checkpoint with no changes is never saved
+      store.create({ kind: 'turn', label: 'read only' });
+
+      const rolledBack = store.restore(first.id);
+
+      if (rolledBack.map(item => item.checkpoint.id).join() === `${second.id},${first.id}` &&
+          readFileSync(existing, 'utf-8') === 'v1' &&
+          store.list().every(checkpoint => checkpoint.restoredAt) &&
+          store.restore(first.id).length === 0) {
+        console.log('    ✅ Restore rolls back later checkpoints first');
+        results.passed.push({ test: 'Restore checkpoint' });
+      } else {
+        throw new Error(`Unexpected rollback: ${JSON.stringify(rolledBack)}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Restore test failed:', error.message);
+      results.failed.push({ test: 'Restore checkpoint', error: error.message });
+    }
+    results.total++;
+
+    // Test 3: Old checkpoints are pruned past the limit
+    try {
+      for (let i = 0; i < 3; i++) {
+        store.create({ label: `turn ${i}` }).snapshot(existing);
+      }
+      store.prune(2);
+
+      if (store.list().length === 2) {
+        console.log('    ✅ Old checkpoints pruned');
+        results.passed.push({ test: 'Prune checkpoints' });
+      } else {
+        throw new Error(`Expected 2 checkpoints, found ${store.list().length}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Prune test failed:', error.message);
+      results.failed.push({ test: 'Prune checkpoints', error: error.message });
+    }
+    results.total++;
+
+    // Test 4: Rollbacks stay in their project and refuse to overwrite later changes
+    try {
+      const scoped = new CheckpointStore(join(root, '.scoped-checkpoints'));
+      const projectA = join(root, 'a');
+      const projectB = join(root, 'b');
+      const fileA = join(projectA, 'a.txt');
+      const fileB = join(projectB, 'b.txt');
+      await new WriteTool().execute({ file_path: fileA, content: 'a0' });
+      await new WriteTool().execute({ file_path: fileB, content: 'b0' });
+
+      const turn = (workingDirectory, path, content) => {
+        const checkpoint = scoped.create({ workingDirectory });
+        checkpoint.snapshot(path);
+        writeFileSync(path, content);
+        checkpoint.finish();
+        return checkpoint;
+      };
+      const refusal = run => {
+        try {
+          run();
+          return null;
+        } catch (error) {
+          return error.changedFiles || error.message;
+        }
+      };
+
+      const first = turn(projectA, fileA, 'a1');
+      turn(projectB, fileB, 'b1');
+      const undoneA = scoped.undo({ workingDirectory: projectA });
+
+      turn(projectA, fileA, 'a2');
+      writeFileSync(fileA, 'edited by hand');
+      const editedAfter = refusal(() => scoped.undo({ workingDirectory: projectA }));
+      const keptEdit = readFileSync(fileA, 'utf-8');
+      const forced = scoped.undo({ workingDirectory: projectA, force: true });
+      const afterForce = readFileSync(fileA, 'utf-8');
+
+      // A change between two turns blocks rolling back across both, and nothing is touched
+      turn(projectA, fileA, 'a3');
+      writeFileSync(fileA, 'between turns');
+      turn(projectA, fileA, 'a4');
+      const older = scoped.list({ workingDirectory: projectA }).filter(checkpoint => !checkpoint.restoredAt)[0];
+      const acrossTurns = refusal(() => scoped.restore(older.id, { workingDirectory: projectA }));
+
+      if (undoneA.checkpoint.id === first.id && readFileSync(fileB, 'utf-8') === 'b1' &&
+          editedAfter?.[0] === fileA && keptEdit === 'edited by hand' &&
+          forced && afterForce === 'a0' &&
+          acrossTurns?.[0] === fileA && readFileSync(fileA, 'utf-8') === 'a4' &&
+          scoped.list({ workingDirectory: projectB }).length === 1) {
+        console.log('    ✅ Rollbacks are scoped to the project and keep later changes');
+        results.passed.push({ test: 'Scoped rollback' });
+      } else {
+        throw new Error(`Unexpected state: ${JSON.stringify({ undoneA: undoneA?.checkpoint.id, editedAfter, keptEdit, acrossTurns, a: readFileSync(fileA, 'utf-8') })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Scoped rollback test failed:', error.message);
+      results.failed.push({ test: 'Scoped rollback', error: error.message });
+    }
+    results.total++;
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+
+  return results;
+}
@@ -0,0 +1,151 @@
+/**
+ * Tests for diff previews and the Write/Edit review step
+ */
+
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createUnifiedDiff, diffStats } from '../src/diff.js';
+import { WriteTool } from '../src/tools/write.js';
+import { EditTool } from '../src/tools/edit.js';
+import { PermissionManager } from '../src/permissions.js';
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing diff preview and review...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'lc-diff-review-'));
+
+  try {
+    // Test 1: Unified diff with context lines and hunk headers
+    try {
+      const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+      const after = 'a\nb\nC\nd\ne\nf\ng\nh\ni\nj\nk';
+      const diff = createUnifiedDiff(before, after, { path: 'src/app.js' });
+      const expected = [
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -1,6 +1,6 @@',
+        ' a',
+        ' b',
+        '-c',
+        '+C',
+        ' d',
+        ' e',
+        ' f',
+        '@@ -8,3 +8,4 @@',
+        ' h',
+        ' i',
+        ' j',
+        '+k',
+        '\\ No newline at end of file',
+        ''
+      ].join('\n');
+
+      const stats = diffStats(diff);
+      if (diff === expected && stats.added === 2 && stats.removed === 1 &&
+          createUnifiedDiff(before, before) === '' &&
+          createUnifiedDiff(null, 'x\n', { path: 'new.js' }).startsWith('--- /dev/null\n+++ b/new.js\n@@ -0,0 +1,1 @@')) {
+        console.log('    ✅ Unified diff has context lines and hunk headers');
+        results.passed.push({ test: 'Unified diff' });
+      } else {
+        throw new Error(`Unexpected diff:\n${diff}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Unified diff test failed:', error.message);
+      results.failed.push({ test: 'Unified diff', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: A rejected edit leaves the file alone and returns the reason as an error
+    try {
+      const file = join(dir, 'reject.txt');
+      writeFileSync(file, 'hello world\n');
+      let reviewed = null;
+
+      const result = await new EditTool().execute(
+        { file_path: file, old_string: 'world', new_string: 'there' },
+        {
+          workingDirectory: dir,
+          reviewEdit: async request => {
+            reviewed = request;
+            return { action: 'reject', reason: 'keep the greeting' };
+          }
+        }
+      );
+
+      if (result.type === 'error' && result.error.includes('keep the greeting') &&
+          readFileSync(file, 'utf-8') === 'hello world\n' &&
+          reviewed.tool === 'Edit' && reviewed.diff.includes('-hello world\n+hello there') &&
+          reviewed.diff.startsWith('--- a/reject.txt')) {
+        console.log('    ✅ Rejected edit returns the reason and keeps the file');
+        results.passed.push({ test: 'Reject edit' });
+      } else {
+        throw new Error(`Unexpected result: ${JSON.stringify({ result, reviewed })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Reject edit test failed:', error.message);
+      results.failed.push({ test: 'Reject edit', error: error.message });
+    }
+    results.total++;
+
+    // Test 3: Edit-instead writes the user's version; no reviewer writes straight away
+    try {
+      const file = join(dir, 'edited.txt');
+      const edited = await new WriteTool().execute(
+        { file_path: file, content: 'proposed\n' },
+        { reviewEdit: async () => ({ action: 'edit', content: 'mine\n' }) }
+      );
+      const direct = join(dir, 'direct.txt');
+      await new WriteTool().execute({ file_path: direct, content: 'direct\n' });
+
+      if (readFileSync(file, 'utf-8') === 'mine\n' && edited.text.includes('The user edited') &&
+          existsSync(direct) && readFileSync(direct, 'utf-8') === 'direct\n') {
+        console.log('    ✅ Edit-instead writes the user\'s version');
+        results.passed.push({ test: 'Edit instead' });
+      } else {
+        throw new Error(`Unexpected result: ${JSON.stringify(edited)}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Edit-instead test failed:', error.message);
+      results.failed.push({ test: 'Edit instead', error: error.message });
+    }
+    results.total++;
+
+    // Test 4: With a diff review, file edits skip the permission prompt but deny rules still apply
+    try {
+      let asked = 0;
+      const permissions = new PermissionManager({
+        deny: ['Write(secrets/**)'],
+        workingDirectory: dir,
+        askPermission: async () => { asked++; return 'no'; },
+        reviewsEdits: true,
+        persist: false
+      });
+
+      const edit = await permissions.check('Edit', { file_path: join(dir, 'a.js') });
+      const denied = await permissions.check('Write', { file_path: join(dir, 'secrets', 'key') });
+      const bash = await permissions.check('Bash', { command: 'ls' });
+
+      if (edit.allowed && !denied.allowed && !bash.allowed && asked === 1) {
+        console.log('    ✅ Diff review replaces the permission prompt for edits');
+        results.passed.push({ test: 'Review permissions' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ edit, denied, bash, asked })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Review permissions test failed:', error.message);
+      results.failed.push({ test: 'Review permissions', error: error.message });
+    }
+    results.total++;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  return results;
+}
@@ -0,0 +1,115 @@
+/**
+ * Tests for whitespace- and indentation-tolerant Edit matching
+ */
+
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { applyEdit, EditTool } from '../src/tools/edit.js';
+import { MultiEditTool } from '../src/tools/multi-edit.js';
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing Edit matching tiers...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'lc-edit-matching-'));
+
+  try {
+    // Test 1: CRLF files and trailing whitespace match, keeping the file's line endings
+    try {
+      const crlf = applyEdit('one\r\ntwo\r\nthree\r\n', { old_string: 'one\ntwo\n', new_string: 'ONE\nTWO\n' });
+      const trailing = applyEdit('let a = 1;  \nlet b = 2;\t\n', { old_string: 'let a = 1;\nlet b = 2;', new_string: 'let a = 10;\nlet b = 20;' });
+      const exact = applyEdit('let a = 1;\n', { old_string: 'a = 1', new_string: 'a = 2' });
+
+      if (crlf.tier === 'lineEndings' && crlf.content === 'ONE\r\nTWO\r\nthree\r\n' &&
+          trailing.tier === 'trimmed' && trailing.content === 'let a = 10;\nlet b = 20;\n' &&
+          exact.tier === 'exact' && exact.content === 'let a = 2;\n') {
+        console.log('    ✅ Line endings and trailing whitespace are tolerated');
+        results.passed.push({ test: 'Line endings and trailing whitespace' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ crlf, trailing, exact })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Line endings and trailing whitespace test failed:', error.message);
+      results.failed.push({ test: 'Line endings and trailing whitespace', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: Space-indented old_string matches a tab-indented file and the replacement uses tabs
+    try {
+      const file = join(dir, 'tabs.js');
+      writeFileSync(file, 'class A {\n\tget() {\n\t\treturn 1;\n\t}\n}\n');
+
+      const result = await new EditTool().execute({
+        file_path: file,
+        old_string: 'get() {\n  return 1;\n}',
+        new_string: 'get() {\n  if (this.ready) {\n    return 2;\n  }\n  return 1;\n}'
+      });
+
+      const content = readFileSync(file, 'utf-8');
+      if (result.type === 'text' && result.text.includes('ignoring indentation') &&
+          content === 'class A {\n\tget() {\n\t\tif (this.ready) {\n\t\t\treturn 2;\n\t\t}\n\t\treturn 1;\n\t}\n}\n') {
+        console.log('    ✅ Indentation-relative match keeps the file\'s indentation');
+        results.passed.push({ test: 'Indentation-relative match' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ result, content })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Indentation-relative match test failed:', error.message);
+      results.failed.push({ test: 'Indentation-relative match', error: error.message });
+    }
+    results.total++;
+
+    // Test 3: No match shows the closest region; fuzzy matches still have to be unique
+    try {
+      const missing = applyEdit('function add(a, b) {\n  return a + b;\n}\n', {
+        old_string: 'function add(x, y) {\n  return x + y;\n}',
+        new_string: ''
+      });
+      const ambiguous = applyEdit('\tvalue();\n\n  value();\n', { old_string: 'value();  ', new_string: 'other();' });
+
+      if (missing.error.includes('closest match is lines 1-3') && missing.error.includes('     2\t  return a + b;') &&
+          ambiguous.error.includes('appears 2 times in the file (matched ignoring indentation')) {
+        console.log('    ✅ Failures show the closest candidate');
+        results.passed.push({ test: 'Closest candidate' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ missing, ambiguous })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Closest candidate test failed:', error.message);
+      results.failed.push({ test: 'Closest candidate', error: error.message });
+    }
+    results.total++;
+
+    // Test 4: An empty old_string is refused instead of matching everywhere
+    try {
+      const file = join(dir, 'empty-old.txt');
+      writeFileSync(file, 'keep me\n');
+      const direct = applyEdit('keep me\n', { old_string: '', new_string: 'x', replace_all: true });
+      const viaTool = await new EditTool().execute({ file_path: file, old_string: '', new_string: 'x' });
+      const viaMulti = await new MultiEditTool().execute({ file_path: file, edits: [{ old_string: '', new_string: 'x' }] });
+
+      if (direct.error.startsWith('old_string must not be empty') &&
+          viaTool.type === 'error' && viaMulti.type === 'error' && viaMulti.error.includes('Edit 1: FAILED - old_string must not be empty') &&
+          readFileSync(file, 'utf-8') === 'keep me\n') {
+        console.log('    ✅ Empty old_string is refused');
+        results.passed.push({ test: 'Empty old_string' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ direct, viaTool, viaMulti })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Empty old_string test failed:', error.message);
+      results.failed.push({ test: 'Empty old_string', error: error.message });
+    }
+    results.total++;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  return results;
+}
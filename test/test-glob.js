@@ -0,0 +1,110 @@
+/**
+ * Tests for the Glob tool: ordering, limits, ignore files, hidden files and directories
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, utimesSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { GlobTool } from '../src/tools/glob.js';
+
+function write(dir, path, content = '') {
+  mkdirSync(join(dir, path, '..'), { recursive: true });
+  writeFileSync(join(dir, path), content);
+}
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing Glob tool...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'lc-glob-'));
+  const tool = new GlobTool();
+  const context = { workingDirectory: dir };
+
+  try {
+    write(dir, '.gitignore', 'dist/\n');
+    write(dir, '.lccoderignore', '*.generated.js\n');
+    write(dir, 'src/app.js');
+    write(dir, 'src/util.js');
+    write(dir, 'src/lib/old.js');
+    write(dir, 'src/schema.generated.js');
+    write(dir, 'dist/bundle.js');
+    write(dir, 'node_modules/pkg/index.js');
+    write(dir, '.github/workflows/ci.js');
+    write(dir, '.eslintrc.js');
+
+    const day = 24 * 60 * 60;
+    const now = Date.now() / 1000;
+    utimesSync(join(dir, 'src/lib/old.js'), now - 3 * day, now - 3 * day);
+    utimesSync(join(dir, 'src/app.js'), now - 2 * day, now - 2 * day);
+    utimesSync(join(dir, 'src/util.js'), now - day, now - day);
+
+    // Test 1: Most recently modified first, with a notice when results are cut off
+    try {
+      const all = await tool.execute({ pattern: '**/*.js' }, context);
+      const limited = await tool.execute({ pattern: '**/*.js', limit: 2 }, context);
+      const byPath = await tool.execute({ pattern: 'src/**/*.js', sort: 'path' }, context);
+
+      if (all.text === 'src/util.js\nsrc/app.js\nsrc/lib/old.js' &&
+          limited.text === 'src/util.js\nsrc/app.js\n\n(1 more match not shown. Narrow the pattern or path, or raise limit.)' &&
+          byPath.text === 'src/app.js\nsrc/lib/old.js\nsrc/util.js') {
+        console.log('    ✅ Results sorted by modification time and limited');
+        results.passed.push({ test: 'Sort and limit' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ all, limited, byPath })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Sort and limit test failed:', error.message);
+      results.failed.push({ test: 'Sort and limit', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: Ignore files, hidden files and node_modules
+    try {
+      const hidden = await tool.execute({ pattern: '**/*.js', include_hidden: true, sort: 'path' }, context);
+      const named = await tool.execute({ pattern: '.github/**/*.js' }, context);
+      const modules = await tool.execute({ pattern: 'node_modules/**/*.js' }, context);
+
+      if (hidden.text === '.eslintrc.js\n.github/workflows/ci.js\nsrc/app.js\nsrc/lib/old.js\nsrc/util.js' &&
+          named.text === '.github/workflows/ci.js' &&
+          modules.text === 'node_modules/pkg/index.js') {
+        console.log('    ✅ .gitignore, .lccoderignore and hidden files respected');
+        results.passed.push({ test: 'Ignore files' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ hidden, named, modules })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Ignore files test failed:', error.message);
+      results.failed.push({ test: 'Ignore files', error: error.message });
+    }
+    results.total++;
+
+    // Test 3: Directories on request, and absolute patterns
+    try {
+      const dirs = await tool.execute({ pattern: 'src/*', include_directories: true, sort: 'path' }, context);
+      const absolute = await tool.execute({ pattern: join(dir, 'src/lib/*.js') });
+      const none = await tool.execute({ pattern: '**/*.py' }, context);
+
+      if (dirs.text === 'src/app.js\nsrc/lib/\nsrc/util.js' &&
+          absolute.text === join(dir, 'src/lib/old.js') &&
+          none.text === 'No files found') {
+        console.log('    ✅ Directories and absolute patterns');
+        results.passed.push({ test: 'Directories' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ dirs, absolute, none })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Directories test failed:', error.message);
+      results.failed.push({ test: 'Directories', error: error.message });
+    }
+    results.total++;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  return results;
+}
@@ -0,0 +1,133 @@
+/**
+ * Tests for the Grep tool engines and file walking
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { GrepTool, detectGrepEngine } from '../src/tools/grep.js';
+import { IgnoreRules, createGlobFilter } from '../src/ignore.js';
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing Grep tool...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'lc-grep-'));
+  const context = { workingDirectory: dir };
+
+  mkdirSync(join(dir, 'src', 'lib'), { recursive: true });
+  mkdirSync(join(dir, 'build'));
+  writeFileSync(join(dir, '.gitignore'), 'build/\n*.log\n');
+  writeFileSync(join(dir, 'src', 'app.js'), 'const cmd = "a; touch pwned";\nfoo();\nbar();\nbaz();\nqux();\nfoo(end);\n');
+  writeFileSync(join(dir, 'src', 'lib', 'util.ts'), 'export function foo() {}\n');
+  writeFileSync(join(dir, 'build', 'app.js'), 'foo();\n');
+  writeFileSync(join(dir, 'debug.log'), 'foo\n');
+
+  // The detected engine and the built-in one must give the same output
+  const engines = [...new Set([detectGrepEngine(), 'js'])];
+
+  try {
+    // Test 1: Shell metacharacters in the pattern are searched for, never run
+    try {
+      const outputs = [];
+      for (const engine of engines) {
+        const result = await new GrepTool({ engine }).execute(
+          { pattern: '"a; touch pwned"', output_mode: 'content', '-n': true },
+          context
+        );
+        outputs.push(result.text);
+      }
+
+      if (outputs.every(text => text === 'src/app.js:1:const cmd = "a; touch pwned";') && !existsSync(join(dir, 'pwned'))) {
+        console.log(`    ✅ Patterns are passed as arguments (${engines.join(', ')})`);
+        results.passed.push({ test: 'No shell injection' });
+      } else {
+        throw new Error(`Unexpected output: ${JSON.stringify(outputs)}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Shell injection test failed:', error.message);
+      results.failed.push({ test: 'No shell injection', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: .gitignore, glob and type filters, and context lines
+    try {
+      const expectedContext = [
+        'src/app.js-1-const cmd = "a; touch pwned";',
+        'src/app.js:2:foo();',
+        'src/app.js-3-bar();',
+        '--',
+        'src/app.js-5-qux();',
+        'src/app.js:6:foo(end);'
+      ].join('\n');
+
+      for (const engine of engines) {
+        const tool = new GrepTool({ engine });
+        const files = await tool.execute({ pattern: 'foo' }, context);
+        const globbed = await tool.execute({ pattern: 'foo', glob: '**/*.ts' }, context);
+        const typed = await tool.execute({ pattern: 'foo', type: 'js', output_mode: 'count' }, context);
+        const withContext = await tool.execute({ pattern: 'foo', path: 'src/app.js', output_mode: 'content', '-n': true, '-C': 1 }, context);
+
+        if (files.text !== 'src/app.js\nsrc/lib/util.ts' || globbed.text !== 'src/lib/util.ts' ||
+            typed.text !== 'src/app.js:2' || withContext.text !== expectedContext) {
+          throw new Error(`${engine}: ${JSON.stringify({ files, globbed, typed, withContext })}`);
+        }
+      }
+
+      console.log('    ✅ Filters, .gitignore and context lines work');
+      results.passed.push({ test: 'Filters and context' });
+    } catch (error) {
+      console.log('    ❌ Filters and context test failed:', error.message);
+      results.failed.push({ test: 'Filters and context', error: error.message });
+    }
+    results.total++;
+
+    // Test 3: Multiline patterns and head_limit/offset paging
+    try {
+      const tool = new GrepTool({ engine: 'js' });
+      const multiline = await tool.execute({ pattern: 'bar\\(\\);\\nbaz', output_mode: 'content', multiline: true }, context);
+      const page = await tool.execute({ pattern: '\\(', output_mode: 'content', head_limit: 2, offset: 1 }, context);
+
+      if (multiline.text === 'src/app.js:bar();\nsrc/app.js:baz();' &&
+          page.text === 'src/app.js:bar();\nsrc/app.js:baz();\n\n(Showing 2-3 of 6. Use offset=3 to see more.)') {
+        console.log('    ✅ Multiline search and paging work');
+        results.passed.push({ test: 'Multiline and paging' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ multiline, page })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Multiline and paging test failed:', error.message);
+      results.failed.push({ test: 'Multiline and paging', error: error.message });
+    }
+    results.total++;
+
+    // Test 4: Ignore rules and glob filters
+    try {
+      const rules = new IgnoreRules().add('*.log\n/dist\nlogs/\n!keep.log\n').add('secret.txt', 'config');
+      const filter = createGlobFilter('src/**/*.{js,ts}');
+
+      if (rules.ignores('a/b/debug.log') && !rules.ignores('keep.log') && rules.ignores('dist', true) &&
+          !rules.ignores('src/dist', true) && rules.ignores('src/logs', true) && !rules.ignores('logs', false) &&
+          rules.ignores('config/secret.txt') && !rules.ignores('secret.txt') &&
+          filter('src/a/b.ts') && filter('src/b.js') && !filter('lib/b.js') && createGlobFilter('*.md')('docs/x.md')) {
+        console.log('    ✅ Ignore rules and globs match like git and ripgrep');
+        results.passed.push({ test: 'Ignore rules' });
+      } else {
+        throw new Error('Unexpected ignore or glob result');
+      }
+    } catch (error) {
+      console.log('    ❌ Ignore rules test failed:', error.message);
+      results.failed.push({ test: 'Ignore rules', error: error.message });
+    }
+    results.total++;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  return results;
+}
@@ -0,0 +1,86 @@
+/**
+ * Tests for the MultiEdit tool
+ */
+
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { MultiEditTool } from '../src/tools/multi-edit.js';
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing MultiEdit tool...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'lc-multi-edit-'));
+  const tool = new MultiEditTool();
+
+  try {
+    // Test 1: Edits apply in order, each to the previous result; "$&" stays literal
+    try {
+      const file = join(dir, 'ok.js');
+      writeFileSync(file, 'const a = 1;\nconst b = a + 1;\nconsole.log(a, b);\n');
+
+      const result = await tool.execute({
+        file_path: file,
+        edits: [
+          { old_string: 'const a = 1;', new_string: 'const count = 1;' },
+          { old_string: 'a', new_string: 'count', replace_all: true },
+          { old_string: 'count + 1', new_string: '$& * 2' }
+        ]
+      });
+
+      const content = readFileSync(file, 'utf-8');
+      if (result.type === 'text' && result.text.includes('3 edits applied') &&
+          content === 'const count = 1;\nconst b = $& * 2;\nconsole.log(count, b);\n') {
+        console.log('    ✅ Edits applied in order');
+        results.passed.push({ test: 'MultiEdit in order' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ result, content })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ MultiEdit order test failed:', error.message);
+      results.failed.push({ test: 'MultiEdit in order', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: One failing edit leaves the file untouched and every edit is reported
+    try {
+      const file = join(dir, 'fail.js');
+      const original = 'let x = 1;\nlet y = 1;\n';
+      writeFileSync(file, original);
+
+      const result = await tool.execute({
+        file_path: file,
+        edits: [
+          { old_string: 'let x', new_string: 'const x' },
+          { old_string: 'missing', new_string: 'anything' },
+          { old_string: '= 1', new_string: '= 2' }
+        ]
+      });
+
+      if (result.type === 'error' && readFileSync(file, 'utf-8') === original &&
+          result.error.includes('2 of 3 edits failed') &&
+          result.error.includes('Edit 1: ok') &&
+          result.error.includes('Edit 2: FAILED - The old_string was not found') &&
+          result.error.includes('Edit 3: FAILED - The old_string appears 2 times')) {
+        console.log('    ✅ Failed edits reported; file unchanged');
+        results.passed.push({ test: 'MultiEdit all or nothing' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify(result)}`);
+      }
+    } catch (error) {
+      console.log('    ❌ MultiEdit all-or-nothing test failed:', error.message);
+      results.failed.push({ test: 'MultiEdit all or nothing', error: error.message });
+    }
+    results.total++;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  return results;
+}
@@ -3,6 +3,25 @@
  */
 
 import { OllamaClient } from '../src/ollama-client.js';
+import { ToolCallAssembler } from '../src/tool-call-assembler.js';
+
+/**
+ * Build a fake fetch response that streams the given NDJSON chunks
+ */
+function mockStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    body: new ReadableStream({
+      start(controller) {
+        for (const chunk of chunks) {
+          controller.enqueue(encoder.encode(JSON.stringify(chunk) + '\n'));
+        }
+        controller.close();
+      }
+    })
+  };
+}
 
 export async function runTests() {
   const results = {
@@ -136,5 +155,143 @@ export async function runTests() {
   }
   results.total++;
 
+  // Test 6: Tool calls spread across chunks are all assembled in order
+  const originalFetch = globalThis.fetch;
+  try {
+    globalThis.fetch = async () => mockStreamResponse([
+      { message: { role: 'assistant', content: '', tool_calls: [
+        { function: { name: 'Glob', arguments: { pattern: '**/*.js' } } }
+      ] }, done: false },
+      { message: { role: 'assistant', content: '', tool_calls: [
+        { function: { name: 'Read', arguments: { file_path: '/tmp/a.js' } } },
+        { function: { name: 'Grep', arguments: { pattern: 'foo' } } }
+      ] }, done: false },
+      { message: { role: 'assistant', content: '' }, done: true, eval_count: 3 }
+    ]);
+
+    const assembler = new ToolCallAssembler();
+    const eventTypes = [];
+    for await (const event of client.streamChat([{ role: 'user', content: 'hi' }])) {
+      eventTypes.push(event.type);
+      assembler.handle(event);
+    }
+
+    const toolCalls = assembler.getToolCalls();
+    const ids = new Set(toolCalls.map(call => call.id));
+
+    if (toolCalls.length === 3 &&
+        toolCalls.map(call => call.name).join(',') === 'Glob,Read,Grep' &&
+        toolCalls[1].input.file_path === '/tmp/a.js' &&
+        ids.size === 3 &&
+        eventTypes.filter(type => type === 'content_block_stop').length === 3 &&
+        eventTypes[eventTypes.length - 1] === 'message_stop') {
+      console.log('    ✅ Multi-chunk tool call assembly works');
+      results.passed.push({ test: 'Multi-chunk tool call assembly' });
+    } else {
+      throw new Error(`Unexpected tool calls: ${JSON.stringify(toolCalls)}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Multi-chunk tool call test failed:', error.message);
+    results.failed.push({ test: 'Multi-chunk tool call assembly', error: error.message });
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+  results.total++;
+
+  // Test 7: Model profile options merge into the request, per-call options win
+  try {
+    const profiledClient = new OllamaClient({
+      model: 'qwen3:32b',
+      modelProfiles: {
+        default: { keep_alive: '5m', top_k: 40 },
+        'qwen3:32b': { num_ctx: 40960, seed: 7, stop: ['</done>'] }
+      }
+    });
+
+    const body = profiledClient.buildRequestBody([{ role: 'user', content: 'hi' }], {
+      temperature: 0.2,
+      options: { seed: 42 },
+      keep_alive: '1h'
+    }, true);
+
+    // Profile temperature and num_predict beat the client defaults, explicit options beat both
+    const tuned = new OllamaClient({
+      temperature: 0.7,
+      maxTokens: 32000,
+      modelProfiles: { 'qwen3:32b': { temperature: 0.1, num_predict: 2048 } }
+    });
+    const fromProfile = tuned.buildRequestBody([], { model: 'qwen3:32b' }, false).options;
+    const explicit = tuned.buildRequestBody([], { model: 'qwen3:32b', temperature: 0.5, max_tokens: 512 }, false).options;
+    const fallback = tuned.buildRequestBody([], { model: 'other' }, false).options;
+
+    if (fromProfile.temperature === 0.1 && fromProfile.num_predict === 2048 &&
+        explicit.temperature === 0.5 && explicit.num_predict === 512 &&
+        fallback.temperature === 0.7 && fallback.num_predict === 32000 &&
+        body.options.num_ctx === 40960 &&
+        body.options.top_k === 40 &&
+        body.options.seed === 42 &&
+        body.options.stop[0] === '</done>' &&
+        body.options.temperature === 0.2 &&
+        body.options.keep_alive === undefined &&
+        body.keep_alive === '1h') {
+      console.log('    ✅ Model profile options work');
+      results.passed.push({ test: 'Model profile options' });
+    } else {
+      throw new Error(`Unexpected request body: ${JSON.stringify({ body: body.options, fromProfile, explicit, fallback })}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Model profile test failed:', error.message);
+    results.failed.push({ test: 'Model profile options', error: error.message });
+  }
+  results.total++;
+
+  // Test 8: Thinking chunks become thinking_delta events
+  try {
+    const thinkingOnly = client.convertStreamEvent({
+      message: { role: 'assistant', content: '', thinking: 'Let me check the file' },
+      done: false
+    });
+
+    const originalFetch = globalThis.fetch;
+    const events = [];
+    try {
+      globalThis.fetch = async () => mockStreamResponse([
+        { message: { role: 'assistant', content: 'Done', thinking: 'almost' }, done: false },
+        {
+          message: {
+            role: 'assistant',
+            content: '',
+            thinking: 'read it first',
+            tool_calls: [{ function: { name: 'Read', arguments: { file_path: 'a.js' } } }]
+          },
+          done: false
+        },
+        { message: { role: 'assistant', content: '' }, done: true }
+      ]);
+      for await (const event of client.streamChat([{ role: 'user', content: 'hi' }])) {
+        events.push(event);
+      }
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+
+    if (thinkingOnly.type === 'content_block_delta' &&
+        thinkingOnly.delta.type === 'thinking_delta' &&
+        thinkingOnly.delta.thinking === 'Let me check the file' &&
+        events[0].delta?.thinking === 'almost' &&
+        events[1].delta?.text === 'Done' &&
+        events[2].delta?.thinking === 'read it first' &&
+        events[3].type === 'content_block_start' && events[3].content_block?.name === 'Read') {
+      console.log('    ✅ Thinking stream conversion works');
+      results.passed.push({ test: 'Thinking stream conversion' });
+    } else {
+      throw new Error(`Unexpected events: ${JSON.stringify(events)}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Thinking stream test failed:', error.message);
+    results.failed.push({ test: 'Thinking stream conversion', error: error.message });
+  }
+  results.total++;
+
   return results;
 }
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Tests for OpenAI-compatible client and provider selection
+ */
+
+import { OpenAICompatibleClient } from '../src/openai-client.js';
+import { OllamaClient } from '../src/ollama-client.js';
+import { createClient } from '../src/providers.js';
+import { ToolCallAssembler } from '../src/tool-call-assembler.js';
+
+/**
+ * Build a fake fetch response that streams the given SSE payloads
+ */
+function mockSSEResponse(payloads) {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    body: new ReadableStream({
+      start(controller) {
+        for (const payload of payloads) {
+          const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+          controller.enqueue(encoder.encode(`data: ${data}\n\n`));
+        }
+        controller.close();
+      }
+    })
+  };
+}
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing OpenAI-compatible client...');
+
+  const client = new OpenAICompatibleClient({
+    endpoint: 'http://localhost:8080/',
+    model: 'local-model'
+  });
+
+  // Test 1: Provider selection
+  try {
+    const ollama = createClient({ provider: 'ollama' });
+    const openai = createClient({ provider: 'openai', model: 'qwen2.5-coder' });
+
+    if (ollama instanceof OllamaClient &&
+        openai instanceof OpenAICompatibleClient &&
+        openai.model === 'qwen2.5-coder') {
+      console.log('    ✅ Provider selection works');
+      results.passed.push({ test: 'Provider selection' });
+    } else {
+      throw new Error('Wrong client created for provider');
+    }
+  } catch (error) {
+    console.log('    ❌ Provider selection test failed:', error.message);
+    results.failed.push({ test: 'Provider selection', error: error.message });
+  }
+  results.total++;
+
+  // Test 2: Response conversion
+  try {
+    const converted = client.convertResponse({
+      id: 'chatcmpl-1',
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: 'Looking...',
+          tool_calls: [{
+            id: 'call_1',
+            type: 'function',
+            function: { name: 'Read', arguments: '{"file_path":"/tmp/x.js"}' }
+          }]
+        },
+        finish_reason: 'tool_calls'
+      }],
+      usage: { prompt_tokens: 12, completion_tokens: 5 }
+    });
+
+    if (converted.content.length === 2 &&
+        converted.content[1].type === 'tool_use' &&
+        converted.content[1].input.file_path === '/tmp/x.js' &&
+        converted.stop_reason === 'tool_use' &&
+        converted.usage.input_tokens === 12) {
+      console.log('    ✅ Response conversion works');
+      results.passed.push({ test: 'OpenAI response conversion' });
+    } else {
+      throw new Error('Response conversion failed');
+    }
+  } catch (error) {
+    console.log('    ❌ Response conversion test failed:', error.message);
+    results.failed.push({ test: 'OpenAI response conversion', error: error.message });
+  }
+  results.total++;
+
+  // Test 3: Streamed text and fragmented tool call arguments
+  const originalFetch = globalThis.fetch;
+  try {
+    let requestedUrl = null;
+    globalThis.fetch = async (url) => {
+      requestedUrl = url;
+      return mockSSEResponse([
+        { choices: [{ delta: { content: 'Hi' } }] },
+        { choices: [{ delta: { tool_calls: [
+          { index: 0, id: 'call_a', function: { name: 'Glob', arguments: '{"patt' } }
+        ] } }] },
+        { choices: [{ delta: { tool_calls: [
+          { index: 0, function: { arguments: 'ern":"*.js"}' } },
+          { index: 1, id: 'call_b', function: { name: 'Grep', arguments: '{"pattern":"x"}' } }
+        ] } }] },
+        { choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+        { choices: [], usage: { prompt_tokens: 7, completion_tokens: 3 } },
+        '[DONE]'
+      ]);
+    };
+
+    const assembler = new ToolCallAssembler();
+    let text = '';
+    let stop = null;
+    for await (const event of client.streamChat([{ role: 'user', content: 'hi' }])) {
+      if (event.type === 'content_block_delta' && event.delta?.text) text += event.delta.text;
+      if (event.type === 'message_stop') stop = event;
+      assembler.handle(event);
+    }
+
+    const toolCalls = assembler.getToolCalls();
+    if (requestedUrl === 'http://localhost:8080/v1/chat/completions' &&
+        text === 'Hi' &&
+        toolCalls.length === 2 &&
+        toolCalls[0].id === 'call_a' &&
+        toolCalls[0].input.pattern === '*.js' &&
+        toolCalls[1].name === 'Grep' &&
+        stop.usage.output_tokens === 3) {
+      console.log('    ✅ Stream conversion works');
+      results.passed.push({ test: 'OpenAI stream conversion' });
+    } else {
+      throw new Error(`Unexpected stream result: ${JSON.stringify(toolCalls)}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Stream conversion test failed:', error.message);
+    results.failed.push({ test: 'OpenAI stream conversion', error: error.message });
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+  results.total++;
+
+  // Test 4: Profile temperature and num_predict apply unless the call sets them
+  try {
+    const tuned = new OpenAICompatibleClient({
+      model: 'local-model',
+      temperature: 0.7,
+      maxTokens: 32000,
+      modelProfiles: { 'local-model': { temperature: 0.1, num_predict: 2048, top_p: 0.9 } }
+    });
+    const fromProfile = tuned.buildRequestBody([], {}, false);
+    const explicit = tuned.buildRequestBody([], { temperature: 0.5, max_tokens: 512 }, false);
+    const fallback = tuned.buildRequestBody([], { model: 'other' }, false);
+
+    if (fromProfile.temperature === 0.1 && fromProfile.max_tokens === 2048 && fromProfile.top_p === 0.9 &&
+        explicit.temperature === 0.5 && explicit.max_tokens === 512 &&
+        fallback.temperature === 0.7 && fallback.max_tokens === 32000 && !('num_predict' in fromProfile)) {
+      console.log('    ✅ Model profile sampling settings apply');
+      results.passed.push({ test: 'OpenAI model profile' });
+    } else {
+      throw new Error(`Unexpected request bodies: ${JSON.stringify({ fromProfile, explicit, fallback })}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Model profile test failed:', error.message);
+    results.failed.push({ test: 'OpenAI model profile', error: error.message });
+  }
+  results.total++;
+
+  return results;
+}
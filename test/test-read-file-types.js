@@ -0,0 +1,187 @@
+/**
+ * Tests for Read tool file types: binaries, notebooks, PDFs and images
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { deflateSync } from 'zlib';
+import { ReadTool } from '../src/tools/read.js';
+import { OllamaClient } from '../src/ollama-client.js';
+import { OpenAICompatibleClient } from '../src/openai-client.js';
+
+/**
+ * Build a small PDF whose pages share one font; odd pages are Flate-compressed
+ */
+function makePdf(pages) {
+  const objects = [];
+  const add = body => objects.push(body);
+  add('<< /Type /Catalog /Pages 2 0 R >>');
+  add(null);
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  const kids = pages.map((content, index) => {
+    const compressed = index % 2 === 0;
+    const data = compressed ? deflateSync(Buffer.from(content, 'latin1')) : Buffer.from(content, 'latin1');
+    add(`<< /Length ${data.length}${compressed ? ' /Filter /FlateDecode' : ''} >>\nstream\n${data.toString('latin1')}\nendstream`);
+    add(`<< /Type /Page /Parent 2 0 R /Contents ${objects.length} 0 R >>`);
+    return `${objects.length} 0 R`;
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} /Resources << /Font << /F1 3 0 R >> >> >>`;
+
+  let pdf = '%PDF-1.4\n';
+  objects.forEach((body, index) => { pdf += `${index + 1} 0 obj\n${body}\nendobj\n`; });
+  pdf += `trailer\n<< /Root 1 0 R /Size ${objects.length + 1} >>\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing Read file types...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'lc-read-types-'));
+  const tool = new ReadTool();
+
+  try {
+    // Test 1: Binary files are refused with their type and size
+    try {
+      const file = join(dir, 'program');
+      writeFileSync(file, Buffer.concat([Buffer.from([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1, 0]), Buffer.alloc(2040)]));
+      const blob = join(dir, 'data.bin');
+      writeFileSync(blob, Buffer.from([1, 2, 0, 3, 4]));
+
+      const elf = await tool.execute({ file_path: file });
+      const unknown = await tool.execute({ file_path: blob });
+
+      if (elf.type === 'error' && elf.error.includes('ELF executable, 2.0 KB') &&
+          unknown.type === 'error' && unknown.error.includes('binary bin file, 5 B')) {
+        console.log('    ✅ Binary files are refused with type and size');
+        results.passed.push({ test: 'Binary refusal' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ elf, unknown })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Binary refusal test failed:', error.message);
+      results.failed.push({ test: 'Binary refusal', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: Notebooks render as cells with outputs; image outputs are attached
+    try {
+      const file = join(dir, 'analysis.ipynb');
+      writeFileSync(file, JSON.stringify({
+        metadata: { kernelspec: { language: 'python' } },
+        cells: [
+          { cell_type: 'markdown', source: ['# Sales\n', 'Monthly totals'] },
+          {
+            cell_type: 'code',
+            execution_count: 2,
+            source: 'print(total)\nplot()',
+            outputs: [
+              { output_type: 'stream', name: 'stdout', text: ['42\n'] },
+              { output_type: 'display_data', data: { 'image/png': 'iVBORw0KGgo=\n', 'text/plain': ['<Figure>'] } },
+              { output_type: 'error', ename: 'ValueError', evalue: 'bad', traceback: ['\x1b[31mValueError\x1b[0m: bad'] }
+            ]
+          }
+        ]
+      }));
+
+      const result = await tool.execute({ file_path: file });
+      const expected = [
+        `Jupyter notebook: ${file} (python, 2 cells)`,
+        '',
+        '--- Cell 1 [markdown] ---',
+        '# Sales',
+        'Monthly totals',
+        '',
+        '--- Cell 2 [code] (execution count 2) ---',
+        'print(total)',
+        'plot()',
+        'Output:',
+        '42',
+        '',
+        '[image/png output, attached as image 1]',
+        'ValueError: bad'
+      ].join('\n');
+
+      if (result.type === 'text' && result.text === expected &&
+          result.images.length === 1 && result.images[0].source.data === 'iVBORw0KGgo=') {
+        console.log('    ✅ Notebooks render as cells with outputs');
+        results.passed.push({ test: 'Notebook' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify(result)}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Notebook test failed:', error.message);
+      results.failed.push({ test: 'Notebook', error: error.message });
+    }
+    results.total++;
+
+    // Test 3: PDFs are read page by page
+    try {
+      const file = join(dir, 'report.pdf');
+      writeFileSync(file, makePdf([
+        'BT /F1 12 Tf 72 720 Td (Quarterly \\(draft\\) report) Tj 0 -14 Td (Revenue rose) Tj ET',
+        'BT /F1 12 Tf 72 720 Td [(Page) -300 (two)] TJ T* (caf\\351 \\223quoted\\224) Tj ET',
+        'BT /F1 12 Tf 72 720 Td (Appendix) Tj ET'
+      ]));
+
+      const all = await tool.execute({ file_path: file });
+      const second = await tool.execute({ file_path: file, pages: '2' });
+
+      if (all.type === 'text' && all.text.startsWith(`PDF: ${file} (3 pages)`) &&
+          all.text.includes('--- Page 1 ---\nQuarterly (draft) report\nRevenue rose') &&
+          all.text.includes('--- Page 3 ---\nAppendix') &&
+          second.text === `PDF: ${file} (3 pages)\n\n--- Page 2 ---\nPage two\ncafé “quoted”`) {
+        console.log('    ✅ PDFs are read page by page');
+        results.passed.push({ test: 'PDF' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ all, second })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ PDF test failed:', error.message);
+      results.failed.push({ test: 'PDF', error: error.message });
+    }
+    results.total++;
+
+    // Test 4: Images become base64 blocks that both clients pass to vision models
+    try {
+      const png = Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]),
+        Buffer.from([0, 0, 0, 3, 0, 0, 0, 2, 8, 6, 0, 0, 0])
+      ]);
+      const file = join(dir, 'pixel.png');
+      writeFileSync(file, png);
+
+      const result = await tool.execute({ file_path: file });
+      const message = { role: 'user', content: [{ type: 'text', text: 'Tool Read completed.' }, ...result.images] };
+      const ollama = new OllamaClient().convertMessages([message])[0];
+      const openai = new OpenAICompatibleClient().convertMessages([message])[0];
+
+      if (result.text.includes('PNG image, 3x2, 29 B') &&
+          result.images[0].source.media_type === 'image/png' &&
+          result.images[0].source.data === png.toString('base64') &&
+          ollama.content === 'Tool Read completed.' && ollama.images[0] === png.toString('base64') &&
+          openai.content[0].text === 'Tool Read completed.' &&
+          openai.content[1].image_url.url === `data:image/png;base64,${png.toString('base64')}`) {
+        console.log('    ✅ Images are sent as base64 blocks');
+        results.passed.push({ test: 'Image' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ result, ollama, openai })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Image test failed:', error.message);
+      results.failed.push({ test: 'Image', error: error.message });
+    }
+    results.total++;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  return results;
+}
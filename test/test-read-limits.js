@@ -0,0 +1,109 @@
+/**
+ * Tests for Read line caps, long-line truncation and read-before-edit checks
+ */
+
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ReadTool } from '../src/tools/read.js';
+import { EditTool } from '../src/tools/edit.js';
+import { MultiEditTool } from '../src/tools/multi-edit.js';
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing Read limits...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'lc-read-limits-'));
+  const read = new ReadTool();
+
+  try {
+    // Test 1: Long files stop at the line cap with a footer giving the next offset
+    try {
+      const file = join(dir, 'long.txt');
+      writeFileSync(file, Array.from({ length: 2500 }, (_, i) => `line ${i + 1}`).join('\n') + '\n');
+
+      const first = await read.execute({ file_path: file });
+      const next = await read.execute({ file_path: file, offset: 2001, limit: 3 });
+      const last = await read.execute({ file_path: file, offset: 2499 });
+      const past = await read.execute({ file_path: file, offset: 2501 });
+      const firstLines = first.text.split('\n');
+
+      if (firstLines[0] === '1\tline 1' && firstLines[1999] === '2000\tline 2000' &&
+          first.text.endsWith('\n\n(Showing lines 1-2000 of 2500. 500 more lines; continue with offset=2001.)') &&
+          next.text === '2001\tline 2001\n2002\tline 2002\n2003\tline 2003\n\n' +
+            '(Showing lines 2001-2003 of 2500. 497 more lines; continue with offset=2004.)' &&
+          last.text === '2499\tline 2499\n2500\tline 2500' &&
+          past.type === 'error' && past.error.includes('which has 2500 lines')) {
+        console.log('    ✅ Line cap and footer use 1-based offsets');
+        results.passed.push({ test: 'Line cap' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ next, last, past })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Line cap test failed:', error.message);
+      results.failed.push({ test: 'Line cap', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: Very long lines are cut off with the number of characters hidden
+    try {
+      const file = join(dir, 'bundle.min.js');
+      writeFileSync(file, `var a=1;\r\n${'x'.repeat(2500)}\r\n`);
+
+      const result = await read.execute({ file_path: file });
+
+      if (result.text === `1\tvar a=1;\n2\t${'x'.repeat(2000)}... [line truncated, 500 more characters]`) {
+        console.log('    ✅ Long lines are truncated');
+        results.passed.push({ test: 'Long lines' });
+      } else {
+        throw new Error(`Unexpected: ${result.text.slice(0, 100)}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Long lines test failed:', error.message);
+      results.failed.push({ test: 'Long lines', error: error.message });
+    }
+    results.total++;
+
+    // Test 3: Edits need a fresh read of the file in the same session
+    try {
+      const file = join(dir, 'app.js');
+      writeFileSync(file, 'const port = 3000;\n');
+      const context = { session: { id: `test-read-limits-${Date.now()}` } };
+      const edit = new EditTool();
+      const multiEdit = new MultiEditTool();
+
+      const unread = await edit.execute({ file_path: file, old_string: '3000', new_string: '4000' }, context);
+      await read.execute({ file_path: file }, context);
+      const first = await edit.execute({ file_path: file, old_string: '3000', new_string: '4000' }, context);
+      // The tool's own write counts as seen
+      const second = await multiEdit.execute({ file_path: file, edits: [{ old_string: '4000', new_string: '5000' }] }, context);
+      writeFileSync(file, 'const port = 8080;\n');
+      const stale = await edit.execute({ file_path: file, old_string: '8080', new_string: '9090' }, context);
+      // Without a session (SDK helpers) nothing is checked
+      const sessionless = await edit.execute({ file_path: file, old_string: '8080', new_string: '9090' });
+
+      if (unread.type === 'error' && unread.error.includes('have not read') &&
+          first.type === 'text' && second.type === 'text' &&
+          stale.type === 'error' && stale.error.includes('has changed since you last read it') &&
+          sessionless.type === 'text' && readFileSync(file, 'utf-8') === 'const port = 9090;\n') {
+        console.log('    ✅ Edits require a fresh read');
+        results.passed.push({ test: 'Read before edit' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ unread, first, second, stale, sessionless })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Read before edit test failed:', error.message);
+      results.failed.push({ test: 'Read before edit', error: error.message });
+    }
+    results.total++;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  return results;
+}
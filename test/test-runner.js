@@ -23,6 +23,26 @@ async function runTests() {
     './test-config.js',
     './test-session.js',
     './test-ollama-client.js',
+    './test-openai-client.js',
+    './test-context-manager.js',
+    './test-tool-call-parser.js',
+    './test-input-validator.js',
+    './test-tool-scheduler.js',
+    './test-permissions.js',
+    './test-sandbox.js',
+    './test-shell-session.js',
+    './test-background-processes.js',
+    './test-tool-progress.js',
+    './test-checkpoints.js',
+    './test-diff-review.js',
+    './test-edit-matching.js',
+    './test-grep.js',
+    './test-glob.js',
+    './test-read-file-types.js',
+    './test-read-limits.js',
+    './test-web-search.js',
+    './test-multi-edit.js',
+    './test-apply-patch.js',
     './test-tools.js',
     './test-platform-detection.js'
   ];
@@ -77,13 +77,16 @@ export async function runTests() {
     const session = new Session();
     testSessionId = session.id;
     session.addMessage({ role: 'user', content: 'Test save/load' });
+    session.addMessage({ role: 'user', content: 'Tool result for Read:\nok', toolResult: true });
     session.save();
 
     const sessionPath = config.getSessionPath(session.id);
     if (existsSync(sessionPath)) {
       const loadedSession = Session.load(session.id);
-      if (loadedSession.messages.length === 1 &&
-          loadedSession.messages[0].content === 'Test save/load') {
+      const history = loadedSession.getMessages();
+      if (loadedSession.messages.length === 2 &&
+          loadedSession.messages[0].content === 'Test save/load' &&
+          history[1].toolResult === true && !('toolResult' in history[0]) && !('timestamp' in history[1])) {
         console.log('    ✅ Session save/load works');
         results.passed.push({ test: 'Session save/load' });
       } else {
@@ -131,5 +134,30 @@ export async function runTests() {
   }
   results.total++;
 
+  // Test 6: Open continues a saved session or starts one under the given id
+  let openedPath = null;
+  try {
+    const id = `test-open-${Date.now()}`;
+    openedPath = config.getSessionPath(id);
+    const fresh = Session.open(id);
+    fresh.addMessage({ role: 'user', content: 'first turn' });
+    fresh.save();
+    const continued = Session.open(id);
+
+    if (fresh.id === id && continued.id === id &&
+        continued.messages.length === 1 && continued.messages[0].content === 'first turn') {
+      console.log('    ✅ Session open works');
+      results.passed.push({ test: 'Session open' });
+    } else {
+      throw new Error(`Unexpected session: ${JSON.stringify(continued.messages)}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Session open test failed:', error.message);
+    results.failed.push({ test: 'Session open', error: error.message });
+  } finally {
+    if (openedPath && existsSync(openedPath)) unlinkSync(openedPath);
+  }
+  results.total++;
+
   return results;
 }
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Tests for the persistent shell session
+ */
+
+import { ShellSession } from '../src/shell-session.js';
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing persistent shell session...');
+
+  const shell = new ShellSession({ cwd: process.cwd() });
+
+  try {
+    // Test 1: cwd, exports and functions carry over; output is framed per command
+    try {
+      await shell.run('cd /tmp && export LC_CODER_TEST=kept && greet() { echo "hi $1"; }');
+      const state = await shell.run('pwd; echo $LC_CODER_TEST; greet there; printf "partial"');
+      const failed = await shell.run('echo oops >&2; false');
+
+      if (state.stdout === '/tmp\nkept\nhi there\npartial' && state.exitCode === 0 &&
+          failed.stderr.trim() === 'oops' && failed.exitCode === 1) {
+        console.log('    ✅ Shell state persists between commands');
+        results.passed.push({ test: 'Shell state persists' });
+      } else {
+        throw new Error(`Unexpected output: ${JSON.stringify({ state, failed })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Shell state test failed:', error.message);
+      results.failed.push({ test: 'Shell state persists', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: A timeout kills only the running command; reset starts a fresh shell
+    try {
+      const started = Date.now();
+      const slow = await shell.run('sleep 20', { timeout: 300 });
+      const elapsed = Date.now() - started;
+      const after = await shell.run('echo $LC_CODER_TEST');
+
+      shell.reset();
+      const fresh = await shell.run('echo "${LC_CODER_TEST:-unset}"');
+
+      if (slow.timedOut && !slow.restarted && elapsed < 5000 &&
+          after.stdout.trim() === 'kept' && fresh.stdout.trim() === 'unset') {
+        console.log('    ✅ Timeout kills only the running command');
+        results.passed.push({ test: 'Timeout and reset' });
+      } else {
+        throw new Error(`Unexpected results: ${JSON.stringify({ slow, elapsed, after, fresh })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Timeout and reset test failed:', error.message);
+      results.failed.push({ test: 'Timeout and reset', error: error.message });
+    }
+    results.total++;
+  } finally {
+    shell.stop();
+  }
+
+  return results;
+}
@@ -0,0 +1,133 @@
+/**
+ * Tests for streaming tool output (tool_progress)
+ */
+
+import { BashTool } from '../src/tools/bash.js';
+import { ShellSession } from '../src/shell-session.js';
+import { withProgress, reportToolProgress } from '../src/tool-scheduler.js';
+import { ProgressRegion } from '../src/progress-region.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing tool progress streaming...');
+
+  // Test 1: Progress is yielded while the work runs, then its value
+  try {
+    const items = [];
+    for await (const item of withProgress(async emit => {
+      const report = reportToolProgress({ id: 'call_1', name: 'Bash', input: { command: 'x' } }, emit);
+      report('stdout', 'a');
+      await wait(20);
+      report('stderr', 'b');
+      return 'result';
+    })) {
+      items.push(item);
+    }
+
+    if (items.length === 3 &&
+        items[0].type === 'progress' && items[0].event.type === 'tool_progress' &&
+        items[0].event.toolUseId === 'call_1' && items[0].event.data === 'a' &&
+        items[1].event.stream === 'stderr' &&
+        items[2].type === 'done' && items[2].value === 'result') {
+      console.log('    ✅ withProgress yields events before the result');
+      results.passed.push({ test: 'withProgress ordering' });
+    } else {
+      throw new Error(`Unexpected items: ${JSON.stringify(items)}`);
+    }
+  } catch (error) {
+    console.log('    ❌ withProgress test failed:', error.message);
+    results.failed.push({ test: 'withProgress ordering', error: error.message });
+  }
+  results.total++;
+
+  // Test 2: Bash streams chunks as they arrive but still truncates the result
+  try {
+    const chunks = [];
+    const startedAt = Date.now();
+    let firstChunkAt = null;
+
+    const result = await new BashTool().execute(
+      { command: 'echo first; sleep 0.5; echo second; echo oops >&2' },
+      {
+        bashMaxOutputLength: 8,
+        onProgress: (stream, data) => {
+          firstChunkAt ??= Date.now();
+          chunks.push({ stream, data });
+        }
+      }
+    );
+
+    const streamed = chunks.filter(chunk => chunk.stream === 'stdout').map(chunk => chunk.data).join('');
+    if (streamed === 'first\nsecond\n' && chunks.some(chunk => chunk.stream === 'stderr') &&
+        firstChunkAt - startedAt < 400 &&
+        result.text === 'first\nse\n... (output truncated)') {
+      console.log('    ✅ Bash output streamed live; result truncated');
+      results.passed.push({ test: 'Bash streaming' });
+    } else {
+      throw new Error(`Unexpected: ${JSON.stringify({ chunks, result, delay: firstChunkAt - startedAt })}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Bash streaming test failed:', error.message);
+    results.failed.push({ test: 'Bash streaming', error: error.message });
+  }
+  results.total++;
+
+  // Test 3: The persistent shell streams output without its end-of-command markers
+  const shell = new ShellSession();
+  try {
+    const chunks = [];
+    const result = await shell.run('echo one; echo two >&2; printf three', {
+      timeout: 5000,
+      onOutput: (stream, data) => chunks.push({ stream, data })
+    });
+
+    const stdout = chunks.filter(chunk => chunk.stream === 'stdout').map(chunk => chunk.data).join('');
+    const stderr = chunks.filter(chunk => chunk.stream === 'stderr').map(chunk => chunk.data).join('');
+    if (stdout === 'one\nthree' && stderr === 'two\n' && result.stdout === stdout && !stdout.includes('__LC_CODER')) {
+      console.log('    ✅ Persistent shell output streamed without sentinels');
+      results.passed.push({ test: 'Shell streaming' });
+    } else {
+      throw new Error(`Unexpected: ${JSON.stringify({ chunks, result })}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Shell streaming test failed:', error.message);
+    results.failed.push({ test: 'Shell streaming', error: error.message });
+  } finally {
+    shell.stop();
+  }
+  results.total++;
+
+  // Test 4: A region on a terminal shows the tail, then collapses to one line
+  try {
+    let written = '';
+    const terminal = { isTTY: true, columns: 80, write: text => { written += text; } };
+    const region = new ProgressRegion('Bash: npm test', { output: terminal, maxLines: 2 });
+
+    region.write('line 1\nline 2\nline 3\n');
+    region.render();
+    const drawn = written;
+    region.finish();
+
+    if (drawn.includes('line 2') && drawn.includes('line 3') && !drawn.includes('line 1') &&
+        written.endsWith('  ⎿ Bash: npm test (3 lines of output, /expand to show)\x1b[0m\n') &&
+        region.text === 'line 1\nline 2\nline 3\n') {
+      console.log('    ✅ Progress region shows the tail and collapses');
+      results.passed.push({ test: 'Progress region' });
+    } else {
+      throw new Error(`Unexpected output: ${JSON.stringify(written)}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Progress region test failed:', error.message);
+    results.failed.push({ test: 'Progress region', error: error.message });
+  }
+  results.total++;
+
+  return results;
+}
@@ -0,0 +1,64 @@
+/**
+ * Tests for tool call batching and concurrency
+ */
+
+import { planToolBatches, runWithConcurrency } from '../src/tool-scheduler.js';
+
+const READ_ONLY = new Set(['Read', 'Glob', 'Grep']);
+const isReadOnly = name => READ_ONLY.has(name);
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing tool scheduler...');
+
+  // Test 1: Read-only runs are batched, mutating calls stay on their own
+  try {
+    const calls = ['Read', 'Grep', 'Edit', 'Bash', 'Glob', 'Read'].map((name, i) => ({ id: `t${i}`, name }));
+    const batches = planToolBatches(calls, isReadOnly);
+    const shape = batches.map(batch => `${batch.readOnly ? 'r' : 'm'}${batch.calls.length}`).join(',');
+
+    if (shape === 'r2,m1,m1,r2' && batches[3].calls[1].id === 't5') {
+      console.log('    ✅ Tool calls batched by access');
+      results.passed.push({ test: 'Tool call batching' });
+    } else {
+      throw new Error(`Unexpected batches: ${shape}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Tool call batching test failed:', error.message);
+    results.failed.push({ test: 'Tool call batching', error: error.message });
+  }
+  results.total++;
+
+  // Test 2: Concurrency limit holds and results keep their order
+  try {
+    let running = 0;
+    let peak = 0;
+    const delays = [30, 5, 20, 1, 10];
+
+    const output = await runWithConcurrency(delays, 2, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    if (peak === 2 && output.join(',') === '0,1,2,3,4') {
+      console.log('    ✅ Concurrency limit and order kept');
+      results.passed.push({ test: 'Concurrency limit' });
+    } else {
+      throw new Error(`Peak ${peak}, output ${output.join(',')}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Concurrency limit test failed:', error.message);
+    results.failed.push({ test: 'Concurrency limit', error: error.message });
+  }
+  results.total++;
+
+  return results;
+}
@@ -37,6 +37,23 @@ export async function runTests() {
   }
   results.total++;
 
+  // Test: Tool definitions filtered by an agent's allowlist
+  try {
+    const tools = getToolDefinitions(['Read', 'SemanticSearch']);
+    const names = tools.map(t => t.name).sort().join(',');
+    const semanticSearch = tools.find(t => t.name === 'SemanticSearch');
+    if (names === 'Read,SemanticSearch' && semanticSearch.input_schema?.required?.includes('query')) {
+      console.log('    ✅ Tool definitions filtered by allowlist');
+      results.passed.push({ test: 'Tool allowlist' });
+    } else {
+      throw new Error(`Unexpected tools: ${names}`);
+    }
+  } catch (error) {
+    console.log('    ❌ Tool allowlist test failed:', error.message);
+    results.failed.push({ test: 'Tool allowlist', error: error.message });
+  }
+  results.total++;
+
   // Test 2: Execute Bash tool
   try {
     const result = await executeTool('Bash',
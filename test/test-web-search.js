@@ -0,0 +1,125 @@
+/**
+ * Tests for WebSearch providers against the offline stand-in server
+ */
+
+import { WebSearchTool } from '../src/tools/web-search.js';
+import { createSearchProvider, resolveSearchSettings, dedupeResults } from '../src/search-providers.js';
+import { startSearchStandIn } from './search-stand-in.js';
+
+export async function runTests() {
+  const results = {
+    passed: [],
+    failed: [],
+    total: 0
+  };
+
+  console.log('  Testing WebSearch...');
+
+  const standIn = await startSearchStandIn();
+
+  try {
+    // Test 1: SearxNG results are structured, cleaned and deduplicated
+    try {
+      const provider = createSearchProvider(resolveSearchSettings({ provider: 'searxng', endpoint: `${standIn.url}/` }));
+      const found = await provider.search('requests quickstart', { limit: 5 });
+      const merged = dedupeResults([
+        { title: 'A', url: 'https://example.com/a/', snippet: 'short' },
+        { title: 'A again', url: 'http://www.example.com/a?utm_medium=x#top', snippet: 'a longer snippet' },
+        { title: 'No URL', url: '', snippet: '' }
+      ]);
+
+      if (found.length === 1 &&
+          found[0].title === 'requests: HTTP for Humans — Quickstart' &&
+          found[0].url === 'https://requests.readthedocs.io/en/latest/user/quickstart/' &&
+          found[0].snippet === 'Make a request with requests.get and read the response with r.json(), r.text or r.content.' &&
+          standIn.requests.at(-1).path === '/search?q=requests+quickstart&format=json' &&
+          merged.length === 1 && merged[0].title === 'A' && merged[0].snippet === 'a longer snippet') {
+        console.log('    ✅ SearxNG results are structured and deduplicated');
+        results.passed.push({ test: 'SearxNG' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ found, merged })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ SearxNG test failed:', error.message);
+      results.failed.push({ test: 'SearxNG', error: error.message });
+    }
+    results.total++;
+
+    // Test 2: HTTP template provider with GET and POST requests and nested fields
+    try {
+      const fields = { title: 'name', url: 'link', snippet: 'summary.text' };
+      const get = createSearchProvider(resolveSearchSettings({
+        provider: 'http',
+        url: `${standIn.url}/api/search?term={query}&count={limit}`,
+        resultsPath: 'data.items',
+        fields
+      }));
+      const post = createSearchProvider(resolveSearchSettings({
+        provider: 'http',
+        url: `${standIn.url}/api/search`,
+        method: 'POST',
+        body: { term: '{query}', count: '{limit}' },
+        resultsPath: 'data.items',
+        fields
+      }));
+
+      const viaGet = await get.search('fs readFileSync', { limit: 3 });
+      const viaPost = await post.search('flatMap', { limit: 3 });
+
+      if (viaGet.length === 1 && viaGet[0].url === 'https://nodejs.org/api/fs.html' &&
+          viaGet[0].snippet === 'The node:fs module enables interacting with the file system, e.g. fs.readFileSync.' &&
+          standIn.requests.some(request => request.path === '/api/search?term=fs%20readFileSync&count=3') &&
+          standIn.requests.at(-1).body === '{"term":"flatMap","count":"3"}' &&
+          viaPost[0].title === 'Array.prototype.flatMap() - JavaScript | MDN') {
+        console.log('    ✅ HTTP template provider maps GET and POST responses');
+        results.passed.push({ test: 'HTTP template' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ viaGet, viaPost })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ HTTP template test failed:', error.message);
+      results.failed.push({ test: 'HTTP template', error: error.message });
+    }
+    results.total++;
+
+    // Test 3: Tool output, site filter and errors
+    try {
+      const tool = new WebSearchTool({ settings: { provider: 'searxng', endpoint: standIn.url } });
+      const docs = await tool.execute({ query: 'requests', site: 'requests.readthedocs.io', limit: 2 });
+      const none = await tool.execute({ query: 'nonexistent library' });
+      const off = await new WebSearchTool({ settings: { provider: '' } }).execute({ query: 'requests' });
+      const broken = await new WebSearchTool({ settings: { provider: 'http', url: `${standIn.url}/broken?q={query}` } })
+        .execute({ query: 'requests' });
+
+      const expected = [
+        'Search results for "requests" on requests.readthedocs.io:',
+        '',
+        '1. requests: HTTP for Humans — Quickstart',
+        '   https://requests.readthedocs.io/en/latest/user/quickstart/',
+        '   Make a request with requests.get and read the response with r.json(), r.text or r.content.',
+        '',
+        '2. Developer Interface - requests',
+        '   https://requests.readthedocs.io/en/latest/api/',
+        '   requests.request(method, url, **kwargs) constructs and sends a Request.'
+      ].join('\n');
+
+      if (docs.text === expected &&
+          none.text === 'No results found for "nonexistent library"' &&
+          off.type === 'error' && off.error.startsWith('Web search is not configured') &&
+          broken.type === 'error' && broken.error === 'Web search failed: Search request failed: HTTP 502 Bad Gateway') {
+        console.log('    ✅ Tool formats results and reports errors');
+        results.passed.push({ test: 'Tool' });
+      } else {
+        throw new Error(`Unexpected: ${JSON.stringify({ docs, none, off, broken })}`);
+      }
+    } catch (error) {
+      console.log('    ❌ Tool test failed:', error.message);
+      results.failed.push({ test: 'Tool', error: error.message });
+    }
+    results.total++;
+  } finally {
+    await standIn.close();
+  }
+
+  return results;
+}